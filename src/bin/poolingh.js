@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// IMPORTS
+
+import { runCli } from '../helper/github-api-cli.helper.js';
+
+runCli().then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,14 @@
+/**
+ * Formats a duration in hours, minutes, and seconds, rounded up to the second.
+ * @param {Number} duration The duration (in milliseconds).
+ * @returns {string} The formatted duration (e.g., 1h 2m 3s, 2m 3s, or 3s).
+ */
+export function formatDuration(duration) {
+  const totalSeconds = Math.ceil(duration / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
@@ -0,0 +1,87 @@
+// IMPORTS
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Stores the responses of the GitHub API in a local directory for conditional requests.
+ * Each entry records the ETag and Last-Modified validators of a URL along with the body of the response, so that a client can send
+ * If-None-Match and If-Modified-Since headers and reuse the body on a 304 (Not Modified) response, which does not consume the rate limit.
+ * A custom store (e.g., a database) can be any object implementing the get and set methods.
+ */
+export class GitHubApiCache {
+  /**
+   * Creates a cache stored in a specific directory.
+   * @param {string} directoryPath The path to the cache directory. The folder is created if it does not already exist.
+   */
+  constructor(directoryPath) {
+    this._directoryPath = directoryPath;
+    fs.mkdirSync(directoryPath, { recursive: true });
+  }
+
+  /**
+   * Gives the path to the cache directory.
+   * @returns {string} The path to the cache directory.
+   */
+  getDirectoryPath() {
+    return this._directoryPath;
+  }
+
+  /**
+   * Gives the cached entry of a URL.
+   * @param {string} url The request URL.
+   * @returns {Object|null} The entry ({ url, etag, lastModified, status, data, link }); null if the URL is not cached.
+   */
+  get(url) {
+    try {
+      return JSON.parse(fs.readFileSync(this._getFilePath(url), 'utf8'));
+    } catch (error) {
+      return null; // Missing or truncated entry.
+    }
+  }
+
+  /**
+   * Caches the entry of a URL. The file is replaced atomically.
+   * @param {string} url The request URL.
+   * @param {Object} entry The entry ({ url, etag, lastModified, status, data, link }).
+   * @returns {void}
+   */
+  set(url, entry) {
+    const filePath = this._getFilePath(url);
+    const temporaryFilePath = `${filePath}.tmp`;
+    fs.writeFileSync(temporaryFilePath, JSON.stringify(entry));
+    fs.renameSync(temporaryFilePath, filePath);
+  }
+
+  /**
+   * Removes the cached entry of a URL, if any.
+   * @param {string} url The request URL.
+   * @returns {void}
+   */
+  delete(url) {
+    fs.rmSync(this._getFilePath(url), { force: true });
+  }
+
+  /**
+   * Removes all the cached entries.
+   * @returns {void}
+   */
+  clear() {
+    for (const fileName of fs.readdirSync(this._directoryPath)) {
+      if (fileName.endsWith('.json')) {
+        fs.rmSync(path.join(this._directoryPath, fileName), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Gives the path to the file of the cached entry of a URL.
+   * @param {string} url The request URL.
+   * @returns {string} The path to the file, named after the hash of the URL.
+   */
+  _getFilePath(url) {
+    const hash = createHash('sha256').update(url).digest('hex');
+    return path.join(this._directoryPath, `${hash}.json`);
+  }
+}
@@ -0,0 +1,608 @@
+// IMPORTS
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { parseArgs } from 'util';
+import { GitHubApiClient } from './github-api-client.helper.js';
+import { GitHubApiQueue } from './github-api-queue.helper.js';
+import { GitHubApiQueueJournal } from './github-api-queue-journal.helper.js';
+import { GitHubApiSearchSplitter } from './github-api-search-splitter.helper.js';
+import { GitHubApiDashboard } from './github-api-dashboard.helper.js';
+import { getResource } from './github-api-resource.helper.js';
+import { formatDuration } from './duration.helper.js';
+import { Logger } from './logger.helper.js';
+import {
+  GitHubApiNdjsonSink,
+  GitHubApiCsvSink,
+  GitHubApiSqliteSink,
+} from './github-api-sink.helper.js';
+import { GitHubApiRequest } from '../model/github-api-request.model.js';
+
+// CONSTANTS
+
+const API_URL = 'https://api.github.com';
+const SEARCH_TYPES = [
+  'repositories',
+  'code',
+  'issues',
+  'commits',
+  'users',
+  'topics',
+  'labels',
+];
+const FORMATS = {
+  '.csv': 'csv',
+  '.db': 'sqlite',
+  '.sqlite': 'sqlite',
+  '.sqlite3': 'sqlite',
+}; // Formats of the output files by extension, NDJSON otherwise.
+const RESULTS_CALLBACK = 'results'; // Name of the callback of the result requests in the callback registry of the journal.
+const MAX_SEARCH_RESULT_COUNT = 1000; // The GitHub Search API returns at most 1,000 results per query.
+const RATE_LIMIT_WINDOWS = {
+  search: 60 * 1000,
+  code_search: 60 * 1000,
+  core: 60 * 60 * 1000,
+  graphql: 60 * 60 * 1000,
+}; // Duration of the rate limit window per resource, in milliseconds.
+const EXIT_CODES = { success: 0, failure: 1, usage: 2, interrupted: 130 };
+const USAGE = `Usage: poolingh [options] [query...]
+
+Runs GitHub searches with a pool of tokens and streams the results to a file.
+
+Queries:
+  query                     A search query (e.g., "language:js stars:>100"), repeatable
+  -q, --query <query>       A search query, repeatable
+  -u, --urls <file>         A file of request URLs, one per line
+  -t, --type <type>         The search type: ${SEARCH_TYPES.join(', ')} (default: repositories)
+  -s, --split <qualifier>   Splits the queries on the range of a qualifier to get past the 1,000-result cap
+                            (e.g., created with created:2020-01-01..2020-12-31 in the query)
+      --per-page <count>    The number of results per page, up to 100 (default: 100)
+
+Tokens:
+      --tokens-file <file>  A file of tokens, one per line
+                            (default: the POOLINGH_TOKENS variable, comma-separated, or GITHUB_TOKEN)
+      --enterprise <url>    The URL of a GitHub Enterprise Server instance
+
+Output:
+  -o, --output <file>       The output file (default: the standard output)
+  -f, --format <format>     The format: ndjson, csv, or sqlite
+                            (default: csv for a .csv file, sqlite for a .db, .sqlite, or .sqlite3 file, ndjson otherwise)
+      --fields <fields>     The comma-separated CSV columns, with dotted paths (e.g., id,owner.login,_query)
+                            (default: the flattened fields of the first result and the _query field)
+      --keep-duplicates     Writes the results found by several queries as many times (default: once per id)
+      --journal <file>      The journal of the run (default: <output>.journal.jsonl or poolingh.journal.jsonl)
+  -r, --resume              Resumes an interrupted run from its journal, appending to the output
+      --dry-run             Reports the expected number of requests and time from the current rate limits
+                            (sends one request per query to read its total count)
+
+Monitoring:
+      --logs <folder>       The logs folder (default: ./logs)
+      --verbose             Logs to the console too
+      --quiet               Hides the progress dashboard
+      --metrics-port <port> Serves Prometheus metrics on http://127.0.0.1:<port>/metrics
+
+  -h, --help                Shows this help
+  -v, --version             Shows the version`;
+const OPTIONS = {
+  query: { type: 'string', short: 'q', multiple: true },
+  urls: { type: 'string', short: 'u' },
+  type: { type: 'string', short: 't', default: 'repositories' },
+  split: { type: 'string', short: 's' },
+  'per-page': { type: 'string', default: '100' },
+  'tokens-file': { type: 'string' },
+  enterprise: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  fields: { type: 'string' },
+  'keep-duplicates': { type: 'boolean', default: false },
+  journal: { type: 'string' },
+  resume: { type: 'boolean', short: 'r', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  logs: { type: 'string', default: './logs' },
+  verbose: { type: 'boolean', default: false },
+  quiet: { type: 'boolean', default: false },
+  'metrics-port': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false },
+};
+
+/**
+ * Parses the command-line arguments of the poolingh command.
+ * @param {Array[string]} argv The arguments (without the node executable and the script).
+ * @returns {Object} The options of the run.
+ * @throws {Error} If an argument is unknown or invalid.
+ */
+export function parseCliArguments(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+
+  const options = {
+    queries: [...(values.query || []), ...positionals],
+    urlsFile: values.urls || null,
+    type: values.type,
+    split: values.split || null,
+    perPage: Number.parseInt(values['per-page']),
+    tokensFile: values['tokens-file'] || null,
+    enterprise: values.enterprise || null,
+    output: values.output || null,
+    format:
+      values.format ||
+      (values.output && FORMATS[path.extname(values.output).toLowerCase()]) ||
+      'ndjson',
+    fields: values.fields
+      ? values.fields.split(',').map((field) => field.trim())
+      : null,
+    keepDuplicates: values['keep-duplicates'],
+    journal: values.journal || null,
+    resume: values.resume,
+    dryRun: values['dry-run'],
+    logs: values.logs,
+    verbose: values.verbose,
+    quiet: values.quiet,
+    metricsPort: values['metrics-port']
+      ? Number.parseInt(values['metrics-port'])
+      : null,
+    help: values.help,
+    version: values.version,
+  };
+  options.journal =
+    options.journal ||
+    (options.output
+      ? `${options.output}.journal.jsonl`
+      : 'poolingh.journal.jsonl');
+
+  if (options.help || options.version) return options;
+  if (!SEARCH_TYPES.includes(options.type)) {
+    throw new Error(`unknown search type: ${options.type}`);
+  }
+  if (!['ndjson', 'csv', 'sqlite'].includes(options.format)) {
+    throw new Error(`unknown format: ${options.format}`);
+  }
+  if (options.format === 'sqlite' && !options.output) {
+    throw new Error('no output file given for the sqlite format');
+  }
+  if (
+    !Number.isInteger(options.perPage) ||
+    options.perPage < 2 ||
+    options.perPage > 100
+  ) {
+    throw new Error(
+      `invalid number of results per page: ${values['per-page']}`,
+    );
+  }
+  if (options.metricsPort !== null && !Number.isInteger(options.metricsPort)) {
+    throw new Error(`invalid metrics port: ${values['metrics-port']}`);
+  }
+  if (options.queries.length === 0 && !options.urlsFile && !options.resume) {
+    throw new Error('no query or URL file given');
+  }
+  return options;
+}
+
+/**
+ * Runs the poolingh command: queues the searches of the queries and the requests of the URLs with a pool of tokens, follows their pages,
+ * splits the queries if asked, and streams the results to an NDJSON or CSV file, or to a SQLite database (see GitHubApiSink). The run is journaled so that it can be resumed after
+ * an interruption (Ctrl+C) or a crash, the results already written being deduplicated by id.
+ * @param {Array[string]} argv The arguments (without the node executable and the script). Default is the arguments of the process.
+ * @param {Object} context The context of the run.
+ * @param {Object} context.env The environment variables. Default is the environment of the process.
+ * @param {Object} context.stdout The standard output. Default is the standard output of the process.
+ * @param {Object} context.stderr The standard error, showing the progress. Default is the standard error of the process.
+ * @param {Object} context.transport The transport of the clients (see GitHubApiAxiosTransport). Default is the default transport of the clients.
+ * @returns {Promise<Number>} The exit code: 0 on success, 1 if requests were abandoned or no token is valid, 2 on a usage error, and 130 on an interruption.
+ */
+export function runCli(argv = process.argv.slice(2), context = {}) {
+  const env = context.env || process.env;
+  const stdout = context.stdout || process.stdout;
+  const stderr = context.stderr || process.stderr;
+
+  let options;
+  let tokens;
+  let urls;
+  try {
+    options = parseCliArguments(argv);
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return Promise.resolve(EXIT_CODES.success);
+    }
+    if (options.version) {
+      stdout.write(`${readVersion()}\n`);
+      return Promise.resolve(EXIT_CODES.success);
+    }
+    tokens = readTokens(options.tokensFile, env);
+    urls = options.urlsFile ? readLines(options.urlsFile) : [];
+    if (options.split) {
+      const range = new RegExp(
+        `(^|\\s)${escapeRegExp(options.split)}:\\S+\\.\\.\\S+`,
+      );
+      for (const query of options.queries) {
+        if (!range.test(query)) {
+          throw new Error(
+            `no range found for the qualifier "${options.split}" in the query: ${query}`,
+          );
+        }
+      }
+    }
+    if (options.resume && !options.split && hasPendingProbes(options.journal)) {
+      // Checked before the journal is touched, so that the probed ranges are not lost.
+      throw new Error(
+        'the journal has ranges left to split: resume with the same --split option',
+      );
+    }
+  } catch (error) {
+    stderr.write(`poolingh: ${error.message}\n\n${USAGE}\n`);
+    return Promise.resolve(EXIT_CODES.usage);
+  }
+
+  const logger = new Logger(options.logs, { console: options.verbose });
+  const clients = tokens.map(
+    (token) =>
+      new GitHubApiClient(token, 5, 2000, options.logs, {
+        logger,
+        ...(context.transport ? { transport: context.transport } : {}),
+        ...(options.enterprise ? { enterprise: options.enterprise } : {}),
+      }),
+  );
+  const journal = options.dryRun
+    ? null
+    : new GitHubApiQueueJournal(options.journal);
+  if (journal && !options.resume) {
+    fs.rmSync(options.journal, { force: true }); // Starts over.
+  }
+  const sink = options.dryRun ? null : createSink(options, stdout);
+  const queue = new GitHubApiQueue(clients, 5, 5000, options.logs, {
+    logger,
+    strategy: 'fifo',
+    sinks: sink ? [sink] : [],
+    ...(journal ? { journal } : {}),
+  });
+
+  return queue
+    .validate()
+    .then((reports) => {
+      const validCount = reports.filter((report) => !report.removal).length;
+      if (validCount === 0) {
+        stderr.write('poolingh: no valid token\n');
+        return EXIT_CODES.failure;
+      }
+
+      const searchUrls = options.queries.map((query) =>
+        createSearchUrl(options.type, query, options.perPage),
+      );
+      return options.dryRun
+        ? dryRun(queue, reports, searchUrls, urls, options, stdout)
+        : run(queue, journal, sink, searchUrls, urls, options, {
+            stdout,
+            stderr,
+          });
+    })
+    .catch((error) => {
+      stderr.write(`poolingh: ${error.message}\n`);
+      return EXIT_CODES.failure;
+    })
+    .finally(() => logger.close());
+}
+
+/**
+ * Runs the requests of the queries and the URLs, writing their results to the sink of the queue.
+ * @param {GitHubApiQueue} queue The queue.
+ * @param {GitHubApiQueueJournal} journal The journal of the run.
+ * @param {GitHubApiSink} sink The sink of the results.
+ * @param {Array[string]} searchUrls The search URLs of the queries.
+ * @param {Array[string]} urls The request URLs.
+ * @param {Object} options The options of the run.
+ * @param {Object} streams The standard output and error.
+ * @returns {Promise<Number>} The exit code.
+ */
+function run(queue, journal, sink, searchUrls, urls, options, streams) {
+  const callbacks = {
+    [RESULTS_CALLBACK]: () => {}, // The results are written by the sink of the queue.
+  };
+  const createRequest = (url) =>
+    new GitHubApiRequest(url, {}, callbacks[RESULTS_CALLBACK], {
+      paginate: true,
+      callbackName: RESULTS_CALLBACK,
+    });
+  const splitter = new GitHubApiSearchSplitter(
+    queue,
+    MAX_SEARCH_RESULT_COUNT,
+    options.logs,
+    { logger: queue.getLogger() },
+  );
+  const split = (url) => splitter.split(createRequest(url), options.split);
+
+  let abortCount = 0;
+  queue.on('request:abort', ({ category }) => {
+    if (category !== 'canceled') abortCount++;
+  });
+
+  if (options.resume) {
+    // The probes of the splitter cannot be restored (their callback is a closure): their ranges are split again.
+    const probes = journal
+      .load()
+      .pending.filter((json) => !json.options?.callbackName);
+    queue.restore(callbacks);
+    queue.cancel((request) => !request.getOptions().callbackName);
+    probes.forEach((json) => split(setPerPage(json.url, options.perPage)));
+  } else {
+    searchUrls.forEach((url) =>
+      options.split ? split(url) : queue.push(createRequest(url)),
+    );
+    urls.forEach((url) => queue.push(createRequest(url)));
+  }
+
+  const dashboard = options.quiet
+    ? null
+    : new GitHubApiDashboard(queue, { stream: streams.stderr });
+  let interrupted = false;
+  const interrupt = () => {
+    interrupted = true;
+    streams.stderr.write(
+      'poolingh: interrupted, finishing the requests in flight (resume with --resume)\n',
+    );
+    queue.stop();
+  };
+
+  // Opens the output before the first request, so that an unwritable output fails at once.
+  return sink
+    .flush()
+    .then(() =>
+      options.metricsPort !== null
+        ? queue.serveMetrics(options.metricsPort)
+        : null,
+    )
+    .then((server) => {
+      process.once('SIGINT', interrupt);
+      dashboard?.start();
+      queue.start();
+      return queue
+        .drain()
+        .finally(() => {
+          process.off('SIGINT', interrupt);
+          return queue.stop().then(() => {
+            dashboard?.stop();
+            return Promise.all([
+              sink.close(),
+              server && new Promise((resolve) => server.close(resolve)),
+            ]);
+          });
+        })
+        .then(() => {
+          streams.stderr.write(
+            `poolingh: ${sink.getCount()} result(s) written${options.output ? ` to ${options.output}` : ''}, ${sink.getDuplicateCount()} duplicate(s) dropped, ${abortCount} request(s) abandoned\n`,
+          );
+          if (interrupted) return EXIT_CODES.interrupted;
+          return abortCount > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+        });
+    });
+}
+
+/**
+ * Reports the expected number of requests and time of a run from the total counts of its queries and the current rate limits of the pool.
+ * @param {GitHubApiQueue} queue The queue.
+ * @param {Array[Object]} reports The validation reports of the clients.
+ * @param {Array[string]} searchUrls The search URLs of the queries.
+ * @param {Array[string]} urls The request URLs.
+ * @param {Object} options The options of the run.
+ * @param {Object} stdout The standard output.
+ * @returns {Promise<Number>} The exit code.
+ */
+function dryRun(queue, reports, searchUrls, urls, options, stdout) {
+  // Reads the total count of each search with a request of one result.
+  const probes = [...searchUrls, ...urls.filter(isSearchUrl)];
+  const totalCounts = new Map();
+  queue.push(
+    ...probes.map(
+      (url) =>
+        new GitHubApiRequest(setPerPage(url, 1), {}, (response) =>
+          totalCounts.set(url, response?.data?.total_count ?? 0),
+        ),
+    ),
+  );
+  queue.start();
+  return queue
+    .drain()
+    .then(() => queue.stop())
+    .then(() =>
+      reportDryRun(reports, searchUrls, urls, totalCounts, options, stdout),
+    );
+}
+
+/**
+ * Writes the report of a dry run.
+ * @param {Array[Object]} reports The validation reports of the clients.
+ * @param {Array[string]} searchUrls The search URLs of the queries.
+ * @param {Array[string]} urls The request URLs.
+ * @param {Map} totalCounts The total counts of the searches, indexed by URL.
+ * @param {Object} options The options of the run.
+ * @param {Object} stdout The standard output.
+ * @returns {Number} The exit code.
+ */
+function reportDryRun(reports, searchUrls, urls, totalCounts, options, stdout) {
+  const needed = {}; // Expected number of requests per resource.
+  const add = (url, count) => {
+    const resource = getResource(url);
+    needed[resource] = (needed[resource] || 0) + count;
+  };
+
+  const probes = [...searchUrls, ...urls.filter(isSearchUrl)];
+  for (const url of probes) {
+    const totalCount = totalCounts.get(url) ?? 0;
+    const splitting = options.split && searchUrls.includes(url);
+    const resultCount = splitting
+      ? totalCount
+      : Math.min(totalCount, MAX_SEARCH_RESULT_COUNT);
+    const pageCount = Math.max(1, Math.ceil(resultCount / options.perPage));
+    const sliceCount = Math.max(
+      1,
+      Math.ceil(totalCount / MAX_SEARCH_RESULT_COUNT),
+    );
+    const count = pageCount + (splitting ? 2 * sliceCount - 1 : 0); // Plus the probes of the bisection, if split.
+    add(url, count);
+    stdout.write(
+      `[dry run] ${new URL(url).searchParams.get('q') || url}: ${totalCounts.has(url) ? `${totalCount} results` : 'unknown count'}, about ${count} request(s)\n`,
+    );
+  }
+  urls.filter((url) => !isSearchUrl(url)).forEach((url) => add(url, 1));
+
+  const now = Date.now();
+  let expectedTime = 0;
+  const validReports = reports.filter((report) => !report.removal);
+  for (const [resource, count] of Object.entries(needed)) {
+    const rateLimits = validReports
+      .map((report) => report.rateLimits?.[resource])
+      .filter((rateLimit) => rateLimit);
+    const remaining = rateLimits.reduce(
+      (sum, rateLimit) => sum + rateLimit.remaining,
+      0,
+    );
+    const limit = rateLimits.reduce(
+      (sum, rateLimit) => sum + rateLimit.limit,
+      0,
+    );
+    let time = 0;
+    if (count > remaining && limit > 0) {
+      const windowCount = Math.ceil((count - remaining) / limit);
+      const resetAt = Math.min(
+        ...rateLimits.map((rateLimit) => rateLimit.resetAt),
+      );
+      time =
+        Math.max(0, resetAt - now) +
+        (windowCount - 1) * (RATE_LIMIT_WINDOWS[resource] || 0);
+    }
+    expectedTime = Math.max(expectedTime, time);
+    stdout.write(
+      `[dry run] ${resource}: ${count} request(s), ${rateLimits.length > 0 ? `${remaining} remaining of ${limit} for ${validReports.length} token(s)` : 'rate limit unknown'}, ${time > 0 ? `waiting at least ${formatDuration(time)}` : 'within the current budget'}\n`,
+    );
+  }
+  const total = Object.values(needed).reduce((sum, count) => sum + count, 0);
+  stdout.write(
+    `[dry run] expected: about ${total} request(s), at least ${formatDuration(expectedTime)} of rate limit waiting\n`,
+  );
+  return EXIT_CODES.success;
+}
+
+/**
+ * Creates the sink of the results, appending to the output when resuming.
+ * @param {Object} options The options of the run.
+ * @param {Object} stdout The standard output, used without output file.
+ * @returns {GitHubApiSink} The sink.
+ */
+function createSink(options, stdout) {
+  const sinkOptions = {
+    append: options.resume,
+    dedup: !options.keepDuplicates,
+    filter: (request) => request.getOptions().callbackName === RESULTS_CALLBACK, // Skips the probes of the splitter.
+  };
+  if (options.format === 'sqlite') {
+    return new GitHubApiSqliteSink(options.output, sinkOptions);
+  }
+  if (options.format === 'csv') {
+    return new GitHubApiCsvSink(options.output || stdout, {
+      ...sinkOptions,
+      columns: options.fields,
+    });
+  }
+  return new GitHubApiNdjsonSink(options.output || stdout, sinkOptions);
+}
+
+/**
+ * Reads the tokens of the pool from a file, or from the POOLINGH_TOKENS or GITHUB_TOKEN environment variables.
+ * @param {string|null} tokensFile The file of tokens, one per line (empty lines and # comments are ignored), if any.
+ * @param {Object} env The environment variables.
+ * @returns {Array[string]} The tokens.
+ * @throws {Error} If no token is found.
+ */
+function readTokens(tokensFile, env) {
+  const tokens = tokensFile
+    ? readLines(tokensFile)
+    : `${env.POOLINGH_TOKENS || env.GITHUB_TOKEN || ''}`
+        .split(/[\s,]+/)
+        .filter((token) => token);
+  if (tokens.length === 0) {
+    throw new Error(
+      'no token found (use --tokens-file, POOLINGH_TOKENS, or GITHUB_TOKEN)',
+    );
+  }
+  return [...new Set(tokens)];
+}
+
+/**
+ * Reads the lines of a file, ignoring the empty lines and the # comments.
+ * @param {string} filePath The path to the file.
+ * @returns {Array[string]} The lines.
+ */
+function readLines(filePath) {
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Reads the version of the package.
+ * @returns {string} The version.
+ */
+function readVersion() {
+  const packageJson = new URL('../../package.json', import.meta.url);
+  return JSON.parse(fs.readFileSync(packageJson, 'utf8')).version;
+}
+
+/**
+ * Builds the URL of a search.
+ * @param {string} type The search type (e.g., repositories or code).
+ * @param {string} query The search query.
+ * @param {Number} perPage The number of results per page.
+ * @returns {string} The URL.
+ */
+function createSearchUrl(type, query, perPage) {
+  const url = new URL(`${API_URL}/search/${type}`);
+  url.searchParams.set('q', query);
+  url.searchParams.set('per_page', `${perPage}`);
+  return url.toString();
+}
+
+/**
+ * Sets the number of results per page of a URL.
+ * @param {string} url The URL.
+ * @param {Number} perPage The number of results per page.
+ * @returns {string} The URL with the number of results per page.
+ */
+function setPerPage(url, perPage) {
+  const result = new URL(url);
+  result.searchParams.set('per_page', `${perPage}`);
+  return result.toString();
+}
+
+/**
+ * Tells whether a URL is a search of the GitHub API.
+ * @param {string} url The URL.
+ * @returns {boolean} True if the URL is a search; false otherwise.
+ */
+function isSearchUrl(url) {
+  return ['search', 'code_search'].includes(getResource(url));
+}
+
+/**
+ * Tells whether a journal has pending probes of the search splitter (requests without a callback name).
+ * @param {string} journalPath The path of the journal.
+ * @returns {boolean} True if the journal has pending probes; false otherwise.
+ */
+function hasPendingProbes(journalPath) {
+  return new GitHubApiQueueJournal(journalPath)
+    .load()
+    .pending.some((json) => !json.options?.callbackName);
+}
+
+/**
+ * Escapes the special characters of a regular expression in a string.
+ * @param {string} text The string.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,175 @@
+// IMPORTS
+
+import { createSign } from 'crypto';
+import { GitHubApiAxiosTransport } from './github-api-transport.helper.js';
+
+// CONSTANTS
+
+const JWT_DURATION = 9 * 60; // Under the 10-minute maximum accepted by GitHub, in seconds.
+const JWT_CLOCK_DRIFT = 60; // Backdating of the JWT against clock drift, in seconds.
+
+/**
+ * Provides a static personal access token (PAT) to a GitHub API client.
+ * A credential provider can be any object implementing the getToken and getLabel methods, and optionally the invalidate and setTransport methods.
+ */
+export class GitHubTokenCredentials {
+  /**
+   * Creates a provider of a static personal access token.
+   * @param {string} token The personal access token.
+   */
+  constructor(token) {
+    this._token = token;
+  }
+
+  /**
+   * Gives the token to authenticate a request.
+   * @returns {string} The token.
+   */
+  getToken() {
+    return this._token;
+  }
+
+  /**
+   * Gives a label identifying the credentials in the logs and events without disclosing them.
+   * @returns {string} The last 5 characters of the token.
+   */
+  getLabel() {
+    return this._token.substring(this._token.length - 5);
+  }
+}
+
+/**
+ * Provides the installation tokens of a GitHub App to a GitHub API client.
+ * The provider signs a JSON Web Token (JWT) with the private key of the app, exchanges it for an installation token, and refreshes
+ * the installation token shortly before it expires (installation tokens last one hour). The requests in flight keep the token they
+ * were sent with, which is still valid during the refresh margin, and concurrent refreshes share the same exchange.
+ */
+export class GitHubAppCredentials {
+  /**
+   * Creates a provider of the installation tokens of a GitHub App.
+   * @param {string|Number} appId The identifier (or client ID) of the GitHub App.
+   * @param {string} privateKey The private key of the GitHub App (PEM format).
+   * @param {string|Number} installationId The identifier of the installation of the GitHub App.
+   * @param {Object} options The options of the provider.
+   * @param {string} options.baseUrl The base URL of the GitHub API. Default is the base URL of the client of the provider, or 'https://api.github.com'.
+   * @param {Number} options.refreshMargin The delay before the expiry of the installation token at which it is refreshed (in milliseconds). Default is 300000ms (5 minutes).
+   * @param {Object} options.transport The transport sending the HTTP requests (see GitHubApiAxiosTransport). Default is the transport of the client of the provider, or a GitHubApiAxiosTransport with the default axios instance.
+   */
+  constructor(appId, privateKey, installationId, options = {}) {
+    this._appId = appId;
+    this._privateKey = privateKey;
+    this._installationId = installationId;
+    this._baseUrl = (options.baseUrl || 'https://api.github.com').replace(
+      /\/+$/,
+      '',
+    );
+    this._hasCustomBaseUrl = Boolean(options.baseUrl);
+    this._refreshMargin = options.refreshMargin ?? 5 * 60 * 1000;
+    this._hasCustomTransport = Boolean(options.transport);
+    this._transport = options.transport || new GitHubApiAxiosTransport();
+    this._token = null;
+    this._expiresAt = 0;
+    this._refreshing = null;
+  }
+
+  /**
+   * Gives a valid installation token to authenticate a request, refreshing it if it expires soon.
+   * @returns {Promise<string>} The installation token.
+   */
+  getToken() {
+    if (this._token && Date.now() < this._expiresAt - this._refreshMargin) {
+      return Promise.resolve(this._token);
+    }
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * Gives a label identifying the credentials in the logs and events without disclosing them.
+   * @returns {string} The label of the installation (e.g., app-123-456).
+   */
+  getLabel() {
+    return `app-${this._appId}-${this._installationId}`;
+  }
+
+  /**
+   * Gives the expiry time of the current installation token.
+   * @returns {Number|null} The expiry timestamp (in milliseconds); null if no token was issued yet.
+   */
+  getExpiresAt() {
+    return this._token ? this._expiresAt : null;
+  }
+
+  /**
+   * Sets the transport and the base URL of the GitHub API exchanging the installation tokens, unless given in the options.
+   * The client of the provider calls it with its own ones, so that the exchange is routed like its requests.
+   * @param {Object} transport The transport sending the HTTP requests (see GitHubApiAxiosTransport).
+   * @param {string} baseUrl The base URL of the GitHub API.
+   * @returns {void}
+   */
+  setTransport(transport, baseUrl) {
+    if (!this._hasCustomTransport) this._transport = transport;
+    if (!this._hasCustomBaseUrl) this._baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Discards the current installation token, e.g., after it was rejected (401), so that the next request gets a new one.
+   * @returns {void}
+   */
+  invalidate() {
+    this._token = null;
+    this._expiresAt = 0;
+  }
+
+  /**
+   * Creates a JSON Web Token (JWT) authenticating the GitHub App, signed with its private key (RS256).
+   * @returns {string} The JWT.
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = encodeBase64Url({ alg: 'RS256', typ: 'JWT' });
+    const payload = encodeBase64Url({
+      iat: now - JWT_CLOCK_DRIFT,
+      exp: now + JWT_DURATION,
+      iss: `${this._appId}`,
+    });
+    const signature = createSign('RSA-SHA256')
+      .update(`${header}.${payload}`)
+      .sign(this._privateKey, 'base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * Exchanges a JWT for a new installation token.
+   * @returns {Promise<string>} The installation token.
+   */
+  _refresh() {
+    return this._transport
+      .request({
+        url: `${this._baseUrl}/app/installations/${this._installationId}/access_tokens`,
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${this.createJwt()}`,
+          Accept: 'application/vnd.github+json',
+        },
+      })
+      .then((response) => {
+        this._token = response.data.token;
+        this._expiresAt = Date.parse(response.data.expires_at);
+        return this._token;
+      });
+  }
+}
+
+/**
+ * Encodes a JSON object in base64url, as required by the JWT format.
+ * @param {Object} object The object.
+ * @returns {string} The encoded object.
+ */
+function encodeBase64Url(object) {
+  return Buffer.from(JSON.stringify(object)).toString('base64url');
+}
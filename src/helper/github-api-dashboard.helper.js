@@ -0,0 +1,219 @@
+// IMPORTS
+
+import chalk from 'chalk';
+import { formatDuration } from './duration.helper.js';
+
+// CONSTANTS
+
+const THROUGHPUT_WINDOW = 60 * 1000; // Sliding window of the throughput (one minute, in milliseconds).
+const CURSOR_UP = (count) => `\u001b[${count}A`;
+const CLEAR_DOWN = '\u001b[0J'; // Clears from the cursor to the end of the screen.
+
+/**
+ * Shows the progress of a GitHub API queue in the terminal: the state of each client (idle, busy, paused until a time, or revoked)
+ * with its remaining budget per resource, the queue length, the throughput, the error and abort counts, and the estimated time of arrival (ETA).
+ * On a TTY, the dashboard is redrawn in place; otherwise, a summary line is written periodically, e.g., in the logs of a CI job.
+ * The console of the logger should be disabled while the dashboard is shown on the same terminal (see Logger).
+ */
+export class GitHubApiDashboard {
+  /**
+   * Creates a dashboard of a queue.
+   * @param {GitHubApiQueue} queue The queue.
+   * @param {Object} options The options of the dashboard.
+   * @param {Object} options.stream The stream the dashboard is written to. Default is the standard output.
+   * @param {boolean} options.tty Whether the dashboard is redrawn in place rather than written as summary lines. Default is true if the stream is a TTY.
+   * @param {Number} options.interval The interval between two redraws on a TTY (in milliseconds). Default is 1000ms.
+   * @param {Number} options.summaryInterval The interval between two summary lines without TTY (in milliseconds). Default is 30000ms.
+   */
+  constructor(queue, options = {}) {
+    this._queue = queue;
+    this._stream = options.stream || process.stdout;
+    this._tty = options.tty ?? Boolean(this._stream.isTTY);
+    this._interval = this._tty
+      ? (options.interval ?? 1000)
+      : (options.summaryInterval ?? 30 * 1000);
+    this._timer = null;
+    this._lineCount = 0; // Number of lines of the last frame drawn in place.
+    this._startedAt = null;
+    this._completedAt = []; // Completion times of the requests within the throughput window.
+    this._doneCount = 0;
+    this._errorCount = 0;
+    this._abortCount = 0;
+    this._pausedUntil = {}; // Reset times of the paused clients, indexed by token and resource.
+    this._listeners = {
+      'request:success': () => {
+        this._doneCount++;
+        this._completedAt.push(Date.now());
+      },
+      'request:retry': () => this._errorCount++,
+      'request:abort': ({ startedAt }) => {
+        this._abortCount++;
+        if (startedAt != null) this._errorCount++;
+      },
+      'client:paused': ({ token, resource, resetAt }) => {
+        this._pausedUntil[token] = {
+          ...this._pausedUntil[token],
+          [resource || '*']: resetAt,
+        };
+      },
+      'client:resumed': ({ token, resource }) => {
+        delete this._pausedUntil[token]?.[resource || '*'];
+      },
+    };
+  }
+
+  /**
+   * Starts showing the dashboard, drawn at once and then at each interval.
+   * @returns {void}
+   */
+  start() {
+    if (this._timer) return;
+
+    this._startedAt = Date.now();
+    for (const [event, listener] of Object.entries(this._listeners)) {
+      this._queue.on(event, listener);
+    }
+    this._draw();
+    this._timer = setInterval(() => this._draw(), this._interval);
+    this._timer.unref?.(); // The dashboard does not keep the process alive.
+  }
+
+  /**
+   * Stops showing the dashboard, after drawing its last state.
+   * @returns {void}
+   */
+  stop() {
+    if (!this._timer) return;
+
+    clearInterval(this._timer);
+    this._timer = null;
+    this._draw();
+    for (const [event, listener] of Object.entries(this._listeners)) {
+      this._queue.off(event, listener);
+    }
+  }
+
+  /**
+   * Gives the current state of the pool shown by the dashboard.
+   * @returns {Object} The state: the clients ({ token, state, pausedUntil, remaining }), the number of requests waiting and in flight, the number of
+   * requests done, the throughput (requests per second over the last minute), the error and abort counts, the ETA (in milliseconds; null if unknown),
+   * and the elapsed time (in milliseconds).
+   */
+  getState() {
+    const now = Date.now();
+    while (
+      this._completedAt.length > 0 &&
+      this._completedAt[0] <= now - THROUGHPUT_WINDOW
+    ) {
+      this._completedAt.shift();
+    }
+    const elapsed = this._startedAt ? now - this._startedAt : 0;
+    const window = Math.min(THROUGHPUT_WINDOW, Math.max(elapsed, 1000));
+    const throughput = this._completedAt.length / (window / 1000);
+
+    const remaining = this._queue.getMetrics?.().remaining || {};
+    const clients = this._queue.getClients().map((client) => {
+      const token = client.getToken();
+      const resetTimes = Object.values(this._pausedUntil[token] || {}).filter(
+        (resetAt) => resetAt > now,
+      );
+      const pausedUntil =
+        resetTimes.length > 0 ? Math.max(...resetTimes) : null;
+      let state = 'idle';
+      if (client.isRevoked?.()) state = 'revoked';
+      else if (client.isBusy?.()) state = 'busy';
+      else if (pausedUntil !== null) state = 'paused';
+      return {
+        token,
+        state,
+        pausedUntil,
+        remaining: { ...remaining[token] },
+      };
+    });
+
+    const waiting = this._queue.getQueueLength();
+    const inFlight = this._queue.getInFlightCount?.() ?? 0;
+    const pending = waiting + inFlight;
+    return {
+      clients,
+      waiting,
+      inFlight,
+      done: this._doneCount,
+      throughput,
+      errors: this._errorCount,
+      aborts: this._abortCount,
+      eta:
+        pending === 0
+          ? 0
+          : throughput > 0
+            ? (pending / throughput) * 1000
+            : null,
+      elapsed,
+    };
+  }
+
+  /**
+   * Renders the dashboard.
+   * @returns {Array[string]} The lines of the dashboard.
+   */
+  render() {
+    const state = this.getState();
+    const lines = [
+      chalk.bold(`PoolinGH - ${formatDuration(state.elapsed)} elapsed`),
+      chalk.bold(`${'Client'.padEnd(16)}${'State'.padEnd(40)}Remaining`),
+    ];
+    for (const client of state.clients) {
+      const label =
+        client.state === 'paused'
+          ? `paused until ${new Date(client.pausedUntil).toISOString()}`
+          : client.state;
+      const color = {
+        idle: chalk.gray,
+        busy: chalk.green,
+        paused: chalk.yellow,
+        revoked: chalk.red,
+      }[client.state];
+      const remaining = Object.entries(client.remaining)
+        .map(([resource, count]) => `${resource} ${count}`)
+        .join(', ');
+      lines.push(
+        `${client.token.padEnd(16)}${color(label.padEnd(40))}${remaining || '-'}`,
+      );
+    }
+    lines.push(formatSummary(state));
+    return lines;
+  }
+
+  /**
+   * Draws the dashboard in place on a TTY, or writes a summary line otherwise.
+   * @returns {void}
+   */
+  _draw() {
+    if (!this._tty) {
+      this._stream.write(`[dashboard] ${formatSummary(this.getState())}\n`);
+      return;
+    }
+
+    const lines = this.render();
+    const reset =
+      this._lineCount > 0 ? `${CURSOR_UP(this._lineCount)}${CLEAR_DOWN}` : '';
+    this._stream.write(`${reset}${lines.join('\n')}\n`);
+    this._lineCount = lines.length;
+  }
+}
+
+/**
+ * Formats the summary of the state of the pool on one line.
+ * @param {Object} state The state of the pool (see GitHubApiDashboard.getState).
+ * @returns {string} The summary.
+ */
+function formatSummary(state) {
+  return [
+    `queue: ${state.waiting} waiting, ${state.inFlight} in flight`,
+    `done: ${state.done}`,
+    `throughput: ${state.throughput.toFixed(1)} req/s`,
+    `errors: ${state.errors}`,
+    `aborts: ${state.aborts}`,
+    `ETA: ${state.eta === null ? 'unknown' : formatDuration(state.eta)}`,
+  ].join(' | ');
+}
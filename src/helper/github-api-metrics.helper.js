@@ -0,0 +1,379 @@
+// IMPORTS
+
+import * as http from 'http';
+
+// CONSTANTS
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // Upper bounds of the latency histogram buckets, in seconds.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'; // Prometheus text exposition format.
+
+/**
+ * Collects the metrics of a GitHub API queue from its events: requests by status and resource, retries and aborts by error category,
+ * latency histograms per resource, queue depth, requests in flight, remaining budget per client and resource, time spent paused per client,
+ * and quota efficiency. The metrics are given as a snapshot or in the Prometheus text format.
+ */
+export class GitHubApiMetrics {
+  /**
+   * Creates a collector of metrics.
+   * @param {Object} options The options of the collector.
+   * @param {Array[Number]} options.buckets The upper bounds of the latency histogram buckets (in seconds). Default is 0.1s to 60s.
+   * @param {string} options.prefix The prefix of the names of the Prometheus metrics. Default is 'poolingh_'.
+   */
+  constructor(options = {}) {
+    this._buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort(
+      (a, b) => a - b,
+    );
+    this._prefix = options.prefix ?? 'poolingh_';
+    this._queue = null;
+    this._startedAt = Date.now();
+    this._requests = new Map(); // Request counts indexed by status and resource.
+    this._retries = {}; // Retry counts indexed by error category.
+    this._aborts = {}; // Abort counts indexed by error category.
+    this._latencies = {}; // Latency histograms indexed by resource.
+    this._remaining = {}; // Remaining requests indexed by client and resource.
+    this._pauses = {}; // Pauses indexed by client ({ resources, since, total }).
+  }
+
+  /**
+   * Attaches the collector to a queue, whose events (including the forwarded events of its clients) feed the metrics.
+   * @param {GitHubApiQueue} queue The queue.
+   * @returns {void}
+   */
+  attach(queue) {
+    this._queue = queue;
+    queue.on('request:success', (event) => this._recordSuccess(event));
+    queue.on('request:retry', (event) => {
+      this._retries[event.category] = (this._retries[event.category] || 0) + 1;
+      this._recordFailure(event);
+    });
+    queue.on('request:abort', (event) => {
+      this._aborts[event.category] = (this._aborts[event.category] || 0) + 1;
+      this._recordFailure(event);
+    });
+    queue.on('ratelimit:update', ({ token, resource, remainingRequests }) => {
+      this._remaining[token] = {
+        ...this._remaining[token],
+        [resource]: remainingRequests,
+      };
+    });
+    queue.on('client:paused', (event) => this._recordPause(event));
+    queue.on('client:resumed', (event) => this._recordResume(event));
+  }
+
+  /**
+   * Gives a snapshot of the metrics.
+   * The quota efficiency is the share of the requests consuming the rate limit (i.e., with a response other than 304 Not Modified) that succeeded.
+   * @returns {Object} The snapshot: the time, the start time of the collection, the requests ({ status, resource, count }), the retries and aborts
+   * per error category, the latency histogram per resource ({ count, sum, buckets } with the cumulative count of each bucket, { le, count }, and its upper bound in seconds), the queue
+   * depth, the requests in flight, the number of failed requests, the remaining requests per client and resource, the time spent paused per client
+   * (in milliseconds), and the quota efficiency (null before the first response).
+   */
+  getSnapshot() {
+    const time = Date.now();
+    const requests = [...this._requests.values()].map((entry) => ({
+      ...entry,
+    }));
+    const consumed = requests
+      .filter((entry) => typeof entry.status === 'number')
+      .filter((entry) => entry.status !== 304)
+      .reduce((sum, entry) => sum + entry.count, 0);
+    const succeeded = requests
+      .filter((entry) => entry.status >= 200 && entry.status < 300)
+      .reduce((sum, entry) => sum + entry.count, 0);
+
+    const paused = {};
+    for (const [token, pause] of Object.entries(this._pauses)) {
+      paused[token] =
+        pause.total + (pause.resources.size > 0 ? time - pause.since : 0);
+    }
+
+    const latencies = {};
+    for (const [resource, histogram] of Object.entries(this._latencies)) {
+      latencies[resource] = {
+        count: histogram.count,
+        sum: histogram.sum,
+        buckets: this._buckets.map((le, index) => ({
+          le,
+          count: histogram.counts[index],
+        })),
+      };
+    }
+
+    return {
+      time,
+      startedAt: this._startedAt,
+      requests,
+      retries: { ...this._retries },
+      aborts: { ...this._aborts },
+      latencies,
+      queueDepth: this._queue?.getQueueLength() ?? 0,
+      inFlight: this._queue?.getInFlightCount?.() ?? 0,
+      failedRequests: this._queue?.getRequestFailCount?.() ?? 0,
+      remaining: Object.fromEntries(
+        Object.entries(this._remaining).map(([token, resources]) => [
+          token,
+          { ...resources },
+        ]),
+      ),
+      paused,
+      quotaEfficiency: consumed > 0 ? succeeded / consumed : null,
+    };
+  }
+
+  /**
+   * Gives the metrics in the Prometheus text exposition format.
+   * @returns {string} The metrics.
+   */
+  toPrometheus() {
+    const snapshot = this.getSnapshot();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${this._prefix}${name} ${help}`);
+      lines.push(`# TYPE ${this._prefix}${name} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(
+          `${this._prefix}${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`,
+        );
+      }
+    };
+
+    metric(
+      'requests_total',
+      'counter',
+      'Requests sent to the GitHub API, by status and resource.',
+      snapshot.requests.map(({ status, resource, count }) => [
+        '',
+        { status, resource },
+        count,
+      ]),
+    );
+    metric(
+      'request_retries_total',
+      'counter',
+      'Requests retried, by error category.',
+      Object.entries(snapshot.retries).map(([category, count]) => [
+        '',
+        { category },
+        count,
+      ]),
+    );
+    metric(
+      'request_aborts_total',
+      'counter',
+      'Requests abandoned, by error category.',
+      Object.entries(snapshot.aborts).map(([category, count]) => [
+        '',
+        { category },
+        count,
+      ]),
+    );
+    metric(
+      'request_duration_seconds',
+      'histogram',
+      'Latency of the requests, by resource.',
+      Object.entries(snapshot.latencies).flatMap(([resource, histogram]) => [
+        ...histogram.buckets.map(({ le, count }) => [
+          '_bucket',
+          { resource, le },
+          count,
+        ]),
+        ['_bucket', { resource, le: '+Inf' }, histogram.count],
+        ['_sum', { resource }, histogram.sum],
+        ['_count', { resource }, histogram.count],
+      ]),
+    );
+    metric('queue_depth', 'gauge', 'Requests waiting in the queue.', [
+      ['', {}, snapshot.queueDepth],
+    ]);
+    metric('requests_in_flight', 'gauge', 'Requests in flight.', [
+      ['', {}, snapshot.inFlight],
+    ]);
+    metric(
+      'failed_requests',
+      'gauge',
+      'Requests abandoned after too many errors.',
+      [['', {}, snapshot.failedRequests]],
+    );
+    metric(
+      'rate_limit_remaining',
+      'gauge',
+      'Remaining requests of the clients, by client and resource.',
+      Object.entries(snapshot.remaining).flatMap(([client, resources]) =>
+        Object.entries(resources).map(([resource, remaining]) => [
+          '',
+          { client, resource },
+          remaining,
+        ]),
+      ),
+    );
+    metric(
+      'client_paused_seconds_total',
+      'counter',
+      'Time spent paused by the clients, by client.',
+      Object.entries(snapshot.paused).map(([client, duration]) => [
+        '',
+        { client },
+        duration / 1000,
+      ]),
+    );
+    metric(
+      'quota_efficiency',
+      'gauge',
+      'Share of the requests consuming the rate limit that succeeded.',
+      snapshot.quotaEfficiency === null
+        ? []
+        : [['', {}, snapshot.quotaEfficiency]],
+    );
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serves the metrics on a local HTTP /metrics endpoint in the Prometheus text format.
+   * @param {Number} port The port of the endpoint. Default is 9464. 0 picks a free port.
+   * @param {string} host The host of the endpoint. Default is '127.0.0.1' (local only).
+   * @returns {Promise<http.Server>} The listening server, to close once done.
+   */
+  serve(port = 9464, host = '127.0.0.1') {
+    const server = http.createServer((request, response) => {
+      if (
+        request.method !== 'GET' ||
+        request.url.split('?')[0] !== '/metrics'
+      ) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not Found\n');
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      response.end(this.toPrometheus());
+    });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Records a successful request, unless it was not sent (i.e., memoized).
+   * @param {Object} event The request:success event.
+   * @returns {void}
+   */
+  _recordSuccess({ request, response, startedAt, duration }) {
+    if (startedAt == null) return;
+
+    const resource = request.getResource();
+    const status = response?.fromCache ? 304 : (response?.status ?? 200);
+    this._countRequest(status, resource);
+    this._observe(resource, duration);
+  }
+
+  /**
+   * Records a failed request, unless it was abandoned before being sent (e.g., canceled while waiting).
+   * @param {Object} event The request:retry or request:abort event.
+   * @returns {void}
+   */
+  _recordFailure({ request, error, category, startedAt, duration }) {
+    if (startedAt == null) return;
+
+    const resource = request.getResource();
+    const status =
+      error?.status ??
+      error?.response?.status ??
+      (category === 'canceled' ? 'canceled' : 'network');
+    this._countRequest(status, resource);
+    this._observe(resource, duration);
+  }
+
+  /**
+   * Increments the count of requests of a status and resource.
+   * @param {Number|string} status The HTTP status, or canceled or network without response.
+   * @param {string} resource The resource.
+   * @returns {void}
+   */
+  _countRequest(status, resource) {
+    const key = `${status} ${resource}`;
+    if (!this._requests.has(key)) {
+      this._requests.set(key, { status, resource, count: 0 });
+    }
+    this._requests.get(key).count++;
+  }
+
+  /**
+   * Adds a latency to the histogram of a resource.
+   * @param {string} resource The resource.
+   * @param {Number} duration The latency (in milliseconds).
+   * @returns {void}
+   */
+  _observe(resource, duration) {
+    if (duration == null) return;
+
+    if (!this._latencies[resource]) {
+      this._latencies[resource] = {
+        count: 0,
+        sum: 0,
+        counts: this._buckets.map(() => 0),
+      };
+    }
+    const histogram = this._latencies[resource];
+    const seconds = duration / 1000;
+    histogram.count++;
+    histogram.sum += seconds;
+    this._buckets.forEach((bound, index) => {
+      if (seconds <= bound) histogram.counts[index]++;
+    });
+  }
+
+  /**
+   * Records the pause of a client or of one of its resources. A client is paused as long as one of its resources is.
+   * @param {Object} event The client:paused event.
+   * @returns {void}
+   */
+  _recordPause({ token, resource, time }) {
+    if (!this._pauses[token]) {
+      this._pauses[token] = { resources: new Set(), since: 0, total: 0 };
+    }
+    const pause = this._pauses[token];
+    if (pause.resources.size === 0) pause.since = time;
+    pause.resources.add(resource);
+  }
+
+  /**
+   * Records the resume of a client or of one of its resources.
+   * @param {Object} event The client:resumed event.
+   * @returns {void}
+   */
+  _recordResume({ token, resource, time }) {
+    const pause = this._pauses[token];
+    if (!pause || !pause.resources.delete(resource)) return;
+    if (pause.resources.size === 0) pause.total += time - pause.since;
+  }
+}
+
+/**
+ * Formats the labels of a Prometheus sample.
+ * @param {Object} labels The labels.
+ * @returns {string} The formatted labels (e.g., {status="200",resource="search"}), or nothing without label.
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries
+    .map(
+      ([name, value]) =>
+        `${name}="${`${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`,
+    )
+    .join(',')}}`;
+}
+
+/**
+ * Formats the value of a Prometheus sample.
+ * @param {Number} value The value.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return `${value}`;
+}
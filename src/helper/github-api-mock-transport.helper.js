@@ -0,0 +1,348 @@
+// IMPORTS
+
+import { createHash } from 'crypto';
+import { getResource } from './github-api-resource.helper.js';
+
+// CONSTANTS
+
+const BASE_URL = 'https://api.github.com';
+const MAX_SEARCH_RESULT_COUNT = 1000; // The GitHub Search API returns at most 1,000 results per query.
+const DEFAULT_RATE_LIMITS = {
+  core: { limit: 5000, window: 60 * 60 * 1000 },
+  search: { limit: 30, window: 60 * 1000 },
+  code_search: { limit: 10, window: 60 * 1000 },
+  graphql: { limit: 5000, window: 60 * 60 * 1000 },
+};
+const SECONDARY_RATE_LIMIT_MESSAGE =
+  'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.';
+
+/**
+ * Simulates the GitHub API in process, as a transport of the GitHub API clients, to exercise a whole pool offline (e.g., in CI).
+ * It generates search results with pagination (Link header) and the 1,000-result cap, tracks the rate limit of each token per resource
+ * with the x-ratelimit-* headers (403 once exhausted), and serves the /rate_limit and /user endpoints. Failures (e.g., 403, 429, 5xx,
+ * secondary rate limits) can be injected, and custom routes can be added for the other endpoints. It can also stand for a GitHub Enterprise
+ * Server instance, served under its base URL (e.g., https://github.example.com/api/v3) and possibly with rate limiting disabled.
+ */
+export class GitHubApiMockTransport {
+  /**
+   * Creates a mock GitHub API.
+   * @param {Object} options The options of the mock.
+   * @param {Number|Function} options.totalCount The total number of results of a search query, or a function giving it from the query and the URL. Default is 100 results.
+   * @param {Object} options.rateLimits The rate limit per resource ({ limit, window } with the window in milliseconds), merged with the default ones (e.g., 30 search requests per minute).
+   * @param {Number} options.latency The latency of each response (in milliseconds). Default is 0ms.
+   * @param {string} options.baseUrl The base URL of the API, whose path prefixes the paths of the routes. Default is 'https://api.github.com'.
+   * @param {boolean} options.rateLimiting Whether the rate limits are enforced and reported; without them, the /rate_limit endpoint is not found, as on an Enterprise Server instance with rate limiting disabled. Default is true.
+   */
+  constructor(options = {}) {
+    this._totalCount = options.totalCount ?? 100;
+    this._rateLimits = { ...DEFAULT_RATE_LIMITS };
+    for (const [resource, rateLimit] of Object.entries(
+      options.rateLimits || {},
+    )) {
+      this._rateLimits[resource] = {
+        ...DEFAULT_RATE_LIMITS.core,
+        ...DEFAULT_RATE_LIMITS[resource],
+        ...rateLimit,
+      };
+    }
+    this._latency = options.latency ?? 0;
+    this._baseUrl = (options.baseUrl || BASE_URL).replace(/\/+$/, '');
+    this._rateLimiting = options.rateLimiting ?? true;
+    this._buckets = new Map(); // Rate limit buckets indexed by token and resource.
+    this._routes = [];
+    this._failures = [];
+    this._requests = [];
+  }
+
+  /**
+   * Adds a custom route. The custom routes take precedence over the built-in ones.
+   * @param {string} method The HTTP method (e.g., GET or POST).
+   * @param {string|RegExp} pathname The path of the route (e.g., /repos/PoolinGH/poolingh) or a pattern matching it.
+   * @param {Function} handler The function giving the response ({ status, data, headers }) from the request ({ method, url, token, data }).
+   * @returns {GitHubApiMockTransport} The mock, for chaining.
+   */
+  route(method, pathname, handler) {
+    this._routes.push({ method: method.toUpperCase(), pathname, handler });
+    return this;
+  }
+
+  /**
+   * Injects a failure in the next requests (whatever their route).
+   * @param {Number} status The HTTP status of the failure (e.g., 403, 429, or 502).
+   * @param {Object} options The options of the failure.
+   * @param {Number} options.count The number of requests failing. Default is 1 request.
+   * @param {string} options.message The message of the response body. Default is a generic message.
+   * @param {Object} options.headers The additional headers of the response (e.g., retry-after).
+   * @returns {GitHubApiMockTransport} The mock, for chaining.
+   */
+  fail(status, options = {}) {
+    for (let i = 0; i < (options.count ?? 1); i++) {
+      this._failures.push({
+        status,
+        message: options.message || `Mock error ${status}`,
+        headers: options.headers || {},
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Injects an exceeded secondary rate limit (403 with a secondary rate limit message) in the next requests.
+   * @param {Object} options The options of the failure.
+   * @param {Number} options.count The number of requests failing. Default is 1 request.
+   * @param {Number} options.retryAfter The Retry-After header (in seconds), if any.
+   * @returns {GitHubApiMockTransport} The mock, for chaining.
+   */
+  failSecondaryRateLimit(options = {}) {
+    return this.fail(403, {
+      count: options.count,
+      message: SECONDARY_RATE_LIMIT_MESSAGE,
+      headers:
+        options.retryAfter != null
+          ? { 'retry-after': `${options.retryAfter}` }
+          : {},
+    });
+  }
+
+  /**
+   * Gives the requests received so far.
+   * @returns {Array[Object]} The requests ({ method, url, token, data, time }).
+   */
+  getRequests() {
+    return this._requests;
+  }
+
+  /**
+   * Sends an HTTP request to the mock, with the axios semantics.
+   * @param {Object} config The config of the request ({ url, method, headers, data }).
+   * @returns {Promise<Object>} The response ({ status, data, headers }); rejected with an error carrying the response for a non-2xx status.
+   */
+  request(config) {
+    return new Promise((resolve) => setTimeout(resolve, this._latency)).then(
+      () => {
+        const response = this._handle(config);
+        if (response.status >= 200 && response.status < 300) return response;
+
+        const error = new Error(
+          `Request failed with status code ${response.status}`,
+        );
+        error.config = config;
+        error.response = response;
+        throw error;
+      },
+    );
+  }
+
+  /**
+   * Handles a request.
+   * @param {Object} config The config of the request.
+   * @returns {Object} The response.
+   */
+  _handle(config) {
+    const url = new URL(config.url, `${this._baseUrl}/`);
+    const basePath = new URL(this._baseUrl).pathname.replace(/\/+$/, '');
+    const pathname = url.pathname.startsWith(`${basePath}/`)
+      ? url.pathname.substring(basePath.length)
+      : url.pathname;
+    const request = {
+      method: (config.method || 'GET').toUpperCase(),
+      url: url.toString(),
+      token: `${config.headers?.Authorization || ''}`.replace(
+        /^(Bearer|token)\s+/i,
+        '',
+      ),
+      data: config.data ?? null,
+      time: Date.now(),
+    };
+    this._requests.push(request);
+
+    // The /rate_limit endpoint does not consume the rate limit.
+    if (pathname === '/rate_limit') {
+      if (!this._rateLimiting) {
+        return this._respond(request, 'core', 404, {
+          message: 'Rate limiting is not enabled.',
+        });
+      }
+      return this._respond(
+        request,
+        'core',
+        200,
+        this._getRateLimitStatus(request),
+      );
+    }
+
+    const resource = getResource(request.url);
+    const failure = this._failures.shift();
+    if (failure) {
+      return this._respond(
+        request,
+        resource,
+        failure.status,
+        { message: failure.message },
+        failure.headers,
+      );
+    }
+
+    const bucket = this._getBucket(request.token, resource);
+    if (this._rateLimiting && bucket.used >= this._rateLimits[resource].limit) {
+      return this._respond(request, resource, 403, {
+        message: `API rate limit exceeded for ${resource}.`,
+      });
+    }
+    bucket.used++;
+
+    const route = this._routes.find(
+      (candidate) =>
+        candidate.method === request.method &&
+        (candidate.pathname instanceof RegExp
+          ? candidate.pathname.test(pathname)
+          : candidate.pathname === pathname),
+    );
+    if (route) {
+      const {
+        status = 200,
+        data = null,
+        headers = {},
+      } = route.handler(request);
+      return this._respond(request, resource, status, data, headers);
+    }
+    if (request.method === 'GET' && pathname.startsWith('/search/')) {
+      return this._search(request, resource, url);
+    }
+    if (request.method === 'GET' && pathname === '/user') {
+      const id = parseInt(
+        createHash('sha256').update(request.token).digest('hex').slice(0, 8),
+        16,
+      );
+      return this._respond(
+        request,
+        resource,
+        200,
+        { login: `user-${id}`, id },
+        { 'x-oauth-scopes': 'repo' },
+      );
+    }
+    return this._respond(request, resource, 404, { message: 'Not Found' });
+  }
+
+  /**
+   * Generates a page of search results.
+   * @param {Object} request The request.
+   * @param {string} resource The resource of the request.
+   * @param {URL} url The URL of the request.
+   * @returns {Object} The response.
+   */
+  _search(request, resource, url) {
+    const query = url.searchParams.get('q') || '';
+    const totalCount =
+      typeof this._totalCount === 'function'
+        ? this._totalCount(query, request.url)
+        : this._totalCount;
+    const perPage = Math.min(
+      100,
+      Math.max(1, parseInt(url.searchParams.get('per_page')) || 30),
+    );
+    const page = Math.max(1, parseInt(url.searchParams.get('page')) || 1);
+    const resultCount = Math.min(totalCount, MAX_SEARCH_RESULT_COUNT);
+    const lastPage = Math.max(1, Math.ceil(resultCount / perPage));
+
+    const items = [];
+    for (
+      let index = (page - 1) * perPage;
+      index < Math.min(page * perPage, resultCount);
+      index++
+    ) {
+      items.push({
+        id: index + 1,
+        name: `repository-${index + 1}`,
+        full_name: `owner/repository-${index + 1}`,
+      });
+    }
+
+    const pageUrl = (number) => {
+      const result = new URL(url);
+      result.searchParams.set('page', `${number}`);
+      return result.toString();
+    };
+    const links = [];
+    if (page < lastPage) links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+    if (page < lastPage) links.push(`<${pageUrl(lastPage)}>; rel="last"`);
+
+    return this._respond(
+      request,
+      resource,
+      200,
+      { total_count: totalCount, incomplete_results: false, items },
+      links.length > 0 ? { link: links.join(', ') } : {},
+    );
+  }
+
+  /**
+   * Gives the rate limit status of a token, as served by the /rate_limit endpoint.
+   * @param {Object} request The request.
+   * @returns {Object} The rate limit status.
+   */
+  _getRateLimitStatus(request) {
+    const resources = {};
+    for (const [resource, rateLimit] of Object.entries(this._rateLimits)) {
+      const bucket = this._getBucket(request.token, resource);
+      resources[resource] = {
+        limit: rateLimit.limit,
+        used: bucket.used,
+        remaining: rateLimit.limit - bucket.used,
+        reset: Math.floor(bucket.resetAt / 1000),
+      };
+    }
+    return { resources, rate: resources.core };
+  }
+
+  /**
+   * Builds a response with the rate limit headers of the token for a resource, if the rate limits are enforced.
+   * @param {Object} request The request.
+   * @param {string} resource The resource of the request.
+   * @param {Number} status The HTTP status.
+   * @param {any} data The body.
+   * @param {Object} headers The additional headers.
+   * @returns {Object} The response.
+   */
+  _respond(request, resource, status, data, headers = {}) {
+    if (!this._rateLimiting) return { status, data, headers: { ...headers } };
+
+    const rateLimit = this._rateLimits[resource];
+    const bucket = this._getBucket(request.token, resource);
+    return {
+      status,
+      data,
+      headers: {
+        'x-ratelimit-limit': `${rateLimit.limit}`,
+        'x-ratelimit-remaining': `${rateLimit.limit - bucket.used}`,
+        'x-ratelimit-reset': `${Math.floor(bucket.resetAt / 1000)}`,
+        'x-ratelimit-used': `${bucket.used}`,
+        'x-ratelimit-resource': resource,
+        ...headers,
+      },
+    };
+  }
+
+  /**
+   * Gives the rate limit bucket of a token for a resource, reset once its window is over.
+   * @param {string} token The token.
+   * @param {string} resource The resource.
+   * @returns {Object} The bucket ({ used, resetAt }).
+   */
+  _getBucket(token, resource) {
+    const key = `${token} ${resource}`;
+    const now = Date.now();
+    let bucket = this._buckets.get(key);
+    if (!bucket || now >= bucket.resetAt) {
+      // The reset time is rounded up to the second, as reported by the x-ratelimit-reset header.
+      bucket = {
+        used: 0,
+        resetAt:
+          Math.ceil((now + this._rateLimits[resource].window) / 1000) * 1000,
+      };
+      this._buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+}
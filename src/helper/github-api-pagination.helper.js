@@ -0,0 +1,43 @@
+/**
+ * Parses a Link header of the GitHub API into its relations.
+ * Example: '<https://api.github.com/...&page=2>; rel="next", <https://api.github.com/...&page=5>; rel="last"'.
+ * @param {string} header The Link header.
+ * @returns {Object} The URLs indexed by relation (e.g., next, prev, first, last).
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  for (const match of header.matchAll(/<([^<]*)>\s*;\s*rel="([^"]+)"/g)) {
+    // A link can declare several relations separated by spaces.
+    for (const relation of match[2].split(/\s+/)) {
+      links[relation] = match[1];
+    }
+  }
+  return links;
+}
+
+/**
+ * Combines the data of several pages of the same request.
+ * Arrays are concatenated, search results are merged into a single list of items, other data is listed page by page.
+ * @param {Array[Object]} responses The responses of the pages, in order.
+ * @returns {any} The combined data.
+ */
+export function combinePageData(responses) {
+  const pages = responses.map((response) => response?.data);
+  if (pages.length > 0 && pages.every((page) => Array.isArray(page))) {
+    return pages.flat();
+  }
+  if (pages.length > 0 && pages.every((page) => Array.isArray(page?.items))) {
+    const combined = {
+      ...pages[0],
+      items: pages.flatMap((page) => page.items),
+    };
+    if ('incomplete_results' in pages[0]) {
+      combined.incomplete_results = pages.some(
+        (page) => page.incomplete_results,
+      );
+    }
+    return combined;
+  }
+  return pages;
+}
@@ -0,0 +1,203 @@
+// IMPORTS
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Manages a JSON-lines journal checkpointing the state of a GitHub Search API queue on disk.
+ * Each line records a step in the life of a request: pending (queued), started (in flight), failed, completed, or abandoned.
+ * The journal is appended synchronously so that the state survives a crash or a restart of the process, and compacted regularly so that it does not grow without bound.
+ */
+export class GitHubApiQueueJournal {
+  /**
+   * Creates a journal stored in a specific file.
+   * @param {string} filePath The path to the journal file. The folder is created if it does not already exist.
+   * @param {Object} options The options of the journal.
+   * @param {Number} options.compactEvery The number of entries appended after which the journal is compacted (see compact), or Infinity to never compact it automatically. Default is 10000 entries.
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this._compactEvery = options.compactEvery ?? 10000;
+    this._appendCount = 0; // Entries appended since the last compaction.
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Gives the path to the journal file.
+   * @returns {string} The path to the journal file.
+   */
+  getFilePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Records that a request is queued.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {void}
+   */
+  pending(request) {
+    this._append({ type: 'pending', request: request.toJSON() });
+  }
+
+  /**
+   * Records that a request is sent by a client.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {void}
+   */
+  started(request) {
+    this._append({ type: 'started', id: request.getId() });
+  }
+
+  /**
+   * Records that a request failed. The failures are counted per URL.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {void}
+   */
+  failed(request) {
+    this._append({
+      type: 'failed',
+      id: request.getId(),
+      url: request.getUrl(),
+    });
+  }
+
+  /**
+   * Records that a request succeeded.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {void}
+   */
+  completed(request) {
+    this._append({ type: 'completed', id: request.getId() });
+  }
+
+  /**
+   * Records that a request is abandoned, e.g., after too many failures, at once for a permanent error, or canceled.
+   * @param {GitHubApiRequest} request The request.
+   * @param {string|null} category The category of the error of the request (see GitHubApiRetryPolicy.classify), e.g., canceled. Default is unknown.
+   * @returns {void}
+   */
+  abandoned(request, category = null) {
+    this._append({ type: 'abandoned', id: request.getId(), category });
+  }
+
+  /**
+   * Reads the state of the queue from the journal.
+   * The requests that were in flight when the journal was last written are considered pending.
+   * @returns {Object} The state: the serialized pending requests in queuing order, the ids of the completed and abandoned requests, the failure count per URL, the total failure count,
+   * and the number of failed requests, i.e., abandoned with another category than canceled (the abandoned requests recorded without category are not counted).
+   */
+  load() {
+    return this._toState(this._read());
+  }
+
+  /**
+   * Reads the internal state of the queue from the journal.
+   * @returns {Object} The internal state, with the pending requests and the categories of the abandoned requests indexed by id.
+   */
+  _read() {
+    const state = {
+      pending: new Map(),
+      completed: [],
+      abandoned: new Map(),
+      errorUrls: {},
+      errorCount: 0,
+    };
+
+    if (!fs.existsSync(this._filePath)) return state;
+
+    const lines = fs.readFileSync(this._filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue; // Ignores a line truncated by a crash.
+      }
+
+      switch (entry.type) {
+        case 'pending':
+          state.pending.set(entry.request.id, entry.request);
+          break;
+        case 'failed':
+          state.errorCount++;
+          state.errorUrls[entry.url] = (state.errorUrls[entry.url] || 0) + 1;
+          break;
+        case 'completed':
+          state.pending.delete(entry.id);
+          state.completed.push(entry.id);
+          break;
+        case 'abandoned':
+          state.pending.delete(entry.id);
+          state.abandoned.set(entry.id, entry.category ?? null);
+          break;
+        default:
+          break; // The started requests remain pending until completed or abandoned.
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Rewrites the journal with the current state only, dropping the history of the completed requests.
+   * The file is replaced atomically. The journal is compacted when restoring a queue, and every compactEvery entries.
+   * @returns {void}
+   */
+  compact() {
+    this._appendCount = 0;
+    const state = this._read();
+    const entries = [
+      ...[...state.pending.values()].map((request) => ({
+        type: 'pending',
+        request,
+      })),
+      ...Object.entries(state.errorUrls).flatMap(([url, count]) =>
+        Array.from({ length: count }, () => ({ type: 'failed', url })),
+      ),
+      ...[...state.abandoned].map(([id, category]) => ({
+        type: 'abandoned',
+        id,
+        category,
+      })),
+    ];
+
+    const temporaryFilePath = `${this._filePath}.tmp`;
+    fs.writeFileSync(
+      temporaryFilePath,
+      entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''),
+    );
+    fs.renameSync(temporaryFilePath, this._filePath);
+  }
+
+  /**
+   * Appends an entry to the journal.
+   * @param {Object} entry The entry.
+   * @returns {void}
+   */
+  _append(entry) {
+    fs.appendFileSync(
+      this._filePath,
+      `${JSON.stringify({ time: Date.now(), ...entry })}\n`,
+    );
+    if (++this._appendCount >= this._compactEvery) this.compact();
+  }
+
+  /**
+   * Converts the internal state of the loading into the returned state.
+   * @param {Object} state The internal state.
+   * @returns {Object} The state.
+   */
+  _toState(state) {
+    const categories = [...state.abandoned.values()];
+    return {
+      ...state,
+      pending: [...state.pending.values()],
+      abandoned: [...state.abandoned.keys()],
+      failedRequestCount: categories.filter(
+        (category) => category !== null && category !== 'canceled',
+      ).length,
+    };
+  }
+}
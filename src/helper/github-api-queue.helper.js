@@ -1,33 +1,141 @@
 // IMPORTS
 
+import { EventEmitter } from 'events';
 import { Logger } from './logger.helper.js';
+import { GitHubApiRequest } from '../model/github-api-request.model.js';
+import { GitHubGraphQLRequest } from '../model/github-graphql-request.model.js';
+import {
+  GitHubApiError,
+  GitHubApiAuthError,
+} from '../model/github-api-error.model.js';
+import { GitHubApiRetryPolicy } from './github-api-retry-policy.helper.js';
+import { GitHubApiThrottle } from './github-api-throttle.helper.js';
+import { GitHubApiMetrics } from './github-api-metrics.helper.js';
 import chalk from 'chalk';
 
+// CONSTANTS
+
+const CLIENT_EVENTS = [
+  'client:paused',
+  'client:resumed',
+  'client:revoked',
+  'ratelimit:update',
+  'ratelimit:secondary',
+];
+const ABORT_REASONS = {
+  permanent: ' (permanent error)',
+  canceled: ' (canceled)',
+  unauthorized: ' (no authorized client left)',
+}; // Suffixes of the abort logs per error category.
+
 /**
  * Manages the GitHub Search API queueing shared between multiple GitHub Search API clients.
+ * Emits the following events: request:start, request:success, request:retry, request:abort, queue:slowdown, queue:unauthorized, and queue:idle.
+ * The events of the clients (client:paused, client:resumed, ratelimit:update, and ratelimit:secondary) are forwarded.
  */
-export class GitHubApiQueue {
+export class GitHubApiQueue extends EventEmitter {
   /**
    * Creates a GitHub Search API queue shared between multiple GitHub Search API clients.
    * @param {Array[GitHubApiClient]} clients The GitHub Search API clients.
    * @param {Number} maxErrorCountPerRequest The error count limit per request before aborting. Default is 5 errors.
    * @param {Number} maxErrorCountInTotal The total error count limit before stopping the entire queue. Default is maxErrorCountPerRequest * 1000 errors.
    * @param {string} loggingPath The path to the log destination folder. Default is './logs'. The folder is created if it does not already exist.
+   * @param {Object} options The options of the queue.
+   * @param {GitHubApiQueueJournal} options.journal The journal checkpointing the state of the queue on disk. Default is no journal.
+   * @param {string} options.strategy The processing order of the requests of the same priority: 'lifo' (last in, first out) or 'fifo' (first in, first out). Default is 'lifo'.
+   * @param {GitHubApiRetryPolicy} options.retryPolicy The policy deciding whether and when a failed request is retried. Can be overridden per request. Default is a GitHubApiRetryPolicy with its default values.
+   * @param {GitHubApiThrottle} options.throttle The throttle regulating the flow of requests of the pool (concurrency, requests per second or minute, delay between two requests from the same client). Default is no limit.
+   * @param {Number} options.secondaryRateLimitInterval The interval between two requests of the pool while it is slowed down after a secondary rate limit (in milliseconds). Default is 1000ms.
+   * @param {boolean} options.dedup Whether the equivalent requests (same method, URL, and body) are merged: a request equivalent to a request waiting or in flight is not sent, and its callback gets the shared result. Paginated requests are not merged. Default is false.
+   * @param {Number} options.memoTtl The duration during which the result of a finished request is reused for the equivalent requests, when merged (in milliseconds). Default is 0ms (no memoization).
+   * @param {Object|Array[Object]|Function} options.network The network options of the clients (see GitHubApiClient.setNetwork): the same options for all the clients, an array of options per client (in the order of the clients), or a function giving the options of a client from the client and its index. Default keeps the network options of the clients.
+   * @param {string} options.enterprise The URL of the GitHub Enterprise Server instance of the clients (see GitHubApiClient.setEnterprise). Default keeps the server of the clients.
+   * @param {Object} options.logger The logger of the pool (see Logger), shared with the clients so that the whole pool writes to the same console and files. Default is a Logger writing to the logging path, the clients keeping their own logger.
+   * @param {GitHubApiMetrics} options.metrics The collector of the metrics of the queue (see getMetrics). Default is a GitHubApiMetrics with its default values.
+   * @param {Array[GitHubApiSink]} options.sinks The outputs the results of the successful requests are written to (see GitHubApiSink), flushed when the queue is stopped. A request is finished once its results are accepted by the sinks. Default is no sink.
+   * @param {string} options.retryPosition The position of a failed request in the processing order among the requests of the same priority: 'first' (processed next) or 'last' (processed after the others). Default is 'last'.
    */
   constructor(
     clients,
     maxErrorCountPerRequest = 5,
     maxErrorCountInTotal = maxErrorCountPerRequest * 1000,
     loggingPath = './logs',
+    options = {},
   ) {
+    super();
     this._clients = clients;
     this._queries = [];
     this._isStopped = false;
     this._errorCount = 0;
     this._errorUrls = {};
+    this._failedRequestCount = 0; // Abandoned requests, canceled ones excepted.
     this._maxErrorCountPerRequest = maxErrorCountPerRequest;
     this._maxErrorCountInTotal = maxErrorCountInTotal;
-    this._logger = new Logger(loggingPath);
+    this._journal = options.journal || null;
+    this._strategy = options.strategy || 'lifo';
+    this._retryPosition = options.retryPosition || 'last';
+    this._retryPolicy = options.retryPolicy || new GitHubApiRetryPolicy();
+    this._retryTimers = new Map(); // Requests waiting for their retry, indexed by timer.
+    this._secondaryRateLimitInterval =
+      options.secondaryRateLimitInterval ?? 1000;
+    this._throttle = options.throttle || new GitHubApiThrottle();
+    this._dedup = options.dedup ?? false;
+    this._memoTtl = options.memoTtl ?? 0;
+    this._inProgress = new Map(); // Requests waiting or in flight, with their duplicates, indexed by key.
+    this._memo = new Map(); // Results of the finished requests, indexed by key, in expiry order.
+    if (!['lifo', 'fifo'].includes(this._strategy)) {
+      throw new Error(`unknown strategy: ${this._strategy}`);
+    }
+    if (!['first', 'last'].includes(this._retryPosition)) {
+      throw new Error(`unknown retry position: ${this._retryPosition}`);
+    }
+    this._isStarted = false;
+    this._isIdle = false;
+    this._inFlightCount = 0;
+    this._inFlight = new Map(); // Requests in flight ({ controller, interrupted, canceled, promise }), indexed by request.
+    this._watchedSignals = new WeakSet();
+    this._timer = null;
+    this._drains = [];
+    this._sinks = options.sinks || [];
+    this._persisting = new Set(); // Promises recording the requests as completed in the journal once their results are written by the sinks.
+    this._logger = options.logger || new Logger(loggingPath);
+
+    // Shares the logger of the pool with the clients.
+    if (options.logger) {
+      clients.forEach((client) => client.setLogger?.(options.logger));
+    }
+
+    // Sets the network options of the clients, e.g., to route their tokens through different proxies.
+    if (options.network) {
+      clients.forEach((client, index) => {
+        if (typeof client.setNetwork !== 'function') return;
+        const network =
+          typeof options.network === 'function'
+            ? options.network(client, index)
+            : Array.isArray(options.network)
+              ? options.network[index]
+              : options.network;
+        if (network) client.setNetwork(network);
+      });
+    }
+
+    // Switches the clients to an Enterprise Server instance.
+    if (options.enterprise) {
+      clients.forEach((client) => client.setEnterprise?.(options.enterprise));
+    }
+
+    // Forwards the events of the clients.
+    for (const client of clients) {
+      if (typeof client.on !== 'function') continue;
+      for (const event of CLIENT_EVENTS) {
+        client.on(event, (payload) => this.emit(event, payload));
+      }
+      client.on('ratelimit:secondary', (payload) => this._slowDown(payload));
+    }
+
+    // Collects the metrics from the events of the queue.
+    this._metrics = options.metrics || new GitHubApiMetrics();
+    this._metrics.attach(this);
   }
 
   /**
@@ -38,6 +146,14 @@ export class GitHubApiQueue {
     return this._clients;
   }
 
+  /**
+   * Returns the logger of the queue.
+   * @returns The logger.
+   */
+  getLogger() {
+    return this._logger;
+  }
+
   /**
    * Returns the number of requests in the queue.
    * @returns The number of requests in the queue.
@@ -46,117 +162,948 @@ export class GitHubApiQueue {
     return this._queries.length;
   }
 
+  /**
+   * Returns the number of requests in flight.
+   * @returns The number of requests in flight.
+   */
+  getInFlightCount() {
+    return this._inFlightCount;
+  }
+
+  /**
+   * Returns a snapshot of the metrics of the queue (see GitHubApiMetrics.getSnapshot).
+   * @returns The snapshot of the metrics.
+   */
+  getMetrics() {
+    return this._metrics.getSnapshot();
+  }
+
+  /**
+   * Serves the metrics of the queue on a local HTTP /metrics endpoint in the Prometheus text format (see GitHubApiMetrics.serve).
+   * @param {Number} port The port of the endpoint. Default is 9464.
+   * @param {string} host The host of the endpoint. Default is '127.0.0.1' (local only).
+   * @returns {Promise<http.Server>} The listening server, to close once done.
+   */
+  serveMetrics(port = 9464, host = '127.0.0.1') {
+    return this._metrics.serve(port, host).then((server) => {
+      const { port: boundPort } = server.address();
+      this._logger.info(
+        chalk.cyan(`[queue] metrics: http://${host}:${boundPort}/metrics`),
+      );
+      return server;
+    });
+  }
+
+  /**
+   * Checks the health of the tokens of the clients before a run (see GitHubApiClient.validate).
+   * Pulls out of the pool the clients whose token is rejected (401), and the clients whose token belongs to the same account as
+   * the token of another client since they share the same rate limit.
+   * @returns {Promise<Array[Object]>} The reports of the clients, with the reason of their removal from the pool (unauthorized or duplicate), if any.
+   */
+  validate() {
+    const clients = this._clients.filter(
+      (client) => typeof client.validate === 'function',
+    );
+    return Promise.all(clients.map((client) => client.validate())).then(
+      (reports) => {
+        const accounts = new Map(); // Clients indexed by account.
+        const removedClients = new Set();
+
+        const result = reports.map((report, index) => {
+          const client = clients[index];
+          const account = report.id ?? report.login;
+          let removal = null;
+
+          if (!report.valid) {
+            removal = 'unauthorized';
+            this._logger.warn(
+              chalk.yellow(
+                `[queue] caution: client-${report.token} removed, token rejected`,
+              ),
+            );
+          } else if (account != null && accounts.has(account)) {
+            removal = 'duplicate';
+            this._logger.warn(
+              chalk.yellow(
+                `[queue] caution: client-${report.token} removed, same account as client-${accounts.get(account).getToken()} (${report.login})`,
+              ),
+            );
+          } else if (account != null) {
+            accounts.set(account, client);
+          }
+
+          if (removal) removedClients.add(client);
+          return { ...report, removal };
+        });
+
+        this._clients = this._clients.filter(
+          (client) => !removedClients.has(client),
+        );
+        return result;
+      },
+    );
+  }
+
   /**
    * Returns the number of failed requests that have been abandoned.
    * @returns The number of failed requests that have been abandoned.
    */
   getRequestFailCount() {
-    return Object.keys(this._errorUrls).reduce(
-      (acc, url) =>
-        this._errorUrls[url] >= this._maxErrorCountPerRequest ? acc + 1 : acc,
-      0,
-    );
+    return this._failedRequestCount;
   }
 
   /**
-   * Pushes one or several requests to the last position of the queue.
+   * Returns the processing strategy of the queue.
+   * @returns The processing strategy of the queue: 'lifo' (last in, first out) or 'fifo' (first in, first out).
+   */
+  getStrategy() {
+    return this._strategy;
+  }
+
+  /**
+   * Pushes one or several requests to the last position of the queue, among the requests of the same priority.
+   * With the LIFO strategy, the last position is processed first; with the FIFO strategy, it is processed last.
    * @param {Array[GitHubApiRequest]} gitHubApiRequest The GitHub Search API request.
    */
   push(...gitHubApiRequest) {
-    this._queries.push(...gitHubApiRequest);
+    gitHubApiRequest.forEach((request) => this._journal?.pending(request)); // Merged requests included, so that a restore resumes them.
+    const requests = gitHubApiRequest.filter(
+      (request) => !this._deduplicate(request),
+    );
+    requests.forEach((request) => this._insert(request, false));
+    gitHubApiRequest.forEach((request) => this._watch(request));
+    this._wake();
   }
 
   /**
-   * Pushes one or several requests to the first position of the queue.
+   * Pushes one or several requests to the first position of the queue, among the requests of the same priority.
+   * With the LIFO strategy, the first position is processed last; with the FIFO strategy, it is processed first.
    * @param {Array[GitHubApiRequest]} gitHubApiRequest The GitHub Search API request.
    */
   unshift(...gitHubApiRequest) {
-    this._queries.unshift(...gitHubApiRequest);
+    gitHubApiRequest.forEach((request) => this._journal?.pending(request)); // Merged requests included, so that a restore resumes them.
+    const requests = gitHubApiRequest.filter(
+      (request) => !this._deduplicate(request),
+    );
+    [...requests].reverse().forEach((request) => this._insert(request, true)); // Keeps the order of the given requests.
+    gitHubApiRequest.forEach((request) => this._watch(request));
+    this._wake();
+  }
+
+  /**
+   * Restores the pending requests and the error counters of the queue from its journal, e.g., after a crash or a restart.
+   * The requests that were in flight are queued again. The journal is then compacted, so that the next restore does not replay its history again.
+   * @param {Object} callbacks The callback registry, i.e., the callback functions of the requests indexed by name (see the callbackName option of the requests).
+   * @returns {Number} The number of restored requests.
+   */
+  restore(callbacks = {}) {
+    if (!this._journal) throw new Error('no journal to restore from');
+
+    const state = this._journal.load();
+    this._journal.compact?.(); // Drops the history replayed by the load.
+    const requests = state.pending.map((json) =>
+      json.type === 'graphql'
+        ? GitHubGraphQLRequest.fromJSON(json, callbacks)
+        : GitHubApiRequest.fromJSON(json, callbacks),
+    );
+
+    this._errorUrls = state.errorUrls;
+    this._errorCount = state.errorCount;
+    this._failedRequestCount = state.failedRequestCount;
+    requests.forEach((request) => {
+      if (!this._deduplicate(request)) this._insert(request, false); // Already recorded as pending in the journal.
+    });
+    this._wake();
+
+    this._logger.info(
+      chalk.cyan(
+        `[queue] restored: ${requests.length} pending, ${state.completed.length} completed, ${state.abandoned.length} abandoned`,
+      ),
+    );
+    return requests.length;
   }
 
   /**
    * Starts the queue processing.
+   * The processing goes idle once the queue is empty and no client has a request in flight, and wakes up when new requests are queued.
    */
   start() {
     this._logger.info(chalk.cyan('[queue] started'));
+    this._isStarted = true;
     this._process();
   }
 
   /**
    * Stops the queue processing.
+   * The promises returned by drain() are resolved since no more request will be processed. The requests in flight either finish (graceful stop),
+   * or are aborted and put back in the queue, still pending in the journal if any, so that a restart resumes them. The requests waiting for their retry are put back in the queue too.
+   * @param {Object} options The options of the stop.
+   * @param {boolean} options.graceful Whether the requests in flight are awaited rather than aborted. Default is true.
+   * @returns {Promise<void>} A promise resolved once no request is in flight anymore, the sinks are flushed, and the requests whose results are written are recorded as completed in the journal.
    */
-  stop() {
-    this._logger.info(chalk.cyan('[queue] stopped'));
+  stop(options = {}) {
+    const graceful = options.graceful ?? true;
+    this._logger.info(
+      chalk.cyan(
+        `[queue] stopped${graceful ? '' : ', aborting the requests in flight'}`,
+      ),
+    );
     this._isStopped = true;
+    this._clearTimer();
+    // Puts the requests waiting for their retry back in the queue. They are still pending in the journal.
+    this._retryTimers.forEach((request, retryTimer) => {
+      clearTimeout(retryTimer);
+      this._insert(request, this._isRetriedFirst());
+    });
+    this._retryTimers.clear();
+    if (!graceful) {
+      for (const flight of this._inFlight.values()) {
+        flight.interrupted = true;
+        flight.controller.abort(createCanceledError('queue stopped'));
+      }
+    }
+    this._settleDrains();
+    return Promise.all(
+      [...this._inFlight.values()].map((flight) => flight.promise),
+    )
+      .then(() => Promise.all(this._sinks.map((sink) => sink.flush())))
+      .then(
+        () => {},
+        (error) =>
+          this._logger.error(
+            chalk.red(`[queue] sink error: ${describeError(error)}`),
+          ),
+      )
+      .then(() => Promise.all([...this._persisting]))
+      .then(() => {});
+  }
+
+  /**
+   * Cancels the requests matching a predicate, whether waiting in the queue, waiting for a retry, or in flight (aborted).
+   * The canceled requests are abandoned (request:abort event of the canceled category) without counting as errors. The requests merged with a canceled request are handed over to the first of them not canceled, if any.
+   * @param {Function} predicate The function telling whether a request is canceled. Default cancels all the requests.
+   * @returns {Number} The number of canceled requests.
+   */
+  cancel(predicate = () => true) {
+    let count = 0;
+    const canceled = {
+      token: null,
+      error: createCanceledError('request canceled'),
+      category: 'canceled',
+      startedAt: null,
+      duration: null,
+    };
+
+    // Cancels the requests merged with the other requests.
+    for (const entry of this._inProgress.values()) {
+      const duplicates = entry.duplicates.filter((duplicate) =>
+        predicate(duplicate),
+      );
+      entry.duplicates = entry.duplicates.filter(
+        (duplicate) => !duplicates.includes(duplicate),
+      );
+      for (const duplicate of duplicates) {
+        this._abandon(duplicate, { ...canceled, attempt: 0 });
+      }
+      count += duplicates.length;
+    }
+
+    // Cancels the requests waiting in the queue or for their retry.
+    const waiting = this._queries.filter((request) => predicate(request));
+    this._queries = this._queries.filter(
+      (request) => !waiting.includes(request),
+    );
+    for (const [retryTimer, request] of this._retryTimers) {
+      if (!predicate(request)) continue;
+      clearTimeout(retryTimer);
+      this._retryTimers.delete(retryTimer);
+      waiting.push(request);
+    }
+    for (const request of waiting) {
+      this._abandon(request, {
+        ...canceled,
+        attempt: this._errorUrls[request.getUrl()] || 0,
+      });
+    }
+    count += waiting.length;
+
+    // Aborts the requests in flight. Their dispatch abandons them.
+    for (const [request, flight] of this._inFlight) {
+      if (!predicate(request) || flight.canceled) continue;
+      flight.canceled = true;
+      flight.controller.abort(canceled.error);
+      count++;
+    }
+
+    if (count > 0) {
+      this._logger.info(chalk.cyan(`[queue] canceled: ${count} request(s)`));
+      if (this._isStarted && !this._isStopped) this._schedule(0); // Goes idle if nothing is left to do.
+    }
+    return count;
+  }
+
+  /**
+   * Waits for the end of the queue processing.
+   * @returns {Promise<void>} A promise resolved once the queue is empty and no client has a request in flight (or once the queue is stopped), or rejected when the total error count limit is reached.
+   */
+  drain() {
+    if (this._errorCount >= this._maxErrorCountInTotal) {
+      return Promise.reject(new Error('error count too big'));
+    }
+    if (this._isStopped || this._isIdle) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      this._drains.push({ resolve, reject });
+    });
   }
 
   /**
    * Processes the queue.
+   * Performs one iteration and schedules the next one, if any.
    */
   _process() {
-    const queue = () => {
-      // Stops the process if the stop flag is enabled.
-      if (this._isStopped) return;
-
-      // Stops if the error count is too high.
-      if (this._errorCount >= this._maxErrorCountInTotal) {
-        this._logger.error(chalk.red('[queue] error: error count too big'));
-        return;
+    this._timer = null;
+
+    // Stops the process if the stop flag is enabled.
+    if (this._isStopped) return;
+
+    // Stops if the error count is too high.
+    if (this._errorCount >= this._maxErrorCountInTotal) {
+      this._logger.error(chalk.red('[queue] error: error count too big'));
+      this._settleDrains(new Error('error count too big'));
+      return;
+    }
+
+    // Goes idle if there is nothing left to do. Queuing a request wakes the process up.
+    if (
+      this._queries.length === 0 &&
+      this._inFlightCount === 0 &&
+      this._retryTimers.size === 0
+    ) {
+      if (!this._isIdle) {
+        this._logger.info(chalk.cyan('[queue] idle'));
+        this.emit('queue:idle', { time: Date.now() });
       }
+      this._isIdle = true;
+      this._settleDrains();
+      return;
+    }
+    this._isIdle = false;
 
-      // Filters out the available clients.
-      const availableClients = this._clients.filter(
-        (client) => client.isAuthorized() && !client.isBusy(),
-      );
+    // Abandons the queued requests if the tokens of all the clients are rejected, since no client can ever send them. An empty pool waits for clients.
+    if (
+      this._clients.length > 0 &&
+      this._clients.every((client) => client.isRevoked?.())
+    ) {
+      this._abandonUnauthorized();
+      this._schedule(0); // Goes idle if nothing is left to do.
+      return;
+    }
+
+    // Waits if the throttle does not allow the pool to send a request yet.
+    const delay = this._throttle.getDelay(this._inFlightCount);
+    if (delay === Infinity) return; // The end of a request in flight schedules the next iteration.
+    if (delay > 0) {
+      this._schedule(delay);
+      return;
+    }
+
+    // Filters out the available clients. The authorization is checked per request since each resource has its own rate limit.
+    const availableClients = this._clients.filter((client) => !client.isBusy());
 
-      // Waits if no client is available or if the queue is empty.
-      if (this._queries.length === 0 || availableClients.length === 0) {
-        //this.logger.info(`[queue] Waiting 1 sec...`);
-        setTimeout(queue, 1000);
-        return;
+    // Consumes and performs each request from the queue with available clients and returns the result in the callback.
+    let dispatchCount = 0;
+    let nextDelay = 1000;
+    for (const client of availableClients) {
+      if (this._queries.length === 0) break; // Stops if no more requests.
+
+      // Stops if the throttle does not allow the pool to send another request yet.
+      const poolDelay = this._throttle.getDelay(this._inFlightCount);
+      if (poolDelay > 0) {
+        nextDelay = Math.min(nextDelay, poolDelay);
+        break;
       }
 
-      // Consumes and performs each request from the queue with available clients and returns the result in the callback.
-      for (const client of availableClients) {
-        if (this._queries.length === 0) break; // Stops if no more requests.
-
-        const request = this._queries.pop();
-
-        client
-          .request(request.getUrl(), request.getParams())
-          .then((result) => {
-            request.runCallback(result);
-          })
-          .catch((error) => {
-            this._logger.error(chalk.red(`[queue] error: ${error.message}`));
-
-            // Error rates counters.
-            this._errorCount++;
-            if (!this._errorUrls[request.getUrl()]) {
-              this._errorUrls[request.getUrl()] = 1; // Flags the request for error tracking and prevents eventual future idempotent errors.
-            } else {
-              this._errorUrls[request.getUrl()] += 1; // Increments the request error flag to prevents eventual future idempotent errors.
-            }
-
-            // Error rates management.
-            if (
-              this._errorUrls[request.getUrl()] < this._maxErrorCountPerRequest
-            ) {
-              this._logger.info(
-                chalk.green(`[queue] retry: ${request.getUrl()}`),
-              );
-              this.unshift(request); // Repushes the request if the request was not flagged too much.
-            } else {
-              this._logger.error(
-                chalk.red(`[queue] abort: ${request.getUrl()}`), // Aborts request after maximum number of attempts.
-              );
-            }
-          })
-          .finally(() => {
-            setTimeout(queue, 0); // Loops.
-          });
+      // Skips the client if it sent a request too recently.
+      const clientDelay = this._throttle.getClientDelay(client);
+      if (clientDelay > 0) {
+        nextDelay = Math.min(nextDelay, clientDelay);
+        continue;
       }
+
+      const request = this._take(client);
+      if (!request) continue; // Skips the client if it has no budget for the queued requests.
+      dispatchCount++;
+      this._throttle.record(client);
+
+      this._inFlightCount++;
+      this._dispatch(client, request).finally(() => {
+        this._inFlightCount--;
+        this._schedule(0); // Loops.
+      });
+    }
+
+    // Waits if no client is available or if the queue is empty, or until the throttle allows the next request.
+    if (dispatchCount === 0) {
+      //this.logger.info(`[queue] Waiting 1 sec...`);
+      this._schedule(nextDelay);
+    } else if (nextDelay < 1000 && this._queries.length > 0) {
+      this._schedule(nextDelay);
+    }
+  }
+
+  /**
+   * Abandons the queued requests when no client of the pool is authorized anymore, e.g., when the tokens of all the clients are rejected during a run.
+   * The requests are abandoned with an unauthorized error (request:abort event of the unauthorized category), and the queue:unauthorized event is emitted.
+   * @returns {void}
+   */
+  _abandonUnauthorized() {
+    const requests = this._queries.splice(0);
+    if (requests.length === 0) return;
+
+    this._logger.error(
+      chalk.red(
+        `[queue] error: no authorized client left, abandoning ${requests.length} request(s)`,
+      ),
+    );
+    this.emit('queue:unauthorized', {
+      count: requests.length,
+      time: Date.now(),
+    });
+    for (const request of requests) {
+      const attempt = this._errorUrls[request.getUrl()] || 0;
+      this._abandon(request, {
+        token: null,
+        error: new GitHubApiAuthError('no authorized client left', {
+          request,
+          attempt,
+          url: request.getUrl(),
+        }),
+        category: 'unauthorized',
+        attempt,
+        startedAt: null,
+        duration: null,
+      });
+    }
+  }
+
+  /**
+   * Slows down the whole pool after a secondary rate limit of one of its clients.
+   * Secondary rate limits may be shared by the tokens used from the same machine, so the other clients send one request at a time, spaced by an interval, until the cool-down of the client is over and for the same duration afterward.
+   * @param {Object} secondaryRateLimit The ratelimit:secondary event of the client.
+   * @returns {void}
+   */
+  _slowDown({ token, cooldown, resetAt }) {
+    const slowdownUntil = resetAt + cooldown;
+    if (
+      !this._throttle.slowDown(slowdownUntil, this._secondaryRateLimitInterval)
+    ) {
+      return;
+    }
+
+    this._logger.warn(
+      chalk.yellow(
+        `[queue] secondary rate limit: client-${token} exceeded it, slowing down the pool until ${new Date(slowdownUntil).toISOString()}`,
+      ),
+    );
+    this.emit('queue:slowdown', {
+      token,
+      slowdownUntil,
+      time: Date.now(),
+    });
+  }
+
+  /**
+   * Performs a request with a client and returns the result in the callback.
+   * Retries the request in case of error, or aborts it after the maximum number of attempts.
+   * @param {GitHubApiClient} client The client.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {Promise<void>} A promise resolved once the request is handled.
+   */
+  _dispatch(client, request) {
+    const token = client.getToken?.() ?? null;
+    const startedAt = Date.now();
+    const timing = () => ({ startedAt, duration: Date.now() - startedAt });
+
+    const flight = {
+      controller: new AbortController(),
+      interrupted: false, // Aborted by a stop.
+      canceled: false, // Aborted by a cancellation.
+      promise: null,
     };
-    queue(); // Queue entry point.
+    this._inFlight.set(request, flight);
+
+    this._journal?.started(request);
+    this.emit('request:start', { request, token, startedAt });
+
+    flight.promise = client
+      .request(request.getUrl(), request.getParams(), {
+        signal: flight.controller.signal,
+        ...(request.getOptions().timeout
+          ? { timeout: request.getOptions().timeout }
+          : {}),
+      })
+      .then((result) => {
+        this._inFlight.delete(request);
+
+        // Runs the callback and queues the next page of paginated requests, if any.
+        const nextPageRequest = request.complete(result);
+        if (nextPageRequest) {
+          this._logger.info(
+            chalk.cyan(`[queue] next page: ${nextPageRequest.getUrl()}`),
+          );
+          this._journal?.pending(nextPageRequest);
+          this._insert(nextPageRequest, this._strategy === 'fifo'); // Processed next.
+        }
+        const details = { token, response: result, ...timing() };
+        this.emit('request:success', { request, ...details });
+        return Promise.all([
+          this._consume(request, result),
+          this._completeDuplicates(request, details),
+        ]).then(() => {});
+      })
+      .catch((error) => {
+        this._inFlight.delete(request);
+
+        // Puts a request interrupted by a stop back in the queue, without counting an error. It is still pending in the journal.
+        if (flight.interrupted) {
+          this._logger.info(
+            chalk.cyan(`[queue] interrupted: ${request.getUrl()}`),
+          );
+          this._insert(request, true);
+          return;
+        }
+
+        // Abandons a canceled request, without counting an error.
+        if (flight.canceled) {
+          this._abandon(request, {
+            token,
+            error,
+            category: 'canceled',
+            attempt: this._errorUrls[request.getUrl()] || 0,
+            ...timing(),
+          });
+          return;
+        }
+
+        // Error rates counters.
+        this._errorCount++;
+        if (!this._errorUrls[request.getUrl()]) {
+          this._errorUrls[request.getUrl()] = 1; // Flags the request for error tracking and prevents eventual future idempotent errors.
+        } else {
+          this._errorUrls[request.getUrl()] += 1; // Increments the request error flag to prevents eventual future idempotent errors.
+        }
+        this._journal?.failed(request);
+
+        // Attaches the request and the attempt to the error of the GitHub API.
+        const attempt = this._errorUrls[request.getUrl()];
+        if (error instanceof GitHubApiError) {
+          error.request = request;
+          error.attempt = attempt;
+        }
+        // Error rates management.
+        const retryPolicy =
+          request.getOptions().retryPolicy || this._retryPolicy;
+        const category = retryPolicy.classify(error);
+        this._logger.error(
+          chalk.red(`[queue] error: ${describeError(error)}`),
+          {
+            client: token,
+            url: request.getUrl(),
+            status: error?.status ?? error?.response?.status ?? null,
+            attempt,
+            category,
+          },
+        );
+        if (
+          attempt < this._maxErrorCountPerRequest &&
+          retryPolicy.shouldRetry(category, attempt)
+        ) {
+          const delay = retryPolicy.getDelay(category, attempt);
+          this._logger.info(
+            chalk.green(
+              `[queue] retry: ${request.getUrl()}${delay > 0 ? ` (${category} error, in ${delay}ms)` : ''}`,
+            ),
+            { client: token, url: request.getUrl(), attempt, category, delay },
+          );
+          this.emit('request:retry', {
+            request,
+            token,
+            error,
+            category,
+            attempt,
+            delay,
+            ...timing(),
+          });
+          this._retry(request, delay); // Repushes the request if the request was not flagged too much. Still pending in the journal.
+        } else {
+          this._abandon(request, {
+            token,
+            error,
+            category,
+            attempt,
+            ...timing(),
+          }); // Aborts request after maximum number of attempts or at once for a permanent error.
+        }
+      });
+    return flight.promise;
+  }
+
+  /**
+   * Writes the results of a successful request to the sinks of the queue.
+   * The request is finished once the sinks accept its results, so that the pool slows down when they fall behind (backpressure).
+   * It is recorded as completed in the journal only once the sinks have written its results, so that a resume fetches again the results lost by a crash.
+   * @param {GitHubApiRequest} request The request.
+   * @param {Object} response The response of the request.
+   * @returns {Promise<void>} A promise resolved once the sinks accept the results. A sink error is logged, the request is not retried.
+   */
+  _consume(request, response) {
+    return Promise.all(
+      this._sinks.map((sink) => sink.consume(request, response)),
+    ).then(
+      () => this._persist(request),
+      (error) =>
+        this._logger.error(
+          chalk.red(`[queue] sink error: ${describeError(error)}`),
+          { url: request.getUrl() },
+        ),
+    );
+  }
+
+  /**
+   * Records a request as completed in the journal, if any, once the sinks have written its results.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {void}
+   */
+  _persist(request) {
+    if (!this._journal) return;
+
+    const persisting = Promise.all(
+      this._sinks.map((sink) => sink.persisted?.()),
+    )
+      .then(
+        () => this._journal.completed(request),
+        () => {}, // Still pending in the journal. The error is reported by the flush of the sink.
+      )
+      .finally(() => this._persisting.delete(persisting));
+    this._persisting.add(persisting);
+  }
+
+  /**
+   * Abandons a request: records it in the journal, hands over or abandons the requests merged with it, and emits the request:abort event.
+   * @param {GitHubApiRequest} request The request.
+   * @param {Object} details The details of the request:abort event (token, error, category, attempt, startedAt, and duration).
+   * @returns {void}
+   */
+  _abandon(request, details) {
+    if (details.category !== 'canceled') this._failedRequestCount++;
+    this._journal?.abandoned(request, details.category);
+    this.emit('request:abort', { request, ...details });
+    this._abandonDuplicates(request, details);
+    this._logger.error(
+      chalk.red(
+        `[queue] abort: ${request.getUrl()}${ABORT_REASONS[details.category] || ''}`,
+      ),
+      {
+        client: details.token,
+        url: request.getUrl(),
+        attempt: details.attempt,
+        category: details.category,
+      },
+    );
+  }
+
+  /**
+   * Cancels the requests of a signal once it is aborted, or at once if it is already aborted. Each signal is watched once, whatever the number of its requests.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {void}
+   */
+  _watch(request) {
+    const signal = request.getSignal?.();
+    if (!signal) return;
+
+    const cancel = () => this.cancel((query) => query.getSignal?.() === signal);
+    if (signal.aborted) {
+      cancel();
+    } else if (!this._watchedSignals.has(signal)) {
+      this._watchedSignals.add(signal);
+      signal.addEventListener('abort', cancel, { once: true });
+    }
   }
+
+  /**
+   * Merges a request with an equivalent request waiting or in flight, or completes it with the memoized result of an equivalent request.
+   * A merged request stays pending in the journal, if any, until the request it is merged with is completed or abandoned.
+   * @param {GitHubApiRequest} request The request.
+   * @returns {boolean} True if the request is merged or completed, i.e., it is not queued; false otherwise.
+   */
+  _deduplicate(request) {
+    if (!this._dedup || request.isPaginated()) return false;
+
+    const key = request.getKey();
+    const memo = this._getMemo(key);
+    if (memo) {
+      this._logger.info(chalk.cyan(`[queue] memoized: ${request.getUrl()}`));
+      Promise.resolve().then(() =>
+        this._succeed(request, {
+          token: null,
+          response: memo.response,
+          startedAt: null,
+          duration: null,
+        }),
+      );
+      return true;
+    }
+
+    const entry = this._inProgress.get(key);
+    if (entry) {
+      this._logger.info(chalk.cyan(`[queue] duplicate: ${request.getUrl()}`));
+      entry.duplicates.push(request);
+      return true;
+    }
+
+    this._inProgress.set(key, { request, duplicates: [] });
+    return false;
+  }
+
+  /**
+   * Completes the requests merged with a succeeded request with its result, and memoizes the result.
+   * @param {GitHubApiRequest} request The succeeded request.
+   * @param {Object} details The details of the request:success event of the request (token, response, startedAt, and duration).
+   * @returns {Promise<void>} A promise resolved once the sinks accept the results of the merged requests.
+   */
+  _completeDuplicates(request, details) {
+    const key = request.getKey();
+    const entry = this._inProgress.get(key);
+    if (entry?.request !== request) return Promise.resolve();
+
+    this._inProgress.delete(key);
+    if (this._memoTtl > 0) {
+      this._memo.delete(key); // Keeps the expiry order.
+      this._memo.set(key, {
+        response: details.response,
+        expiresAt: Date.now() + this._memoTtl,
+      });
+    }
+    return Promise.all(
+      entry.duplicates.map((duplicate) => this._succeed(duplicate, details)),
+    ).then(() => {});
+  }
+
+  /**
+   * Completes a request merged with a succeeded request or memoized like the succeeded request itself: runs its callback on the result, emits the request:success event, and writes the results to the sinks.
+   * @param {GitHubApiRequest} request The merged or memoized request.
+   * @param {Object} details The details of the request:success event (token, response, startedAt, and duration).
+   * @returns {Promise<void>} A promise resolved once the sinks accept the results.
+   */
+  _succeed(request, details) {
+    try {
+      request.runCallback(details.response);
+    } catch (error) {
+      this._logger.error(chalk.red(`[queue] error: ${error.message}`));
+    }
+    this.emit('request:success', { request, ...details });
+    return this._consume(request, details.response);
+  }
+
+  /**
+   * Hands over or abandons the requests merged with an abandoned request.
+   * When the request is canceled, the first request merged with it takes its place in the queue, the others staying merged with it.
+   * When the request failed, the requests merged with it are abandoned too, with the same details.
+   * @param {GitHubApiRequest} request The abandoned request.
+   * @param {Object} details The details of the request:abort event of the request.
+   * @returns {void}
+   */
+  _abandonDuplicates(request, details) {
+    const key = request.getKey();
+    const entry = this._inProgress.get(key);
+    if (entry?.request !== request) return;
+
+    this._inProgress.delete(key);
+    if (entry.duplicates.length === 0) return;
+
+    if (details.category === 'canceled') {
+      const [primary, ...duplicates] = entry.duplicates;
+      this._inProgress.set(key, { request: primary, duplicates });
+      this._insert(primary, this._strategy === 'fifo'); // Processed next.
+      this._wake();
+      return;
+    }
+
+    for (const duplicate of entry.duplicates) {
+      this._failedRequestCount++;
+      this._journal?.abandoned(duplicate, details.category);
+      this.emit('request:abort', { request: duplicate, ...details });
+    }
+  }
+
+  /**
+   * Gives the memoized result of a key, if not expired. Drops the expired results.
+   * @param {string} key The key of the request.
+   * @returns {Object|null} The memoized result ({ response, expiresAt }); null if none.
+   */
+  _getMemo(key) {
+    const now = Date.now();
+    for (const [memoKey, memo] of this._memo) {
+      if (memo.expiresAt > now) break;
+      this._memo.delete(memoKey);
+    }
+    return this._memo.get(key) || null;
+  }
+
+  /**
+   * Queues a failed request again, after a delay if any.
+   * The queue does not go idle while a request is waiting for its retry.
+   * @param {GitHubApiRequest} request The failed request.
+   * @param {Number} delay The delay before queuing the request again (in milliseconds).
+   * @returns {void}
+   */
+  _retry(request, delay) {
+    const atStart = this._isRetriedFirst();
+
+    if (delay <= 0) {
+      this._insert(request, atStart);
+      return;
+    }
+
+    const retryTimer = setTimeout(() => {
+      this._retryTimers.delete(retryTimer);
+      this._insert(request, atStart);
+    }, delay);
+    this._retryTimers.set(retryTimer, request);
+  }
+
+  /**
+   * Tells whether the retried requests are inserted at the start of the queue, depending on the strategy and the retry position.
+   * @returns {boolean} True if the retried requests are inserted at the start of the queue; false otherwise.
+   */
+  _isRetriedFirst() {
+    return (this._strategy === 'fifo') === (this._retryPosition === 'first');
+  }
+
+  /**
+   * Schedules the next iteration of the process, replacing the one already scheduled if any.
+   * @param {Number} delay The delay before the next iteration (in milliseconds).
+   * @returns {void}
+   */
+  _schedule(delay) {
+    this._clearTimer();
+    this._timer = setTimeout(() => this._process(), delay);
+  }
+
+  /**
+   * Clears the scheduled iteration of the process, if any.
+   * @returns {void}
+   */
+  _clearTimer() {
+    if (this._timer !== null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Wakes the process up if it is idle, e.g., when new requests are queued.
+   * @returns {void}
+   */
+  _wake() {
+    if (this._isStarted && !this._isStopped && this._isIdle) {
+      this._isIdle = false;
+      this._schedule(0);
+    }
+  }
+
+  /**
+   * Settles the promises returned by drain().
+   * @param {Error} error The error rejecting the promises. Default resolves the promises.
+   * @returns {void}
+   */
+  _settleDrains(error) {
+    const drains = this._drains;
+    this._drains = [];
+    for (const drain of drains) {
+      if (error) {
+        drain.reject(error);
+      } else {
+        drain.resolve();
+      }
+    }
+  }
+
+  /**
+   * Takes the next request of the queue that a client is authorized to process, based on the rate limit resource of the request.
+   * The requests are consumed from the end of the queue with the LIFO strategy, and from its beginning with the FIFO strategy.
+   * @param {GitHubApiClient} client The client.
+   * @returns {GitHubApiRequest|null} The request removed from the queue; null if the client cannot process any queued request.
+   */
+  _take(client) {
+    const length = this._queries.length;
+    for (let n = 0; n < length; n++) {
+      const i = this._strategy === 'fifo' ? n : length - 1 - n;
+      if (client.isAuthorized(this._queries[i].getResource())) {
+        return this._queries.splice(i, 1)[0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Inserts a request in the queue, at the first or last position among the requests of the same priority.
+   * The queue is sorted so that the requests of higher priority are at the consumed end of the queue (i.e., its end with the LIFO strategy, and its beginning with the FIFO strategy).
+   * @param {GitHubApiRequest} request The request.
+   * @param {boolean} atStart Whether the request is inserted at the first position among the requests of the same priority; at the last position otherwise.
+   * @returns {void}
+   */
+  _insert(request, atStart) {
+    const rank = (query) =>
+      this._strategy === 'fifo' ? -query.getPriority() : query.getPriority();
+    const requestRank = rank(request);
+
+    // Binary search of the insertion index in the queue sorted by rank.
+    let low = 0;
+    let high = this._queries.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      const middleRank = rank(this._queries[middle]);
+      if (
+        middleRank < requestRank ||
+        (!atStart && middleRank === requestRank)
+      ) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    this._queries.splice(low, 0, request);
+  }
+}
+
+/**
+ * Creates the error of a canceled request, classified in the canceled category by the retry policy.
+ * @param {string} message The message of the error.
+ * @returns {Error} The error.
+ */
+function createCanceledError(message) {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+/**
+ * Describes an error in the logs, with the details of an error of the GitHub API (kind, status, client, attempt, and documentation).
+ * @param {Error} error The error.
+ * @returns {string} The description of the error.
+ */
+function describeError(error) {
+  if (!(error instanceof GitHubApiError)) return error?.message;
+
+  const details = [
+    error.name,
+    error.status,
+    error.token && `client-${error.token}`,
+    error.attempt && `attempt ${error.attempt}`,
+    error.documentationUrl,
+  ].filter((detail) => detail);
+  return `${error.message} (${details.join(', ')})`;
 }
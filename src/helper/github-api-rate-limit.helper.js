@@ -0,0 +1,44 @@
+/**
+ * Tells whether a response of the GitHub API reports an exceeded secondary rate limit (i.e., abuse detection).
+ * Unlike the primary rate limit, it is only reported by the message of the response body, e.g.,
+ * "You have exceeded a secondary rate limit. Please wait a few minutes before you try again."
+ * @param {Object} response The response (403 or 429).
+ * @returns {boolean} True if the secondary rate limit is exceeded; false otherwise.
+ */
+export function isSecondaryRateLimit(response) {
+  if (response?.status !== 403 && response?.status !== 429) return false;
+  const message = `${response.data?.message || ''}`.toLowerCase();
+  return message.includes('secondary rate limit');
+}
+
+/**
+ * Tells whether a response of the GitHub GraphQL API reports an exceeded point budget.
+ * The GraphQL API reports it by an error of type RATE_LIMITED in the response body, possibly with a 200 status.
+ * @param {Object} response The response.
+ * @returns {boolean} True if the point budget is exceeded; false otherwise.
+ */
+export function isGraphQLRateLimit(response) {
+  const errors = response?.data?.errors;
+  return (
+    Array.isArray(errors) &&
+    errors.some((error) => error?.type === 'RATE_LIMITED')
+  );
+}
+
+/**
+ * Gives the point budget reported by the rateLimit field of a response of the GitHub GraphQL API, if the query requested it
+ * (i.e., rateLimit { cost remaining resetAt }).
+ * @param {Object} response The response.
+ * @returns {Object|null} The budget ({ cost, remaining, resetAt }) with the reset time as a timestamp (in milliseconds); null if the field is missing.
+ */
+export function getGraphQLRateLimit(response) {
+  const rateLimit = response?.data?.data?.rateLimit;
+  if (!rateLimit || rateLimit.remaining == null || !rateLimit.resetAt) {
+    return null;
+  }
+  return {
+    cost: rateLimit.cost ?? 1,
+    remaining: rateLimit.remaining,
+    resetAt: Date.parse(rateLimit.resetAt),
+  };
+}
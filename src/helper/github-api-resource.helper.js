@@ -0,0 +1,18 @@
+/**
+ * Gives the rate limit resource (i.e., the bucket) of the GitHub API consumed by a request URL.
+ * GitHub reports the resource in the x-ratelimit-resource header; this is the fallback when the header is missing.
+ * @param {string} url The request URL.
+ * @returns {string} The resource (i.e., search, code_search, graphql, or core).
+ */
+export function getResource(url) {
+  let pathname;
+  try {
+    pathname = new URL(url, 'https://api.github.com').pathname;
+  } catch (error) {
+    return 'core';
+  }
+  if (/\/search\/code\/?$/.test(pathname)) return 'code_search';
+  if (/\/search\//.test(pathname)) return 'search';
+  if (/\/graphql\/?$/.test(pathname)) return 'graphql';
+  return 'core';
+}
@@ -0,0 +1,95 @@
+// IMPORTS
+
+import {
+  isSecondaryRateLimit,
+  isGraphQLRateLimit,
+} from './github-api-rate-limit.helper.js';
+import { NETWORK_ERROR_CODES } from '../model/github-api-error.model.js';
+
+/**
+ * Decides whether and when a failed GitHub API request is retried.
+ * The errors are sorted into categories:
+ * - rate-limit: the primary rate limit is exceeded (403 or 429, or a RATE_LIMITED GraphQL error). The client is paused and the request is retried at once by another client.
+ * - secondary-limit: the secondary rate limit is exceeded (403 or 429 with a secondary rate limit message). The client is paused and the request is retried at once by another client.
+ * - unauthorized: the token of the client is rejected (401). The client is pulled out of rotation and the request is retried at once by another client.
+ * - transient: a network error (e.g., ECONNRESET or a timeout) or a server error (5xx). The request is retried after an exponential backoff with jitter.
+ * - permanent: any other client error (4xx, e.g., 404 or 422). The request fails at once without retrying.
+ * - canceled: the request is canceled (AbortError), e.g., through its AbortSignal. The request fails at once without retrying.
+ * - unknown: any other error. The request is retried at once.
+ * A custom policy can be any object implementing the classify, shouldRetry, and getDelay methods.
+ */
+export class GitHubApiRetryPolicy {
+  /**
+   * Creates a retry policy.
+   * @param {Number} baseDelay The delay before the first retry of a transient error (in milliseconds). Default is 1000ms.
+   * @param {Number} maxDelay The maximum delay before a retry of a transient error (in milliseconds). Default is 60000ms.
+   * @param {Number} factor The multiplication factor of the delay after each attempt. Default is 2.
+   * @param {Number} jitter The maximum fraction of the delay randomly removed to spread the retries, between 0 and 1. Default is 0.5.
+   */
+  constructor(baseDelay = 1000, maxDelay = 60000, factor = 2, jitter = 0.5) {
+    this._baseDelay = baseDelay;
+    this._maxDelay = maxDelay;
+    this._factor = factor;
+    this._jitter = jitter;
+  }
+
+  /**
+   * Sorts an error into a category.
+   * @param {Error} error The error of the request.
+   * @returns {string} The category of the error: rate-limit, secondary-limit, unauthorized, transient, permanent, canceled, or unknown.
+   */
+  classify(error) {
+    const response = error?.response;
+    const status = response?.status;
+
+    if (error?.name === 'AbortError' || error?.code === 'ERR_CANCELED') {
+      return 'canceled';
+    }
+    if (status === 403 || status === 429) {
+      if (isSecondaryRateLimit(response)) return 'secondary-limit';
+      if (
+        status === 429 ||
+        response.headers?.['retry-after'] ||
+        response.headers?.['x-ratelimit-remaining'] === '0'
+      ) {
+        return 'rate-limit';
+      }
+      return 'permanent';
+    }
+    if (isGraphQLRateLimit(response)) return 'rate-limit';
+    if (status === 401) return 'unauthorized';
+    if (status >= 500) return 'transient';
+    if (status >= 400) return 'permanent';
+    if (!response && NETWORK_ERROR_CODES.includes(error?.code)) {
+      return 'transient';
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Tells whether a failed request is retried.
+   * The maximum number of attempts per request is enforced by the queue, which also passes the number of failed attempts so far to custom policies.
+   * @param {string} category The category of the error.
+   * @returns {boolean} True if the request is retried; false otherwise.
+   */
+  shouldRetry(category) {
+    return category !== 'permanent' && category !== 'canceled';
+  }
+
+  /**
+   * Gives the delay before retrying a failed request.
+   * Only transient errors are delayed, exponentially with jitter; the other errors are retried at once.
+   * @param {string} category The category of the error.
+   * @param {Number} attempt The number of failed attempts of the request so far.
+   * @returns {Number} The delay before the retry (in milliseconds).
+   */
+  getDelay(category, attempt) {
+    if (category !== 'transient') return 0;
+
+    const delay = Math.min(
+      this._maxDelay,
+      this._baseDelay * Math.pow(this._factor, attempt - 1),
+    );
+    return Math.round(delay * (1 - this._jitter * Math.random()));
+  }
+}
@@ -0,0 +1,178 @@
+// IMPORTS
+
+import { Logger } from './logger.helper.js';
+import { GitHubApiRequest } from '../model/github-api-request.model.js';
+import chalk from 'chalk';
+
+// CONSTANTS
+
+const DAY_DURATION = 24 * 60 * 60 * 1000; // In milliseconds.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^-?\d+$/;
+
+/**
+ * Splits GitHub Search API queries into slices under the maximum number of results per query.
+ * The GitHub Search API returns at most 1,000 results per query. The splitter reads the total count of a query and
+ * recursively bisects the range of one of its qualifiers (e.g., created:2020-01-01..2020-12-31 or stars:10..500)
+ * until each slice is under the cap. Then, it queues the slices as copies of the original request.
+ */
+export class GitHubApiSearchSplitter {
+  /**
+   * Creates a GitHub Search API splitter queuing its requests in a specific queue.
+   * @param {GitHubApiQueue} queue The queue processing the probes and the slices.
+   * @param {Number} maxResultCount The maximum number of results per slice. Default is 1000 results.
+   * @param {string} loggingPath The path to the log destination folder. Default is './logs'. The folder is created if it does not already exist.
+   * @param {Object} options The options of the splitter.
+   * @param {Object} options.logger The logger of the splitter (see Logger), e.g., the logger of the queue. Default is a Logger writing to the logging path.
+   */
+  constructor(
+    queue,
+    maxResultCount = 1000,
+    loggingPath = './logs',
+    options = {},
+  ) {
+    this._queue = queue;
+    this._maxResultCount = maxResultCount;
+    this._logger = options.logger || new Logger(loggingPath);
+  }
+
+  /**
+   * Splits a search request based on the range of one of its qualifiers and queues the resulting slices.
+   * Each range is probed with a request of one result per page to read its total count before being bisected or queued.
+   * A range that cannot be bisected anymore (e.g., a single day or a single number) is queued as it is.
+   * @param {GitHubApiRequest} request The search request whose URL contains a range for the qualifier (e.g., q=language:js+created:2020-01-01..2020-12-31).
+   * @param {string} qualifier The qualifier whose range is bisected (e.g., created, pushed, stars, size).
+   * @returns {void}
+   */
+  split(request, qualifier) {
+    const range = parseRange(request.getUrl(), qualifier);
+    if (!range) {
+      throw new Error(
+        `no date or numeric range found for the qualifier "${qualifier}" in ${request.getUrl()}`,
+      );
+    }
+    this._probe(request, qualifier, range);
+  }
+
+  /**
+   * Queues a probe reading the total count of a range, then bisects or queues the range.
+   * @param {GitHubApiRequest} request The original search request.
+   * @param {string} qualifier The qualifier whose range is bisected.
+   * @param {Object} range The range to probe.
+   * @returns {void}
+   */
+  _probe(request, qualifier, range) {
+    const url = setRange(request.getUrl(), qualifier, range);
+    const probeUrl = new URL(url);
+    probeUrl.searchParams.set('per_page', '1');
+
+    const probe = new GitHubApiRequest(
+      probeUrl.toString(),
+      request.getParams(),
+      (response) => {
+        const totalCount = response?.data?.total_count ?? 0;
+
+        if (totalCount <= this._maxResultCount) {
+          this._logger.info(
+            chalk.cyan(`[splitter] slice: ${url} (${totalCount} results)`),
+          );
+          this._queue.push(request.withUrl(url));
+          return;
+        }
+
+        const halves = bisectRange(range);
+        if (!halves) {
+          this._logger.warn(
+            chalk.yellow(
+              `[splitter] caution: slice cannot be split anymore, results are truncated: ${url} (${totalCount} results)`,
+            ),
+          );
+          this._queue.push(request.withUrl(url));
+          return;
+        }
+
+        this._logger.info(
+          chalk.cyan(`[splitter] split: ${url} (${totalCount} results)`),
+        );
+        for (const half of halves) {
+          this._probe(request, qualifier, half);
+        }
+      },
+    );
+
+    this._queue.push(probe);
+  }
+}
+
+/**
+ * Finds the range of a qualifier in the search query of a URL.
+ * @param {string} url The search URL.
+ * @param {string} qualifier The qualifier.
+ * @returns {Object|null} The range ({ type, from, to }) with dates as timestamps (in milliseconds); null if the qualifier has no date or numeric range.
+ */
+function parseRange(url, qualifier) {
+  const query = new URL(url).searchParams.get('q') || '';
+  const match = query.match(qualifierPattern(qualifier));
+  if (!match) return null;
+
+  const [, , from, to] = match;
+  if (DATE_PATTERN.test(from) && DATE_PATTERN.test(to)) {
+    return { type: 'date', from: Date.parse(from), to: Date.parse(to) };
+  }
+  if (NUMBER_PATTERN.test(from) && NUMBER_PATTERN.test(to)) {
+    return { type: 'number', from: Number(from), to: Number(to) };
+  }
+  return null;
+}
+
+/**
+ * Replaces the range of a qualifier in the search query of a URL.
+ * @param {string} url The search URL.
+ * @param {string} qualifier The qualifier.
+ * @param {Object} range The new range ({ type, from, to }).
+ * @returns {string} The URL with the new range.
+ */
+function setRange(url, qualifier, range) {
+  const format = (value) =>
+    range.type === 'date'
+      ? new Date(value).toISOString().substring(0, 10)
+      : `${value}`;
+
+  const result = new URL(url);
+  const query = result.searchParams.get('q') || '';
+  result.searchParams.set(
+    'q',
+    query.replace(
+      qualifierPattern(qualifier),
+      (_, prefix) =>
+        `${prefix}${qualifier}:${format(range.from)}..${format(range.to)}`,
+    ),
+  );
+  return result.toString();
+}
+
+/**
+ * Bisects a range into two halves. Dates are bisected by day.
+ * @param {Object} range The range ({ type, from, to }).
+ * @returns {Array[Object]|null} The two halves; null if the range cannot be bisected.
+ */
+function bisectRange(range) {
+  const step = range.type === 'date' ? DAY_DURATION : 1;
+  const stepCount = Math.round((range.to - range.from) / step);
+  if (stepCount < 1) return null;
+
+  const middle = range.from + Math.floor(stepCount / 2) * step;
+  return [
+    { ...range, to: middle },
+    { ...range, from: middle + step },
+  ];
+}
+
+/**
+ * Builds the pattern matching the range of a qualifier in a search query.
+ * @param {string} qualifier The qualifier.
+ * @returns {RegExp} The pattern.
+ */
+function qualifierPattern(qualifier) {
+  return new RegExp(`(^|\\s)${qualifier}:([^\\s.]+)\\.\\.([^\\s.]+)`);
+}
@@ -0,0 +1,629 @@
+// IMPORTS
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+// CONSTANTS
+
+const TABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Writes the results of GitHub API requests to an output, e.g., a file or a database.
+ * The results are the items of a search, the elements of a list, or the response body itself. They are deduplicated by id, stamped with the query they
+ * come from, buffered, and written by batches, each batch in one go so that an interruption does not leave a partial result behind.
+ * A sink plugs in as the callback of requests (see callback), or as an output of a queue (see the sinks option of GitHubApiQueue), which waits for its sinks to
+ * accept the results of a request before finishing it (backpressure), waits for them to be written before recording the request as completed in its
+ * journal (see persisted), and flushes them when stopped.
+ * A custom sink can be any object implementing the consume and flush methods, and optionally the persisted method (the results are then considered written
+ * once consumed).
+ */
+export class GitHubApiSink {
+  /**
+   * Creates a sink.
+   * @param {Object} options The options of the sink.
+   * @param {boolean} options.dedup Whether the results whose id was already written are dropped. Default is true.
+   * @param {string|null} options.queryField The field recording the query of each result, or null to not record it. Default is '_query'.
+   * @param {Number} options.batchSize The number of results buffered before they are written. Default is 100 results.
+   * @param {Function} options.filter The function telling whether the results of a request of a queue are written, e.g., to skip some requests. Default writes the results of all the requests.
+   */
+  constructor(options = {}) {
+    this._dedup = options.dedup ?? true;
+    this._queryField =
+      options.queryField === undefined ? '_query' : options.queryField;
+    this._batchSize = options.batchSize ?? 100;
+    this._filter = options.filter || (() => true);
+    this._ids = new Set(); // Ids of the results already written.
+    this._buffer = []; // Results waiting to be written ({ item, query }).
+    this._waiting = []; // Settlers of the persisted promises of the buffered results ({ resolve, reject }).
+    this._count = 0;
+    this._duplicateCount = 0;
+    this._opening = null;
+    this._flushing = Promise.resolve();
+    this._closing = null;
+    this._error = null; // First write error, reported by the next flushes.
+  }
+
+  /**
+   * Returns the number of results written.
+   * @returns {Number} The number of results written.
+   */
+  getCount() {
+    return this._count;
+  }
+
+  /**
+   * Returns the number of results dropped because their id was already written.
+   * @returns {Number} The number of duplicate results.
+   */
+  getDuplicateCount() {
+    return this._duplicateCount;
+  }
+
+  /**
+   * Gives a callback writing the results of a request to the sink, to pass to the request.
+   * The queue does not wait for a callback, so the results pile up in memory if the sink falls behind; prefer the sinks option of the queue for large runs.
+   * @param {string|null} query The query recorded with the results. Default is no query.
+   * @returns {Function} The callback.
+   */
+  callback(query = null) {
+    return (response) => {
+      this.write(extractItems(response?.data), query).catch(() => {}); // The error is reported by the next flush.
+    };
+  }
+
+  /**
+   * Writes the results of a request of a queue, recorded with the query of the request (or its URL if it has no search query).
+   * @param {GitHubApiRequest} request The request.
+   * @param {Object} response The response of the request.
+   * @returns {Promise<void>} A promise resolved once the sink is ready for more results.
+   */
+  consume(request, response) {
+    if (!this._filter(request)) return Promise.resolve();
+    return this.write(extractItems(response?.data), getQuery(request));
+  }
+
+  /**
+   * Writes results to the sink. They are buffered until the batch is full.
+   * @param {Array[any]} items The results.
+   * @param {string|null} query The query recorded with the results. Default is no query.
+   * @returns {Promise<void>} A promise resolved once the sink is ready for more results, i.e., once the pending batch is written.
+   */
+  write(items, query = null) {
+    if (this._closing) return Promise.reject(new Error('sink closed'));
+
+    items.forEach((item) => this._buffer.push({ item, query }));
+    return this._buffer.length >= this._batchSize
+      ? this.flush()
+      : this._flushing;
+  }
+
+  /**
+   * Tells once the results written to the sink so far are written to the output, i.e., once their batch is flushed.
+   * The write of a batch resolves once the output accepts it (the stream or the database), not once the operating system syncs it to the disk.
+   * @returns {Promise<void>} A promise resolved once the results are written, or rejected with the write error of their batch.
+   */
+  persisted() {
+    if (this._buffer.length === 0) return this._flushing;
+    return new Promise((resolve, reject) =>
+      this._waiting.push({ resolve, reject }),
+    );
+  }
+
+  /**
+   * Writes the buffered results to the output in one batch.
+   * @returns {Promise<void>} A promise resolved once the batch is written, or rejected with the first write error of the sink.
+   */
+  flush() {
+    const waiting = this._waiting.splice(0); // The results buffered so far are all in this batch.
+    this._flushing = this._flushing
+      .then(() => {
+        if (this._error) throw this._error;
+        return this._open();
+      })
+      .then(() => {
+        const records = this._buffer.splice(0).filter(({ item }) => {
+          if (!this._dedup || item?.id == null) return true;
+          if (this._ids.has(`${item.id}`)) {
+            this._duplicateCount++;
+            return false;
+          }
+          this._ids.add(`${item.id}`);
+          return true;
+        });
+        if (records.length === 0) return;
+        return Promise.resolve(this._writeRecords(records)).then(() => {
+          this._count += records.length;
+        });
+      })
+      .then(
+        () => waiting.forEach(({ resolve }) => resolve()),
+        (error) => {
+          this._fail(error);
+          waiting.forEach(({ reject }) => reject(this._error));
+          throw this._error;
+        },
+      );
+    return this._flushing;
+  }
+
+  /**
+   * Flushes the buffered results and closes the output. The sink does not accept results anymore.
+   * @returns {Promise<void>} A promise resolved once the output is closed.
+   */
+  close() {
+    if (!this._closing) {
+      const flushed = this.flush();
+      this._closing = flushed
+        .catch(() => {})
+        .then(() => this._closeOutput())
+        .then(() => flushed);
+    }
+    return this._closing;
+  }
+
+  /**
+   * Records an error of the output, reported by the next flushes.
+   * @param {Error} error The error.
+   * @returns {void}
+   */
+  _fail(error) {
+    this._error = this._error || error;
+  }
+
+  /**
+   * Records the query of a result in its query field, if any.
+   * @param {any} item The result.
+   * @param {string|null} query The query of the result.
+   * @returns {any} The result with its query.
+   */
+  _stamp(item, query) {
+    if (!this._queryField || !isRecord(item)) return item;
+    return { ...item, [this._queryField]: query };
+  }
+
+  /**
+   * Opens the output on the first flush, and loads the ids of the results it already contains.
+   * @returns {Promise<void>} A promise resolved once the output is open.
+   */
+  _open() {
+    if (!this._opening) {
+      this._opening = Promise.resolve()
+        .then(() => this._openOutput())
+        .then((ids) => ids.forEach((id) => this._ids.add(`${id}`)));
+    }
+    return this._opening;
+  }
+
+  /**
+   * Opens the output. Implemented by the sinks.
+   * @returns {Array[any]|Promise<Array[any]>} The ids of the results the output already contains.
+   */
+  _openOutput() {
+    return [];
+  }
+
+  /**
+   * Writes a batch of results to the output. Implemented by the sinks.
+   * @param {Array[Object]} records The results with their query ({ item, query }).
+   * @returns {void|Promise<void>} A promise resolved once the batch is written.
+   */
+  _writeRecords() {}
+
+  /**
+   * Closes the output. Implemented by the sinks.
+   * @returns {void|Promise<void>} A promise resolved once the output is closed.
+   */
+  _closeOutput() {}
+}
+
+/**
+ * Writes the results of GitHub API requests as NDJSON, i.e., one JSON object per line.
+ * When appending, the ids of the results already in the file are loaded to keep deduplicating them, and a last line truncated by a crash is dropped.
+ */
+export class GitHubApiNdjsonSink extends GitHubApiSink {
+  /**
+   * Creates an NDJSON sink.
+   * @param {string|Object} destination The path to the file (its folder is created if it does not already exist), or a writable stream (e.g., the standard output).
+   * @param {Object} options The options of the sink (see GitHubApiSink).
+   * @param {boolean} options.append Whether the results are appended to the file rather than overwriting it, e.g., to resume a run. Default is false.
+   */
+  constructor(destination, options = {}) {
+    super(options);
+    this._destination = destination;
+    this._append = options.append ?? false;
+    this._stream = null;
+  }
+
+  _openOutput() {
+    if (typeof this._destination !== 'string') {
+      this._stream = this._destination;
+      return [];
+    }
+
+    const content = prepareFile(
+      this._destination,
+      this._append,
+      (text) => text.lastIndexOf('\n') + 1,
+    );
+    this._stream = openStream(this._destination, (error) => this._fail(error));
+    return content
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line)?.id;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((id) => id != null);
+  }
+
+  _writeRecords(records) {
+    return writeChunk(
+      this._stream,
+      records
+        .map(
+          ({ item, query }) => `${JSON.stringify(this._stamp(item, query))}\n`,
+        )
+        .join(''),
+    );
+  }
+
+  _closeOutput() {
+    return closeStream(this._stream, this._destination);
+  }
+}
+
+/**
+ * Writes the results of GitHub API requests as CSV, with one column per field. The nested fields are flattened into dotted columns (e.g., owner.login),
+ * and the arrays are serialized in JSON.
+ * When appending, the columns are the ones of the header of the file, the ids of the results already in the file (id column) are loaded to keep
+ * deduplicating them, and a last row truncated by a crash is dropped.
+ */
+export class GitHubApiCsvSink extends GitHubApiSink {
+  /**
+   * Creates a CSV sink.
+   * @param {string|Object} destination The path to the file (its folder is created if it does not already exist), or a writable stream (e.g., the standard output).
+   * @param {Object} options The options of the sink (see GitHubApiSink).
+   * @param {Array[string]} options.columns The columns, as dotted paths of the fields of the results (e.g., id, full_name, and owner.login), including the query field to record the query. Default is the flattened fields of the first result, followed by the query field.
+   * @param {boolean} options.append Whether the results are appended to the file rather than overwriting it, e.g., to resume a run. Default is false.
+   */
+  constructor(destination, options = {}) {
+    super(options);
+    this._destination = destination;
+    this._columns = options.columns || null;
+    this._append = options.append ?? false;
+    this._stream = null;
+    this._headerWritten = false;
+  }
+
+  /**
+   * Returns the columns of the CSV.
+   * @returns {Array[string]|null} The columns; null until the first result is written if they are not configured.
+   */
+  getColumns() {
+    return this._columns;
+  }
+
+  _openOutput() {
+    if (typeof this._destination !== 'string') {
+      this._stream = this._destination;
+      return [];
+    }
+
+    const content = prepareFile(
+      this._destination,
+      this._append,
+      (text) => parseCsv(text).end,
+    );
+    this._stream = openStream(this._destination, (error) => this._fail(error));
+    const [header, ...rows] = parseCsv(content).rows;
+    if (!header) return [];
+
+    this._columns = header;
+    this._headerWritten = true;
+    const idIndex = header.indexOf('id');
+    return idIndex < 0
+      ? []
+      : rows.map((row) => row[idIndex]).filter((id) => id);
+  }
+
+  _writeRecords(records) {
+    if (!this._columns) {
+      const columns = flattenFields(records[0].item);
+      if (this._queryField && !columns.includes(this._queryField)) {
+        columns.push(this._queryField);
+      }
+      this._columns = columns;
+    }
+
+    let chunk = '';
+    if (!this._headerWritten) {
+      chunk += formatCsvRow(this._columns);
+      this._headerWritten = true;
+    }
+    for (const { item, query } of records) {
+      chunk += formatCsvRow(
+        this._columns.map((column) =>
+          column === this._queryField ? query : getField(item, column),
+        ),
+      );
+    }
+    return writeChunk(this._stream, chunk);
+  }
+
+  _closeOutput() {
+    return closeStream(this._stream, this._destination);
+  }
+}
+
+/**
+ * Writes the results of GitHub API requests to a table of a local SQLite database, with the id, the query, and the JSON data of each result.
+ * Each batch is written in a transaction. The ids are unique, so the results already in the table are never written twice.
+ * The database is opened with the built-in node:sqlite module (Node.js 22.5 or later), or with the better-sqlite3 package, which must then be installed.
+ */
+export class GitHubApiSqliteSink extends GitHubApiSink {
+  /**
+   * Creates a SQLite sink.
+   * @param {string} filePath The path to the database file. Its folder is created if it does not already exist.
+   * @param {Object} options The options of the sink (see GitHubApiSink). The query is recorded in the query column rather than in a field.
+   * @param {string} options.table The name of the table, created if it does not already exist. Default is 'results'.
+   * @param {boolean} options.append Whether the results are added to the table rather than replacing its rows, e.g., to resume a run. Default is false.
+   * @param {Object} options.database An open database (node:sqlite DatabaseSync or better-sqlite3 Database), left open by the sink. Default opens the database file.
+   */
+  constructor(filePath, options = {}) {
+    super(options);
+    this._filePath = filePath;
+    this._table = options.table || 'results';
+    this._append = options.append ?? false;
+    this._database = options.database || null;
+    this._ownsDatabase = !options.database;
+    this._insert = null;
+    if (!TABLE_NAME_PATTERN.test(this._table)) {
+      throw new Error(`invalid table name: ${this._table}`);
+    }
+  }
+
+  _openOutput() {
+    const database = this._database
+      ? Promise.resolve(this._database)
+      : openDatabase(this._filePath);
+    return database.then((database) => {
+      this._database = database;
+      database.exec(
+        `CREATE TABLE IF NOT EXISTS ${this._table} (id TEXT UNIQUE, query TEXT, data TEXT NOT NULL)`,
+      );
+      if (!this._append) database.exec(`DELETE FROM ${this._table}`);
+      this._insert = database.prepare(
+        `INSERT OR IGNORE INTO ${this._table} (id, query, data) VALUES (?, ?, ?)`,
+      );
+      return database
+        .prepare(`SELECT id FROM ${this._table} WHERE id IS NOT NULL`)
+        .all()
+        .map((row) => row.id);
+    });
+  }
+
+  _writeRecords(records) {
+    this._database.exec('BEGIN');
+    try {
+      for (const { item, query } of records) {
+        this._insert.run(
+          item?.id == null ? null : `${item.id}`,
+          query,
+          JSON.stringify(item),
+        );
+      }
+      this._database.exec('COMMIT');
+    } catch (error) {
+      this._database.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  _closeOutput() {
+    if (this._ownsDatabase && this._database) this._database.close();
+  }
+}
+
+/**
+ * Gives the results of a response body: the items of a search, the elements of a list, or the body itself.
+ * @param {any} data The response body.
+ * @returns {Array[any]} The results.
+ */
+function extractItems(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.items)) return data.items;
+  return data == null ? [] : [data];
+}
+
+/**
+ * Gives the query of a request: the search query of its URL, the query of a GraphQL request, or its URL otherwise (without the page number).
+ * @param {GitHubApiRequest} request The request.
+ * @returns {string} The query.
+ */
+function getQuery(request) {
+  if (typeof request.getQuery === 'function') return request.getQuery();
+
+  const url = new URL(request.getUrl(), 'https://api.github.com');
+  if (url.searchParams.has('q')) return url.searchParams.get('q');
+  url.searchParams.delete('page');
+  return request.getUrl().startsWith('/')
+    ? `${url.pathname}${url.search}`
+    : url.toString();
+}
+
+/**
+ * Tells whether a result is an object whose fields can be recorded.
+ * @param {any} item The result.
+ * @returns {boolean} True if the result is a plain object; false otherwise.
+ */
+function isRecord(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+/**
+ * Gives the flattened fields of a result, with dotted paths for the nested ones.
+ * @param {any} item The result.
+ * @param {string} prefix The path of the result. Default is the root.
+ * @returns {Array[string]} The fields.
+ */
+function flattenFields(item, prefix = '') {
+  if (!isRecord(item)) return prefix ? [prefix] : ['value'];
+  const fields = Object.keys(item).flatMap((key) =>
+    isRecord(item[key])
+      ? flattenFields(item[key], `${prefix}${key}.`)
+      : [`${prefix}${key}`],
+  );
+  return fields.length > 0 || !prefix ? fields : [prefix.slice(0, -1)];
+}
+
+/**
+ * Gives the value of a field of a result.
+ * @param {any} item The result.
+ * @param {string} field The field, with a dotted path for the nested ones (e.g., owner.login).
+ * @returns {any} The value; undefined if missing.
+ */
+function getField(item, field) {
+  if (!isRecord(item)) return field === 'value' ? item : undefined;
+  return field
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+/**
+ * Formats a row of CSV, with its cells quoted if needed. The objects and arrays are serialized in JSON.
+ * @param {Array[any]} values The values of the cells.
+ * @returns {string} The row, with its line break.
+ */
+function formatCsvRow(values) {
+  const cells = values.map((value) => {
+    if (value == null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${cells.join(',')}\n`;
+}
+
+/**
+ * Parses CSV text.
+ * @param {string} text The text.
+ * @returns {Object} The complete rows, and the end of the last complete row in the text (a last row without line break is incomplete).
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let end = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      end = index + 1;
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  return { rows, end };
+}
+
+/**
+ * Prepares a file before writing to it: creates its folder, then empties it, or drops its incomplete last record when appending.
+ * @param {string} filePath The path to the file.
+ * @param {boolean} append Whether the file is appended to.
+ * @param {Function} getEnd The function giving the end of the last complete record of the content of the file.
+ * @returns {string} The content of the file kept.
+ */
+function prepareFile(filePath, append, getEnd) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  if (!append || !fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, '');
+    return '';
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const kept = content.slice(0, getEnd(content));
+  if (kept.length < content.length) {
+    fs.truncateSync(filePath, Buffer.byteLength(kept));
+  }
+  return kept;
+}
+
+/**
+ * Opens a file for appending.
+ * @param {string} filePath The path to the file.
+ * @param {Function} onError The function called with the errors of the stream, reported by the next flush of the sink.
+ * @returns {Object} The stream of the file.
+ */
+function openStream(filePath, onError) {
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  stream.on('error', onError);
+  return stream;
+}
+
+/**
+ * Writes a chunk to a stream.
+ * @param {Object} stream The stream.
+ * @param {string} chunk The chunk.
+ * @returns {Promise<void>} A promise resolved once the chunk is handed to the underlying resource (e.g., the file), which makes a slow stream slow down the writes.
+ */
+function writeChunk(stream, chunk) {
+  return new Promise((resolve, reject) =>
+    stream.write(chunk, (error) => (error ? reject(error) : resolve())),
+  );
+}
+
+/**
+ * Closes the stream of a file. The streams given to the sinks (e.g., the standard output) are left open.
+ * @param {Object} stream The stream.
+ * @param {string|Object} destination The destination of the sink.
+ * @returns {Promise<void>} A promise resolved once the file is written.
+ */
+function closeStream(stream, destination) {
+  if (!stream || typeof destination !== 'string') return Promise.resolve();
+  return new Promise((resolve, reject) =>
+    stream.end((error) => (error ? reject(error) : resolve())),
+  );
+}
+
+/**
+ * Opens a SQLite database with the built-in node:sqlite module, or with the better-sqlite3 package.
+ * @param {string} filePath The path to the database file.
+ * @returns {Promise<Object>} The database.
+ */
+function openDatabase(filePath) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  return import('node:sqlite')
+    .then(
+      ({ DatabaseSync }) => DatabaseSync,
+      () =>
+        import('better-sqlite3').then(
+          ({ default: Database }) => Database,
+          () => {
+            throw new Error(
+              'no SQLite driver found: use Node.js 22.5 or later, or install better-sqlite3',
+            );
+          },
+        ),
+    )
+    .then((Database) => new Database(filePath));
+}
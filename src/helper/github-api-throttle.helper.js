@@ -0,0 +1,136 @@
+/**
+ * Regulates the flow of requests sent by a pool of GitHub API clients.
+ * Combines a ceiling of concurrent in-flight requests, token buckets limiting the requests per second and per minute,
+ * a minimum delay between two requests from the same client, and a temporary slowdown (one request at a time, spaced by an interval).
+ */
+export class GitHubApiThrottle {
+  /**
+   * Creates a throttle.
+   * @param {Number} maxConcurrentRequests The maximum number of concurrent in-flight requests of the pool. Default is Infinity.
+   * @param {Number} requestsPerSecond The maximum number of requests per second of the pool. Default is Infinity.
+   * @param {Number} requestsPerMinute The maximum number of requests per minute of the pool. Default is Infinity.
+   * @param {Number} minClientRequestInterval The minimum delay between two requests from the same client (in milliseconds). Default is 0ms.
+   */
+  constructor(
+    maxConcurrentRequests = Infinity,
+    requestsPerSecond = Infinity,
+    requestsPerMinute = Infinity,
+    minClientRequestInterval = 0,
+  ) {
+    this._maxConcurrentRequests = maxConcurrentRequests;
+    this._buckets = [
+      createBucket(requestsPerSecond, 1000),
+      createBucket(requestsPerMinute, 60 * 1000),
+    ].filter((bucket) => bucket !== null);
+    this._minClientRequestInterval = minClientRequestInterval;
+    this._clientRequestAt = new Map();
+    this._slowdownUntil = 0;
+    this._slowdownInterval = 0;
+    this._lastRequestAt = 0;
+  }
+
+  /**
+   * Slows down the pool until a given time: one request at a time, spaced by an interval.
+   * A slowdown never shortens a slowdown already in progress.
+   * @param {Number} slowdownUntil The end of the slowdown (timestamp in milliseconds).
+   * @param {Number} interval The interval between two requests during the slowdown (in milliseconds).
+   * @returns {boolean} True if the slowdown is extended; false otherwise.
+   */
+  slowDown(slowdownUntil, interval) {
+    if (slowdownUntil <= this._slowdownUntil) return false;
+    this._slowdownUntil = slowdownUntil;
+    this._slowdownInterval = interval;
+    return true;
+  }
+
+  /**
+   * Tells whether the pool is slowed down.
+   * @returns {boolean} True if the pool is slowed down; false otherwise.
+   */
+  isSlowedDown() {
+    return Date.now() < this._slowdownUntil;
+  }
+
+  /**
+   * Gives the delay before the pool can send its next request.
+   * @param {Number} inFlightCount The number of in-flight requests of the pool.
+   * @returns {Number} The delay (in milliseconds); Infinity if the pool has to wait for the end of an in-flight request.
+   */
+  getDelay(inFlightCount) {
+    const now = Date.now();
+    const maxConcurrentRequests = this.isSlowedDown()
+      ? 1
+      : this._maxConcurrentRequests;
+    if (inFlightCount >= maxConcurrentRequests) return Infinity;
+
+    let delay = 0;
+    if (this.isSlowedDown()) {
+      delay = this._lastRequestAt + this._slowdownInterval - now;
+    }
+    for (const bucket of this._buckets) {
+      refill(bucket, now);
+      if (bucket.tokens < 1) {
+        delay = Math.max(delay, Math.ceil((1 - bucket.tokens) / bucket.rate));
+      }
+    }
+    return Math.max(0, delay);
+  }
+
+  /**
+   * Gives the delay before a client can send its next request.
+   * @param {GitHubApiClient} client The client.
+   * @returns {Number} The delay (in milliseconds).
+   */
+  getClientDelay(client) {
+    const requestAt = this._clientRequestAt.get(client);
+    if (requestAt === undefined) return 0;
+    return Math.max(0, requestAt + this._minClientRequestInterval - Date.now());
+  }
+
+  /**
+   * Records a request sent by a client, consuming the budget of the pool.
+   * @param {GitHubApiClient} client The client.
+   * @returns {void}
+   */
+  record(client) {
+    const now = Date.now();
+    for (const bucket of this._buckets) {
+      refill(bucket, now);
+      bucket.tokens -= 1;
+    }
+    this._lastRequestAt = now;
+    if (this._minClientRequestInterval > 0) {
+      this._clientRequestAt.set(client, now);
+    }
+  }
+}
+
+/**
+ * Creates a token bucket allowing a number of requests per period, with a burst of at most one period.
+ * @param {Number} limit The number of requests per period.
+ * @param {Number} period The period (in milliseconds).
+ * @returns {Object|null} The bucket; null if the number of requests is not limited.
+ */
+function createBucket(limit, period) {
+  if (!Number.isFinite(limit)) return null;
+  return {
+    capacity: Math.max(1, limit),
+    rate: limit / period, // Tokens per millisecond.
+    tokens: Math.max(1, limit),
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Refills a token bucket according to the elapsed time.
+ * @param {Object} bucket The bucket.
+ * @param {Number} now The current timestamp (in milliseconds).
+ * @returns {void}
+ */
+function refill(bucket, now) {
+  bucket.tokens = Math.min(
+    bucket.capacity,
+    bucket.tokens + (now - bucket.updatedAt) * bucket.rate,
+  );
+  bucket.updatedAt = now;
+}
@@ -1,61 +1,209 @@
 // IMPORTS
 
 import winston from 'winston';
+import * as fs from 'fs';
 import * as path from 'path';
+import { stripVTControlCharacters } from 'util';
+
+// CONSTANTS
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const FORMATS = ['text', 'json'];
+const winstonLoggers = new Map(); // Winston loggers indexed by configuration, shared by the loggers of the same configuration.
 
 /**
  * Manages the application logs.
+ * The loggers of the same configuration (e.g., the clients and the queue of a pool logging in the same folder) share their console and files,
+ * opened on their first log only. The messages are colored on a TTY console only, never in the files.
+ * A custom logger can be any object implementing the info, warn, and error methods, and optionally the debug method, which take a message and its structured fields.
  */
 export class Logger {
   /**
    * Creates a logger with the specified log directory.
-   * @param {String} logDirectory The specified log directory. Default is '/logs'.
-   */
-  constructor(logDirectory = 'logs') {
-    this.logger = winston.createLogger({
-      level: 'info', // Minimum log level.
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.printf(
-          ({ timestamp, level, message }) =>
-            `${timestamp} [${level.toUpperCase()}] ${message}`,
+   * @param {String|null} logDirectory The specified log directory. Default is 'logs'. Null logs to the console only.
+   * @param {Object} options The options of the logger.
+   * @param {string} options.level The minimum level of the logged messages: 'error', 'warn', 'info', or 'debug'. Default is 'info'.
+   * @param {string} options.format The format of the logs: 'text' (one line per message) or 'json' (one JSON object per message, with its structured fields). Default is 'text'.
+   * @param {boolean} options.console Whether the messages are logged to the console. Default is true.
+   * @param {boolean} options.colors Whether the messages are colored on the console. Default is true if the standard output is a TTY.
+   * @param {boolean} options.silent Whether nothing is logged, e.g., when used as a library. Default is false.
+   */
+  constructor(logDirectory = 'logs', options = {}) {
+    this._logDirectory = logDirectory;
+    this._options = {
+      level: options.level || 'info',
+      format: options.format || 'text',
+      console: options.console ?? true,
+      colors: options.colors ?? Boolean(process.stdout.isTTY),
+      silent: options.silent ?? false,
+    };
+    if (!LEVELS.includes(this._options.level)) {
+      throw new Error(`unknown log level: ${this._options.level}`);
+    }
+    if (!FORMATS.includes(this._options.format)) {
+      throw new Error(`unknown log format: ${this._options.format}`);
+    }
+  }
+
+  /**
+   * Logs a debug message.
+   * @param {string} message The message.
+   * @param {Object} fields The structured fields of the message (e.g., client, url, status, or remaining). Default is no field.
+   * @returns {void}
+   */
+  debug(message, fields = {}) {
+    this._log('debug', message, fields);
+  }
+
+  /**
+   * Logs an informative message.
+   * @param {string} message The message.
+   * @param {Object} fields The structured fields of the message (e.g., client, url, status, or remaining). Default is no field.
+   * @returns {void}
+   */
+  info(message, fields = {}) {
+    this._log('info', message, fields);
+  }
+
+  /**
+   * Logs a warning.
+   * @param {string} message The message.
+   * @param {Object} fields The structured fields of the message (e.g., client, url, status, or remaining). Default is no field.
+   * @returns {void}
+   */
+  warn(message, fields = {}) {
+    this._log('warn', message, fields);
+  }
+
+  /**
+   * Logs an error.
+   * @param {string} message The message.
+   * @param {Object} fields The structured fields of the message (e.g., client, url, status, or remaining). Default is no field.
+   * @returns {void}
+   */
+  error(message, fields = {}) {
+    this._log('error', message, fields);
+  }
+
+  /**
+   * Flushes and closes the console and files of the logger, e.g., before exiting. They are opened again on the next log.
+   * @returns {Promise<void>} A promise resolved once the logs are written.
+   */
+  close() {
+    const key = this._getKey();
+    const entry = winstonLoggers.get(key);
+    if (!entry) return Promise.resolve();
+
+    winstonLoggers.delete(key);
+    const loggerFinished = new Promise((resolve) =>
+      entry.logger.once('finish', resolve),
+    );
+    entry.logger.end();
+    return loggerFinished
+      .then(() =>
+        Promise.all(
+          entry.streams.map(
+            (stream) =>
+              new Promise((resolve) => {
+                stream.once('finish', resolve);
+                stream.end();
+              }),
+          ),
         ),
-      ),
-      transports: [
-        //new winston.transports.Console({
-        //  level: 'error',
-        //}),
-        new winston.transports.Console(),
-        new winston.transports.File({
-          filename: path.join(logDirectory, 'info.log'),
-          level: 'info',
-        }),
-        new winston.transports.File({
-          filename: path.join(logDirectory, 'warn.log'),
-          level: 'warn',
-        }),
-        new winston.transports.File({
-          filename: path.join(logDirectory, 'error.log'),
-          level: 'error',
-        }),
-        new winston.transports.File({
-          filename: path.join(logDirectory, 'combined.log'),
-        }),
-      ],
-    });
-  }
-
-  info(message) {
-    this.logger.info(message);
-  }
-
-  warn(message) {
-    this.logger.warn(message);
-  }
-
-  error(message) {
-    this.logger.error(message);
+      )
+      .then(() => {});
   }
+
+  /**
+   * Logs a message at a level, opening the console and files on the first log.
+   * @param {string} level The level of the message.
+   * @param {string} message The message.
+   * @param {Object} fields The structured fields of the message.
+   * @returns {void}
+   */
+  _log(level, message, fields) {
+    if (this._options.silent) return;
+
+    const key = this._getKey();
+    if (!winstonLoggers.has(key)) {
+      winstonLoggers.set(
+        key,
+        createWinstonLogger(this._logDirectory, this._options),
+      );
+    }
+    winstonLoggers.get(key).logger.log({ level, message, fields });
+  }
+
+  /**
+   * Gives the key of the configuration of the logger, shared by the loggers of the same configuration.
+   * @returns {string} The key.
+   */
+  _getKey() {
+    return JSON.stringify([this._logDirectory, this._options]);
+  }
+}
+
+/**
+ * Creates a winston logger writing to the console and to the info, warn, error, and combined files of a directory.
+ * @param {string|null} logDirectory The log directory, if any.
+ * @param {Object} options The options of the logger.
+ * @returns {Object} The winston logger and the streams of its files ({ logger, streams }).
+ */
+function createWinstonLogger(logDirectory, options) {
+  const transports = [];
+  const streams = [];
+  if (options.console) {
+    transports.push(
+      new winston.transports.Console({
+        format: createFormat(options.format, options.colors),
+      }),
+    );
+  }
+  if (logDirectory) {
+    // The files are opened here rather than by the winston file transports, to be able to wait for them to be written when closing.
+    fs.mkdirSync(logDirectory, { recursive: true });
+    const format = createFormat(options.format, false);
+    for (const [fileName, level] of [
+      ['info.log', 'info'],
+      ['warn.log', 'warn'],
+      ['error.log', 'error'],
+      ['combined.log', undefined],
+    ]) {
+      const stream = fs.createWriteStream(path.join(logDirectory, fileName), {
+        flags: 'a',
+      });
+      streams.push(stream);
+      transports.push(new winston.transports.Stream({ stream, level, format }));
+    }
+  }
+  return {
+    logger: winston.createLogger({ level: options.level, transports }),
+    streams,
+  };
 }
 
-export const logger = new Logger();
+/**
+ * Creates the format of the logs.
+ * @param {string} format The format: 'text' or 'json'.
+ * @param {boolean} colors Whether the color codes of the messages are kept.
+ * @returns {winston.Logform.Format} The winston format.
+ */
+function createFormat(format, colors) {
+  return winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, fields }) => {
+      const text = colors
+        ? `${message}`
+        : stripVTControlCharacters(`${message}`);
+      if (format === 'json') {
+        return JSON.stringify({
+          timestamp,
+          level,
+          message: stripVTControlCharacters(`${message}`),
+          ...fields,
+        });
+      }
+      return `${timestamp} [${level.toUpperCase()}] ${text}`;
+    }),
+  );
+}
@@ -1,44 +1,789 @@
+import { EventEmitter } from 'events';
+import { Server } from 'http';
+
+export interface GitHubApiRequestOptions {
+  paginate?: boolean;
+  combinePages?: boolean;
+  maxPageCount?: number;
+  priority?: number;
+  retryPolicy?: GitHubApiRetryPolicyLike;
+  resource?: GitHubApiResource;
+  signal?: AbortSignal;
+  timeout?: number;
+  callbackName?: string;
+}
+
+export interface GitHubApiRequestJSON {
+  id: string;
+  url: string;
+  params: Record<string, any>;
+  options: GitHubApiRequestOptions;
+  pageNumber: number;
+  type?: 'graphql';
+}
+
+export type GitHubApiResource =
+  | 'core'
+  | 'search'
+  | 'code_search'
+  | 'graphql'
+  | (string & {});
+
 export declare class GitHubApiRequest {
   constructor(
     url: string,
     params?: Record<string, any>,
     callback?: (results: any) => any,
+    options?: GitHubApiRequestOptions,
   );
 
+  static fromJSON(
+    json: GitHubApiRequestJSON,
+    callbacks?: Record<string, (results: any) => any>,
+  ): GitHubApiRequest;
+
+  getId(): string;
   getUrl(): string;
   getParams(): Record<string, any>;
   getCallback(): (results: any) => any;
+  getOptions(): GitHubApiRequestOptions;
+  getKey(): string;
+  getPageNumber(): number;
+  getPriority(): number;
+  getResource(): GitHubApiResource;
+  getSignal(): AbortSignal | null;
+  isCanceled(): boolean;
+  isPaginated(): boolean;
   runCallback(results: any): any;
+  toJSON(): GitHubApiRequestJSON;
+  withUrl(url: string): GitHubApiRequest;
+  complete(response: any): GitHubApiRequest | null;
+  getNextPageRequest(response: any): GitHubApiRequest | null;
+}
+
+export interface GitHubGraphQLRequestOptions extends GitHubApiRequestOptions {
+  url?: string;
+  connectionPath?: string;
+  cursorVariable?: string;
+}
+
+export declare class GitHubGraphQLRequest extends GitHubApiRequest {
+  constructor(
+    query: string,
+    variables?: Record<string, any>,
+    callback?: (results: any) => any,
+    options?: GitHubGraphQLRequestOptions,
+  );
+
+  static fromJSON(
+    json: GitHubApiRequestJSON,
+    callbacks?: Record<string, (results: any) => any>,
+  ): GitHubGraphQLRequest;
+
+  getQuery(): string;
+  getVariables(): Record<string, any>;
+  getOptions(): GitHubGraphQLRequestOptions;
+  withUrl(url: string): GitHubGraphQLRequest;
+  withVariables(variables: Record<string, any>): GitHubGraphQLRequest;
+  getNextPageRequest(response: any): GitHubGraphQLRequest | null;
+}
+
+export interface GitHubApiErrorDetails {
+  status?: number | null;
+  githubMessage?: string | null;
+  documentationUrl?: string | null;
+  token?: string | null;
+  attempt?: number | null;
+  request?: GitHubApiRequest | null;
+  url?: string | null;
+  method?: string | null;
+  response?: {
+    status: number;
+    data: any;
+    headers: Record<string, string>;
+  } | null;
+  code?: string | null;
+  cause?: unknown;
+}
+
+export interface GitHubApiErrorJSON {
+  name: string;
+  message: string;
+  status: number | null;
+  githubMessage: string | null;
+  documentationUrl: string | null;
+  token: string | null;
+  attempt: number | null;
+  requestId: string | null;
+  url: string | null;
+  method: string | null;
+  code: string | null;
+}
+
+export const NETWORK_ERROR_CODES: readonly string[];
+
+export declare class GitHubApiError extends Error {
+  constructor(message: string, details?: GitHubApiErrorDetails);
+
+  static from(
+    error: unknown,
+    details?: GitHubApiErrorDetails,
+  ): GitHubApiError | Error;
+
+  status: number | null;
+  githubMessage: string | null;
+  documentationUrl: string | null;
+  token: string | null;
+  attempt: number | null;
+  request: GitHubApiRequest | null;
+  url: string | null;
+  method: string | null;
+  response: {
+    status: number;
+    data: any;
+    headers: Record<string, string>;
+  } | null;
+  code: string | null;
+
+  toJSON(): GitHubApiErrorJSON;
+}
+
+export declare class GitHubApiRateLimitError extends GitHubApiError {
+  resource: GitHubApiResource | null;
+  resetAt: number | null;
+  retryAfter: number | null;
+}
+
+export declare class GitHubApiSecondaryRateLimitError extends GitHubApiError {
+  retryAfter: number | null;
+}
+
+export declare class GitHubApiAuthError extends GitHubApiError {}
+
+export declare class GitHubApiNotFoundError extends GitHubApiError {}
+
+export declare class GitHubApiValidationError extends GitHubApiError {
+  errors: Array<{
+    resource?: string;
+    field?: string;
+    code?: string;
+    message?: string;
+  }>;
+}
+
+export declare class GitHubApiServerError extends GitHubApiError {}
+
+export declare class GitHubApiNetworkError extends GitHubApiError {}
+
+export interface GitHubApiClientPausedEvent {
+  token: string;
+  resource: GitHubApiResource | null;
+  resetAt: number;
+  time: number;
+}
+
+export interface GitHubApiClientResumedEvent {
+  token: string;
+  resource: GitHubApiResource | null;
+  time: number;
+}
+
+export interface GitHubApiRateLimitUpdateEvent {
+  token: string;
+  resource: GitHubApiResource;
+  remainingRequests: number;
+  resetAt: number;
+  time: number;
+}
+
+export interface GitHubApiSecondaryRateLimitEvent {
+  token: string;
+  resource: GitHubApiResource;
+  count: number;
+  cooldown: number;
+  resetAt: number;
+  time: number;
+}
+
+export interface GitHubApiClientRevokedEvent {
+  token: string;
+  time: number;
+}
+
+export interface GitHubApiClientEvents {
+  'client:paused': [GitHubApiClientPausedEvent];
+  'client:resumed': [GitHubApiClientResumedEvent];
+  'client:revoked': [GitHubApiClientRevokedEvent];
+  'ratelimit:update': [GitHubApiRateLimitUpdateEvent];
+  'ratelimit:secondary': [GitHubApiSecondaryRateLimitEvent];
+}
+
+export interface GitHubApiCredentialProvider {
+  getToken(): string | Promise<string>;
+  getLabel(): string;
+  invalidate?(): void;
+  setTransport?(transport: GitHubApiTransport, baseUrl: string): void;
+}
+
+export declare class GitHubTokenCredentials
+  implements GitHubApiCredentialProvider
+{
+  constructor(token: string);
+
+  getToken(): string;
+  getLabel(): string;
+}
+
+export interface GitHubAppCredentialsOptions {
+  baseUrl?: string;
+  refreshMargin?: number;
+  transport?: GitHubApiTransport;
+}
+
+export declare class GitHubAppCredentials
+  implements GitHubApiCredentialProvider
+{
+  constructor(
+    appId: string | number,
+    privateKey: string,
+    installationId: string | number,
+    options?: GitHubAppCredentialsOptions,
+  );
+
+  getToken(): Promise<string>;
+  getLabel(): string;
+  getExpiresAt(): number | null;
+  setTransport(transport: GitHubApiTransport, baseUrl: string): void;
+  invalidate(): void;
+  createJwt(): string;
+}
+
+export interface GitHubApiClientValidationReport {
+  token: string;
+  valid: boolean;
+  login: string | null;
+  id: number | null;
+  scopes: string[] | null;
+  expiresAt: number | null;
+  rateLimits: Record<
+    string,
+    { limit: number; remaining: number; resetAt: number }
+  >;
+  error: string | null;
+}
+
+export interface GitHubApiQueueValidationReport
+  extends GitHubApiClientValidationReport {
+  removal: 'unauthorized' | 'duplicate' | null;
+}
+
+export interface GitHubApiCacheEntry {
+  url: string;
+  etag: string | null;
+  lastModified: string | null;
+  status: number;
+  data: any;
+  link: string | null;
+}
+
+export interface GitHubApiCacheLike {
+  get(url: string): GitHubApiCacheEntry | null;
+  set(url: string, entry: GitHubApiCacheEntry): void;
+}
+
+export declare class GitHubApiCache implements GitHubApiCacheLike {
+  constructor(directoryPath: string);
+
+  getDirectoryPath(): string;
+  get(url: string): GitHubApiCacheEntry | null;
+  set(url: string, entry: GitHubApiCacheEntry): void;
+  delete(url: string): void;
+  clear(): void;
+}
+
+export interface GitHubApiTransportConfig {
+  url: string;
+  method?: string;
+  headers?: Record<string, string>;
+  data?: any;
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+export interface GitHubApiTransportResponse {
+  status: number;
+  data: any;
+  headers: Record<string, any>;
+}
+
+export interface GitHubApiTransport {
+  request(
+    config: GitHubApiTransportConfig,
+  ): Promise<GitHubApiTransportResponse>;
+}
+
+export declare class GitHubApiAxiosTransport implements GitHubApiTransport {
+  constructor(instance?: (config: any) => Promise<any>);
+
+  static create(network?: GitHubApiNetworkOptions): GitHubApiAxiosTransport;
+
+  request(
+    config: GitHubApiTransportConfig,
+  ): Promise<GitHubApiTransportResponse>;
+}
+
+export interface GitHubApiMockRequest {
+  method: string;
+  url: string;
+  token: string;
+  data: any;
+  time: number;
+}
+
+export interface GitHubApiMockTransportOptions {
+  totalCount?: number | ((query: string, url: string) => number);
+  rateLimits?: Record<string, { limit?: number; window?: number }>;
+  latency?: number;
+  baseUrl?: string;
+  rateLimiting?: boolean;
+}
+
+export declare class GitHubApiMockTransport implements GitHubApiTransport {
+  constructor(options?: GitHubApiMockTransportOptions);
+
+  route(
+    method: string,
+    pathname: string | RegExp,
+    handler: (
+      request: GitHubApiMockRequest,
+    ) => Partial<GitHubApiTransportResponse>,
+  ): this;
+  fail(
+    status: number,
+    options?: {
+      count?: number;
+      message?: string;
+      headers?: Record<string, string>;
+    },
+  ): this;
+  failSecondaryRateLimit(options?: {
+    count?: number;
+    retryAfter?: number;
+  }): this;
+  getRequests(): GitHubApiMockRequest[];
+  request(
+    config: GitHubApiTransportConfig,
+  ): Promise<GitHubApiTransportResponse>;
+}
+
+export type LogLevel = 'error' | 'warn' | 'info' | 'debug';
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  format?: 'text' | 'json';
+  console?: boolean;
+  colors?: boolean;
+  silent?: boolean;
+}
+
+export interface LoggerLike {
+  debug?(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+}
+
+export declare class Logger implements LoggerLike {
+  constructor(logDirectory?: string | null, options?: LoggerOptions);
+
+  debug(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+  close(): Promise<void>;
 }
 
-export declare class GitHubApiClient {
+export interface GitHubApiNetworkOptions {
+  proxy?: string;
+  keepAlive?: boolean;
+  keepAliveMsecs?: number;
+  maxSockets?: number;
+  timeout?: number;
+  baseUrl?: string;
+}
+
+export interface GitHubApiClientRequestOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export interface GitHubApiClientOptions {
+  cache?: GitHubApiCacheLike;
+  transport?: GitHubApiTransport;
+  network?: GitHubApiNetworkOptions;
+  enterprise?: string;
+  accept?: string;
+  logger?: LoggerLike;
+}
+
+export declare class GitHubApiClient extends EventEmitter<GitHubApiClientEvents> {
   constructor(
-    token: string,
+    token: string | GitHubApiCredentialProvider,
     safetyRemainingRequestCount?: number,
     tokenResumeBufferTime?: number,
     loggingPath?: string,
+    options?: GitHubApiClientOptions,
   );
 
   getToken(): string;
-  isAuthorized(): boolean;
+  getCredentials(): GitHubApiCredentialProvider;
+  getNetwork(): GitHubApiNetworkOptions;
+  getBaseUrl(): string;
+  setNetwork(network?: GitHubApiNetworkOptions): void;
+  getEnterpriseUrl(): string | null;
+  isRateLimitingEnabled(): boolean;
+  setEnterprise(url: string): void;
+  getLogger(): LoggerLike;
+  setLogger(logger: LoggerLike): void;
+  isAuthorized(resource?: GitHubApiResource): boolean;
+  isRevoked(): boolean;
+  validate(): Promise<GitHubApiClientValidationReport>;
+  revoke(): void;
   isBusy(): boolean;
-  request(url: string, params?: Record<string, any>): Promise<any>;
-  pause(resetAt: Date | number): void;
+  getRemainingRequests(resource: GitHubApiResource): number | null;
+  getResetAt(resource: GitHubApiResource): number | null;
+  request(
+    url: string,
+    params?: Record<string, any>,
+    options?: GitHubApiClientRequestOptions,
+  ): Promise<any>;
+  pause(resetAt: Date | number, resource?: GitHubApiResource): void;
+}
+
+export interface GitHubApiQueueOptions {
+  journal?: GitHubApiQueueJournal;
+  strategy?: 'lifo' | 'fifo';
+  retryPolicy?: GitHubApiRetryPolicyLike;
+  retryPosition?: 'first' | 'last';
+  throttle?: GitHubApiThrottle;
+  dedup?: boolean;
+  memoTtl?: number;
+  enterprise?: string;
+  network?:
+    | GitHubApiNetworkOptions
+    | GitHubApiNetworkOptions[]
+    | ((client: GitHubApiClient, index: number) => GitHubApiNetworkOptions);
+  secondaryRateLimitInterval?: number;
+  logger?: LoggerLike;
+  metrics?: GitHubApiMetrics;
+  sinks?: GitHubApiSinkLike[];
 }
 
-export declare class GitHubApiQueue {
+export interface GitHubApiRequestStartEvent {
+  request: GitHubApiRequest;
+  token: string | null;
+  startedAt: number;
+}
+
+export interface GitHubApiRequestSuccessEvent {
+  request: GitHubApiRequest;
+  token: string | null;
+  response: any;
+  startedAt: number | null;
+  duration: number | null;
+}
+
+export interface GitHubApiRequestFailureEvent
+  extends GitHubApiRequestStartEvent {
+  error: any;
+  attempt: number;
+  duration: number;
+}
+
+export interface GitHubApiRequestRetryEvent
+  extends GitHubApiRequestFailureEvent {
+  category: GitHubApiErrorCategory;
+  delay: number;
+}
+
+export interface GitHubApiRequestAbortEvent {
+  request: GitHubApiRequest;
+  token: string | null;
+  error: any;
+  category: GitHubApiErrorCategory;
+  attempt: number;
+  startedAt: number | null;
+  duration: number | null;
+}
+
+export interface GitHubApiQueueIdleEvent {
+  time: number;
+}
+
+export interface GitHubApiQueueUnauthorizedEvent {
+  count: number;
+  time: number;
+}
+
+export interface GitHubApiQueueSlowdownEvent {
+  token: string;
+  slowdownUntil: number;
+  time: number;
+}
+
+export interface GitHubApiQueueEvents extends GitHubApiClientEvents {
+  'request:start': [GitHubApiRequestStartEvent];
+  'request:success': [GitHubApiRequestSuccessEvent];
+  'request:retry': [GitHubApiRequestRetryEvent];
+  'request:abort': [GitHubApiRequestAbortEvent];
+  'queue:slowdown': [GitHubApiQueueSlowdownEvent];
+  'queue:unauthorized': [GitHubApiQueueUnauthorizedEvent];
+  'queue:idle': [GitHubApiQueueIdleEvent];
+}
+
+export declare class GitHubApiQueue extends EventEmitter<GitHubApiQueueEvents> {
   constructor(
     clients: GitHubApiClient[],
     maxErrorCountPerRequest?: number,
     maxErrorCountInTotal?: number,
     loggingPath?: string,
+    options?: GitHubApiQueueOptions,
   );
 
   getClients(): GitHubApiClient[];
+  getLogger(): LoggerLike;
   getQueueLength(): number;
+  getInFlightCount(): number;
+  getMetrics(): GitHubApiMetricsSnapshot;
+  serveMetrics(port?: number, host?: string): Promise<Server>;
+  getStrategy(): 'lifo' | 'fifo';
   getRequestFailCount(): number;
+  validate(): Promise<GitHubApiQueueValidationReport[]>;
   push(...gitHubApiRequest: GitHubApiRequest[]): void;
   unshift(...gitHubApiRequest: GitHubApiRequest[]): void;
+  restore(callbacks?: Record<string, (results: any) => any>): number;
+  start(): void;
+  stop(options?: { graceful?: boolean }): Promise<void>;
+  cancel(predicate?: (request: GitHubApiRequest) => boolean): number;
+  drain(): Promise<void>;
+}
+
+export interface GitHubApiSearchSplitterOptions {
+  logger?: LoggerLike;
+}
+
+export interface GitHubApiMetricsOptions {
+  buckets?: number[];
+  prefix?: string;
+}
+
+export interface GitHubApiMetricsSnapshot {
+  time: number;
+  startedAt: number;
+  requests: {
+    status: number | 'canceled' | 'network';
+    resource: GitHubApiResource;
+    count: number;
+  }[];
+  retries: Partial<Record<GitHubApiErrorCategory, number>>;
+  aborts: Partial<Record<GitHubApiErrorCategory, number>>;
+  latencies: Partial<
+    Record<
+      GitHubApiResource,
+      { count: number; sum: number; buckets: { le: number; count: number }[] }
+    >
+  >;
+  queueDepth: number;
+  inFlight: number;
+  failedRequests: number;
+  remaining: Record<string, Partial<Record<GitHubApiResource, number>>>;
+  paused: Record<string, number>;
+  quotaEfficiency: number | null;
+}
+
+export declare class GitHubApiMetrics {
+  constructor(options?: GitHubApiMetricsOptions);
+
+  attach(queue: GitHubApiQueue): void;
+  getSnapshot(): GitHubApiMetricsSnapshot;
+  toPrometheus(): string;
+  serve(port?: number, host?: string): Promise<Server>;
+}
+
+export interface GitHubApiDashboardOptions {
+  stream?: NodeJS.WritableStream & { isTTY?: boolean };
+  tty?: boolean;
+  interval?: number;
+  summaryInterval?: number;
+}
+
+export interface GitHubApiDashboardClientState {
+  token: string;
+  state: 'idle' | 'busy' | 'paused' | 'revoked';
+  pausedUntil: number | null;
+  remaining: Partial<Record<GitHubApiResource, number>>;
+}
+
+export interface GitHubApiDashboardState {
+  clients: GitHubApiDashboardClientState[];
+  waiting: number;
+  inFlight: number;
+  done: number;
+  throughput: number;
+  errors: number;
+  aborts: number;
+  eta: number | null;
+  elapsed: number;
+}
+
+export declare class GitHubApiDashboard {
+  constructor(queue: GitHubApiQueue, options?: GitHubApiDashboardOptions);
+
   start(): void;
   stop(): void;
+  getState(): GitHubApiDashboardState;
+  render(): string[];
+}
+
+export interface GitHubApiSinkLike {
+  consume(request: GitHubApiRequest, response: any): Promise<void>;
+  flush(): Promise<void>;
+  persisted?(): Promise<void>;
+}
+
+export interface GitHubApiSinkOptions {
+  dedup?: boolean;
+  queryField?: string | null;
+  batchSize?: number;
+  filter?: (request: GitHubApiRequest) => boolean;
+}
+
+export interface GitHubApiFileSinkOptions extends GitHubApiSinkOptions {
+  append?: boolean;
+}
+
+export interface GitHubApiCsvSinkOptions extends GitHubApiFileSinkOptions {
+  columns?: string[] | null;
+}
+
+export interface GitHubApiSqliteSinkOptions extends GitHubApiFileSinkOptions {
+  table?: string;
+  database?: any;
+}
+
+export declare class GitHubApiSink implements GitHubApiSinkLike {
+  constructor(options?: GitHubApiSinkOptions);
+
+  getCount(): number;
+  getDuplicateCount(): number;
+  callback(query?: string | null): (response: any) => void;
+  consume(request: GitHubApiRequest, response: any): Promise<void>;
+  write(items: any[], query?: string | null): Promise<void>;
+  persisted(): Promise<void>;
+  flush(): Promise<void>;
+  close(): Promise<void>;
+}
+
+export declare class GitHubApiNdjsonSink extends GitHubApiSink {
+  constructor(
+    destination: string | NodeJS.WritableStream,
+    options?: GitHubApiFileSinkOptions,
+  );
+}
+
+export declare class GitHubApiCsvSink extends GitHubApiSink {
+  constructor(
+    destination: string | NodeJS.WritableStream,
+    options?: GitHubApiCsvSinkOptions,
+  );
+
+  getColumns(): string[] | null;
+}
+
+export declare class GitHubApiSqliteSink extends GitHubApiSink {
+  constructor(filePath: string, options?: GitHubApiSqliteSinkOptions);
+}
+
+export declare class GitHubApiSearchSplitter {
+  constructor(
+    queue: GitHubApiQueue,
+    maxResultCount?: number,
+    loggingPath?: string,
+    options?: GitHubApiSearchSplitterOptions,
+  );
+
+  split(request: GitHubApiRequest, qualifier: string): void;
+}
+
+export interface GitHubApiQueueJournalState {
+  pending: GitHubApiRequestJSON[];
+  completed: string[];
+  abandoned: string[];
+  errorUrls: Record<string, number>;
+  errorCount: number;
+  failedRequestCount: number;
+}
+
+export interface GitHubApiQueueJournalOptions {
+  compactEvery?: number;
+}
+
+export declare class GitHubApiQueueJournal {
+  constructor(filePath: string, options?: GitHubApiQueueJournalOptions);
+
+  getFilePath(): string;
+  pending(request: GitHubApiRequest): void;
+  started(request: GitHubApiRequest): void;
+  failed(request: GitHubApiRequest): void;
+  completed(request: GitHubApiRequest): void;
+  abandoned(
+    request: GitHubApiRequest,
+    category?: GitHubApiErrorCategory | null,
+  ): void;
+  load(): GitHubApiQueueJournalState;
+  compact(): void;
+}
+
+export type GitHubApiErrorCategory =
+  | 'rate-limit'
+  | 'secondary-limit'
+  | 'unauthorized'
+  | 'transient'
+  | 'permanent'
+  | 'canceled'
+  | 'unknown'
+  | (string & {});
+
+export interface GitHubApiRetryPolicyLike {
+  classify(error: any): GitHubApiErrorCategory;
+  shouldRetry(category: GitHubApiErrorCategory, attempt: number): boolean;
+  getDelay(category: GitHubApiErrorCategory, attempt: number): number;
+}
+
+export declare class GitHubApiRetryPolicy implements GitHubApiRetryPolicyLike {
+  constructor(
+    baseDelay?: number,
+    maxDelay?: number,
+    factor?: number,
+    jitter?: number,
+  );
+
+  classify(error: any): GitHubApiErrorCategory;
+  shouldRetry(category: GitHubApiErrorCategory): boolean;
+  getDelay(category: GitHubApiErrorCategory, attempt: number): number;
+}
+
+export declare class GitHubApiThrottle {
+  constructor(
+    maxConcurrentRequests?: number,
+    requestsPerSecond?: number,
+    requestsPerMinute?: number,
+    minClientRequestInterval?: number,
+  );
+
+  slowDown(slowdownUntil: number, interval: number): boolean;
+  isSlowedDown(): boolean;
+  getDelay(inFlightCount: number): number;
+  getClientDelay(client: GitHubApiClient): number;
+  record(client: GitHubApiClient): void;
 }
@@ -1,5 +1,19 @@
 // IMPORTS
 
 export * from './model/github-api-request.model.js';
+export * from './model/github-graphql-request.model.js';
+export * from './model/github-api-error.model.js';
 export * from './helper/github-api-client.helper.js';
 export * from './helper/github-api-queue.helper.js';
+export * from './helper/github-api-metrics.helper.js';
+export * from './helper/github-api-dashboard.helper.js';
+export * from './helper/github-api-sink.helper.js';
+export * from './helper/github-api-search-splitter.helper.js';
+export * from './helper/github-api-queue-journal.helper.js';
+export * from './helper/github-api-retry-policy.helper.js';
+export * from './helper/github-api-throttle.helper.js';
+export * from './helper/github-api-credentials.helper.js';
+export * from './helper/github-api-cache.helper.js';
+export * from './helper/github-api-transport.helper.js';
+export * from './helper/github-api-mock-transport.helper.js';
+export * from './helper/logger.helper.js';
@@ -0,0 +1,223 @@
+// IMPORTS
+
+import {
+  isSecondaryRateLimit,
+  isGraphQLRateLimit,
+} from '../helper/github-api-rate-limit.helper.js';
+
+// CONSTANTS
+
+export const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ERR_NETWORK',
+]; // Codes of the network errors, without a response (shared with the retry policy).
+
+/**
+ * Represents an error of the GitHub API, with the details of the failed request.
+ * The subclasses tell the kinds of errors apart: rate limit, secondary rate limit, authentication, not found, validation, server, and network errors.
+ * The other errors of the GitHub API (e.g., 400 or a 403 forbidden access) are instances of this class.
+ */
+export class GitHubApiError extends Error {
+  /**
+   * Creates an error of the GitHub API.
+   * @param {string} message The message of the error.
+   * @param {Object} details The details of the error.
+   * @param {Number} details.status The HTTP status of the response, if any.
+   * @param {string} details.githubMessage The message of the GitHub API in the body of the response (e.g., Validation Failed), if any.
+   * @param {string} details.documentationUrl The URL of the documentation in the body of the response, if any.
+   * @param {string} details.token The shortened token of the client (see GitHubApiClient.getToken), if any.
+   * @param {Number} details.attempt The number of failed attempts of the request so far, if known.
+   * @param {GitHubApiRequest} details.request The request, if known.
+   * @param {string} details.url The request URL, if any.
+   * @param {string} details.method The HTTP method of the request, if any.
+   * @param {Object} details.response The response ({ status, data, headers }), if any.
+   * @param {string} details.code The code of a network error (e.g., ECONNRESET), if any.
+   * @param {Error} details.cause The original error (e.g., the axios error), if any.
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.githubMessage = details.githubMessage ?? null;
+    this.documentationUrl = details.documentationUrl ?? null;
+    this.token = details.token ?? null;
+    this.attempt = details.attempt ?? null;
+    this.request = details.request ?? null;
+    this.url = details.url ?? details.request?.getUrl?.() ?? null;
+    this.method = details.method ?? null;
+    this.response = details.response ?? null;
+    this.code = details.code ?? null;
+  }
+
+  /**
+   * Converts an error of a request (e.g., an axios error) into the matching error of the GitHub API.
+   * An error of the GitHub API gets the given details it does not have yet; a cancellation (AbortError) is kept as is.
+   * @param {Error} error The error.
+   * @param {Object} details The details of the error (see the constructor), e.g., the token of the client and the request URL.
+   * @returns {GitHubApiError|Error} The error of the GitHub API.
+   */
+  static from(error, details = {}) {
+    if (error instanceof GitHubApiError) {
+      for (const [key, value] of Object.entries(details)) {
+        if (error[key] == null && value != null) error[key] = value;
+      }
+      return error;
+    }
+    if (error?.name === 'AbortError' || error?.code === 'ERR_CANCELED') {
+      return error;
+    }
+
+    const response = error?.response || null;
+    const body = response?.data;
+    const githubMessage =
+      body?.message ?? body?.errors?.find((item) => item?.message)?.message;
+    const allDetails = {
+      status: response?.status,
+      githubMessage,
+      documentationUrl: body?.documentation_url,
+      response,
+      code: error?.code,
+      cause: error,
+      ...details,
+    };
+    const suffix =
+      githubMessage && !error?.message?.includes(githubMessage)
+        ? ` (${githubMessage})`
+        : '';
+    const message = `${error?.message || 'GitHub API error'}${suffix}`;
+    const status = response?.status;
+
+    if (!response) {
+      return NETWORK_ERROR_CODES.includes(error?.code)
+        ? new GitHubApiNetworkError(message, allDetails)
+        : new GitHubApiError(message, allDetails);
+    }
+    if ((status === 403 || status === 429) && isSecondaryRateLimit(response)) {
+      return new GitHubApiSecondaryRateLimitError(message, allDetails);
+    }
+    if (
+      isGraphQLRateLimit(response) ||
+      status === 429 ||
+      (status === 403 &&
+        (response.headers?.['retry-after'] ||
+          response.headers?.['x-ratelimit-remaining'] === '0'))
+    ) {
+      return new GitHubApiRateLimitError(message, allDetails);
+    }
+    if (status === 401) return new GitHubApiAuthError(message, allDetails);
+    if (status === 404) return new GitHubApiNotFoundError(message, allDetails);
+    if (status === 422) {
+      return new GitHubApiValidationError(message, allDetails);
+    }
+    if (status >= 500) return new GitHubApiServerError(message, allDetails);
+    return new GitHubApiError(message, allDetails);
+  }
+
+  /**
+   * Gives the serialized form of the error, e.g., for structured logs.
+   * The request is referenced by its identifier and the response is not serialized.
+   * @returns {Object} The serialized error.
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      githubMessage: this.githubMessage,
+      documentationUrl: this.documentationUrl,
+      token: this.token,
+      attempt: this.attempt,
+      requestId: this.request?.getId?.() ?? null,
+      url: this.url,
+      method: this.method,
+      code: this.code,
+    };
+  }
+}
+
+/**
+ * Represents an exceeded primary rate limit (403 or 429 with an exhausted budget or a Retry-After header, or a RATE_LIMITED GraphQL error).
+ */
+export class GitHubApiRateLimitError extends GitHubApiError {
+  /**
+   * Creates an exceeded primary rate limit error.
+   * @param {string} message The message of the error.
+   * @param {Object} details The details of the error (see GitHubApiError).
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    const headers = this.response?.headers || {};
+    this.resource = headers['x-ratelimit-resource'] || null;
+    this.resetAt = headers['x-ratelimit-reset']
+      ? Number.parseInt(headers['x-ratelimit-reset']) * 1000 // * 1000 to convert seconds to milliseconds.
+      : null;
+    this.retryAfter = parseRetryAfter(headers['retry-after']);
+  }
+}
+
+/**
+ * Represents an exceeded secondary rate limit (403 or 429 with a secondary rate limit message).
+ */
+export class GitHubApiSecondaryRateLimitError extends GitHubApiError {
+  /**
+   * Creates an exceeded secondary rate limit error.
+   * @param {string} message The message of the error.
+   * @param {Object} details The details of the error (see GitHubApiError).
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = parseRetryAfter(this.response?.headers?.['retry-after']);
+  }
+}
+
+/**
+ * Represents a rejected token (401).
+ */
+export class GitHubApiAuthError extends GitHubApiError {}
+
+/**
+ * Represents a missing resource (404), or a resource the token cannot see.
+ */
+export class GitHubApiNotFoundError extends GitHubApiError {}
+
+/**
+ * Represents a request rejected by the validation of the GitHub API (422), e.g., an invalid search query.
+ */
+export class GitHubApiValidationError extends GitHubApiError {
+  /**
+   * Creates a validation error.
+   * @param {string} message The message of the error.
+   * @param {Object} details The details of the error (see GitHubApiError).
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = this.response?.data?.errors || []; // The details of the validation failures (e.g., { resource, field, code, message }).
+  }
+}
+
+/**
+ * Represents a server error of the GitHub API (5xx).
+ */
+export class GitHubApiServerError extends GitHubApiError {}
+
+/**
+ * Represents a network error without response (e.g., ECONNRESET, or ETIMEDOUT for a timeout).
+ */
+export class GitHubApiNetworkError extends GitHubApiError {}
+
+/**
+ * Parses the Retry-After header.
+ * @param {string} retryAfter The header, in seconds.
+ * @returns {Number|null} The delay before retrying (in milliseconds); null if the header is missing.
+ */
+function parseRetryAfter(retryAfter) {
+  if (retryAfter == null) return null;
+  const seconds = Number.parseInt(retryAfter);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
@@ -1,11 +1,88 @@
+// IMPORTS
+
+import { randomUUID } from 'crypto';
+import {
+  parseLinkHeader,
+  combinePageData,
+} from '../helper/github-api-pagination.helper.js';
+import { getResource } from '../helper/github-api-resource.helper.js';
+
 /**
  * Represents a GitHub search API request.
  */
 export class GitHubApiRequest {
-  constructor(url, params = {}, callback = () => {}) {
+  /**
+   * Creates a GitHub Search API request.
+   * @param {string} url The URL of the request.
+   * @param {Object} params The parameters of the request (method, headers, body).
+   * @param {Function} callback The callback function to execute on results.
+   * @param {Object} options The options of the request.
+   * @param {boolean} options.paginate Whether the queue follows the rel="next" links of the Link header automatically. Default is false.
+   * @param {boolean} options.combinePages Whether the callback is executed once with the combined results of all the pages instead of once per page. Default is false.
+   * @param {Number} options.maxPageCount The maximum number of pages to follow, including the first one. Default is Infinity.
+   * @param {string} options.resource The rate limit resource consumed by the request (i.e., search, code_search, graphql, or core). Default is deduced from the URL.
+   * @param {Number} options.priority The priority of the request in the queue. The requests of higher priority are processed first. Default is 0.
+   * @param {GitHubApiRetryPolicy} options.retryPolicy The policy deciding whether and when the request is retried when it fails. Default is the policy of the queue.
+   * @param {AbortSignal} options.signal The signal canceling the request, whether waiting in the queue or in flight, along with its next pages. Default is no signal.
+   * @param {Number} options.timeout The timeout of each attempt of the request (in milliseconds). Default is the timeout of the client, if any.
+   * @param {string} options.callbackName The name of the callback in the callback registry used to restore the request from its serialized form (see fromJSON).
+   */
+  constructor(url, params = {}, callback = () => {}, options = {}) {
     this._url = url;
     this._params = params;
     this._callback = callback;
+    this._options = {
+      paginate: false,
+      combinePages: false,
+      maxPageCount: Infinity,
+      priority: 0,
+      ...options,
+    };
+    this._id = randomUUID();
+    this._pageNumber = 1;
+    this._pages = [];
+    this._firstPage = null; // URL and parameters of the first page of a next page request ({ url, params }).
+  }
+
+  /**
+   * Restores a request from its serialized form.
+   * Since a closure cannot be serialized, the callback is looked up by name in a callback registry.
+   * Since the pages collected so far are not serialized either, a next page of a request combining its pages is restored as its first page, to collect them again.
+   * @param {Object} json The serialized request (see toJSON).
+   * @param {Object} callbacks The callback registry, i.e., the callback functions indexed by name.
+   * @returns {GitHubApiRequest} The restored request.
+   */
+  static fromJSON(json, callbacks = {}) {
+    const callbackName = json.options?.callbackName;
+    if (callbackName && typeof callbacks[callbackName] !== 'function') {
+      throw new Error(`callback not found in registry: ${callbackName}`);
+    }
+
+    const restart = json.options?.combinePages && json.pageNumber > 1;
+    if (restart && !json.firstPage) {
+      throw new Error(`first page not found for combined pages: ${json.url}`);
+    }
+
+    const request = new GitHubApiRequest(
+      restart ? json.firstPage.url : json.url,
+      restart ? json.firstPage.params : json.params,
+      callbackName ? callbacks[callbackName] : undefined,
+      {
+        ...json.options,
+        maxPageCount: json.options?.maxPageCount ?? Infinity, // Infinity is serialized as null.
+      },
+    );
+    request._id = json.id;
+    request._pageNumber = restart ? 1 : json.pageNumber;
+    return request;
+  }
+
+  /**
+   * Gives the unique identifier of the request.
+   * @returns The identifier of the request.
+   */
+  getId() {
+    return this._id;
   }
 
   /**
@@ -32,6 +109,74 @@ export class GitHubApiRequest {
     return this._callback;
   }
 
+  /**
+   * Gives the options of the request.
+   * @returns The options of the request.
+   */
+  getOptions() {
+    return this._options;
+  }
+
+  /**
+   * Gives the key identifying the requests equivalent to this one, i.e., with the same method, URL, and body.
+   * @returns {string} The key of the request.
+   */
+  getKey() {
+    const method = this._params.method || 'GET';
+    const body = this._params.body
+      ? ` ${JSON.stringify(this._params.body)}`
+      : '';
+    return `${method} ${this._url}${body}`;
+  }
+
+  /**
+   * Gives the page number of the request, starting at 1 for the original request.
+   * @returns The page number of the request.
+   */
+  getPageNumber() {
+    return this._pageNumber;
+  }
+
+  /**
+   * Gives the priority of the request in the queue.
+   * @returns The priority of the request. The requests of higher priority are processed first.
+   */
+  getPriority() {
+    return this._options.priority;
+  }
+
+  /**
+   * Gives the rate limit resource (i.e., the bucket) consumed by the request.
+   * @returns The resource of the request (i.e., search, code_search, graphql, or core).
+   */
+  getResource() {
+    return this._options.resource || getResource(this._url);
+  }
+
+  /**
+   * Gives the signal canceling the request.
+   * @returns {AbortSignal|null} The signal of the request; null if none.
+   */
+  getSignal() {
+    return this._options.signal || null;
+  }
+
+  /**
+   * Tells whether the request is canceled, i.e., its signal is aborted.
+   * @returns True if the request is canceled; false otherwise.
+   */
+  isCanceled() {
+    return Boolean(this._options.signal?.aborted);
+  }
+
+  /**
+   * Tells whether the request follows the next pages automatically.
+   * @returns True if the request is paginated; false otherwise.
+   */
+  isPaginated() {
+    return this._options.paginate;
+  }
+
   /**
    * Runs the callback function to execute on given results.
    * @returns The callback function to execute on results.
@@ -39,4 +184,106 @@ export class GitHubApiRequest {
   runCallback(results) {
     return this._callback(results);
   }
+
+  /**
+   * Gives the serialized form of the request.
+   * The callback is referenced by its name in the callback registry (see the callbackName option). The pages collected so far, the retry policy, and the signal are not serialized.
+   * A next page of a request combining its pages records its first page instead, from which it is restored.
+   * @returns {Object} The serialized request.
+   */
+  toJSON() {
+    const options = { ...this._options };
+    delete options.retryPolicy;
+    delete options.signal;
+
+    return {
+      id: this._id,
+      url: this._url,
+      params: this._params,
+      options,
+      pageNumber: this._pageNumber,
+      ...(this._options.combinePages && this._firstPage
+        ? { firstPage: this._firstPage }
+        : {}),
+    };
+  }
+
+  /**
+   * Creates a copy of the request targeting another URL.
+   * The copy shares the parameters, the callback, and the options of the request.
+   * @param {string} url The URL of the copy.
+   * @returns {GitHubApiRequest} The copy of the request.
+   */
+  withUrl(url) {
+    return new GitHubApiRequest(
+      url,
+      this._params,
+      this._callback,
+      this._options,
+    );
+  }
+
+  /**
+   * Completes the request with the given response.
+   * Runs the callback on the page, or stores the page until the last one when the pages are combined.
+   * @param {Object} response The response of the request.
+   * @returns {GitHubApiRequest|null} The request of the next page to queue, if any.
+   */
+  complete(response) {
+    const nextPageRequest = this.getNextPageRequest(response);
+
+    if (!this._options.combinePages) {
+      this.runCallback(response);
+    } else {
+      this._pages.push(response);
+      if (!nextPageRequest) {
+        this.runCallback({
+          data: this._combinePages(this._pages),
+          pages: this._pages,
+        });
+      }
+    }
+
+    return nextPageRequest;
+  }
+
+  /**
+   * Gives the request of the next page based on the Link header of the given response.
+   * The pages share the parameters, the callback, and the options of the original request.
+   * @param {Object} response The response of the request.
+   * @returns {GitHubApiRequest|null} The request of the next page; null if the request is not paginated, if there is no next page, or if the page cap is reached.
+   */
+  getNextPageRequest(response) {
+    if (!this.isPaginated()) return null;
+    if (this._pageNumber >= this._options.maxPageCount) return null;
+
+    const nextUrl = parseLinkHeader(response?.headers?.link).next;
+    if (!nextUrl) return null;
+
+    return this._continueWith(this.withUrl(nextUrl));
+  }
+
+  /**
+   * Makes a copy of the request the request of its next page.
+   * @param {GitHubApiRequest} nextPageRequest The copy of the request.
+   * @returns {GitHubApiRequest} The request of the next page.
+   */
+  _continueWith(nextPageRequest) {
+    nextPageRequest._pageNumber = this._pageNumber + 1;
+    nextPageRequest._pages = this._pages; // Shares the pages collected so far.
+    nextPageRequest._firstPage = this._firstPage || {
+      url: this._url,
+      params: this._params,
+    };
+    return nextPageRequest;
+  }
+
+  /**
+   * Combines the data of the pages collected so far.
+   * @param {Array[Object]} pages The responses of the pages.
+   * @returns {any} The combined data.
+   */
+  _combinePages(pages) {
+    return combinePageData(pages);
+  }
 }
@@ -0,0 +1,171 @@
+// IMPORTS
+
+import { GitHubApiRequest } from './github-api-request.model.js';
+
+// CONSTANTS
+
+const GRAPHQL_URL = 'https://api.github.com/graphql';
+
+/**
+ * Represents a GitHub GraphQL API request, posted to the /graphql endpoint through the same clients and queue as the REST requests.
+ * It consumes the graphql resource, i.e., the point budget of the GraphQL API.
+ * The pages of a connection are followed through its cursor (pageInfo { hasNextPage endCursor }).
+ */
+export class GitHubGraphQLRequest extends GitHubApiRequest {
+  /**
+   * Creates a GitHub GraphQL API request.
+   * @param {string} query The GraphQL query. Add the rateLimit { cost remaining resetAt } field to track the point budget precisely.
+   * @param {Object} variables The variables of the query.
+   * @param {Function} callback The callback function to execute on results.
+   * @param {Object} options The options of the request. Also supports the options of a GitHubApiRequest (e.g., priority, retryPolicy, callbackName).
+   * @param {string} options.url The URL of the GraphQL endpoint. Default is 'https://api.github.com/graphql'.
+   * @param {boolean} options.paginate Whether the queue follows the pages of the connection automatically. Default is false.
+   * @param {string} options.connectionPath The dot-separated path to the paginated connection in the data of the response (e.g., 'repository.stargazers'). Required to paginate.
+   * @param {string} options.cursorVariable The name of the variable receiving the cursor of the next page. Default is 'cursor'.
+   * @param {boolean} options.combinePages Whether the callback is executed once with the nodes and edges of all the pages combined instead of once per page. Default is false.
+   * @param {Number} options.maxPageCount The maximum number of pages to follow, including the first one. Default is Infinity.
+   */
+  constructor(query, variables = {}, callback = () => {}, options = {}) {
+    super(
+      options.url || GRAPHQL_URL,
+      { method: 'POST', body: { query, variables } },
+      callback,
+      { resource: 'graphql', cursorVariable: 'cursor', ...options },
+    );
+  }
+
+  /**
+   * Restores a GraphQL request from its serialized form.
+   * @param {Object} json The serialized request (see toJSON).
+   * @param {Object} callbacks The callback registry, i.e., the callback functions indexed by name.
+   * @returns {GitHubGraphQLRequest} The restored request.
+   */
+  static fromJSON(json, callbacks = {}) {
+    const restored = GitHubApiRequest.fromJSON(json, callbacks);
+    const request = new GitHubGraphQLRequest(
+      restored.getParams().body.query,
+      restored.getParams().body.variables,
+      restored.getCallback(),
+      { ...restored.getOptions(), url: restored.getUrl() },
+    );
+    request._id = restored.getId();
+    request._pageNumber = restored.getPageNumber();
+    return request;
+  }
+
+  /**
+   * Gives the GraphQL query of the request.
+   * @returns The query of the request.
+   */
+  getQuery() {
+    return this._params.body.query;
+  }
+
+  /**
+   * Gives the variables of the GraphQL query of the request.
+   * @returns The variables of the request.
+   */
+  getVariables() {
+    return this._params.body.variables;
+  }
+
+  /**
+   * Gives the serialized form of the request, flagged as a GraphQL request.
+   * @returns {Object} The serialized request.
+   */
+  toJSON() {
+    return { ...super.toJSON(), type: 'graphql' };
+  }
+
+  /**
+   * Creates a copy of the request targeting another GraphQL endpoint.
+   * @param {string} url The URL of the copy.
+   * @returns {GitHubGraphQLRequest} The copy of the request.
+   */
+  withUrl(url) {
+    return new GitHubGraphQLRequest(
+      this.getQuery(),
+      this.getVariables(),
+      this._callback,
+      { ...this._options, url },
+    );
+  }
+
+  /**
+   * Creates a copy of the request with other variables.
+   * @param {Object} variables The variables of the copy.
+   * @returns {GitHubGraphQLRequest} The copy of the request.
+   */
+  withVariables(variables) {
+    return new GitHubGraphQLRequest(
+      this.getQuery(),
+      variables,
+      this._callback,
+      { ...this._options, url: this._url },
+    );
+  }
+
+  /**
+   * Gives the request of the next page based on the pageInfo of the connection in the given response.
+   * @param {Object} response The response of the request.
+   * @returns {GitHubGraphQLRequest|null} The request of the next page; null if the request is not paginated, if there is no next page, or if the page cap is reached.
+   */
+  getNextPageRequest(response) {
+    if (!this.isPaginated()) return null;
+    if (this._pageNumber >= this._options.maxPageCount) return null;
+
+    const pageInfo = this._getConnection(response)?.pageInfo;
+    if (!pageInfo?.hasNextPage || !pageInfo.endCursor) return null;
+
+    return this._continueWith(
+      this.withVariables({
+        ...this.getVariables(),
+        [this._options.cursorVariable]: pageInfo.endCursor,
+      }),
+    );
+  }
+
+  /**
+   * Combines the pages of the connection: the data of the last page with the nodes and edges of all the pages.
+   * @param {Array[Object]} pages The responses of the pages.
+   * @returns {Object} The combined data.
+   */
+  _combinePages(pages) {
+    const data = structuredClone(pages[pages.length - 1]?.data?.data ?? null);
+    const connection = getPath(data, this._options.connectionPath);
+    if (!connection) return data;
+
+    for (const key of ['nodes', 'edges']) {
+      if (!Array.isArray(connection[key])) continue;
+      connection[key] = pages.flatMap(
+        (page) => this._getConnection(page)?.[key] ?? [],
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Gives the paginated connection in the given response.
+   * @param {Object} response The response of the request.
+   * @returns {Object|null} The connection; null if not found.
+   */
+  _getConnection(response) {
+    return getPath(response?.data?.data, this._options.connectionPath);
+  }
+}
+
+/**
+ * Gives the value at a dot-separated path in an object.
+ * @param {Object} object The object.
+ * @param {string} path The dot-separated path (e.g., 'repository.stargazers').
+ * @returns {any} The value; null if the path is missing or not found.
+ */
+function getPath(object, path) {
+  if (!path) return null;
+  return path
+    .split('.')
+    .reduce(
+      (value, key) => (value == null ? null : (value[key] ?? null)),
+      object,
+    );
+}
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { formatDuration } from '../../src/helper/duration.helper.js';
+
+describe('Duration', () => {
+  it('Formats a duration in seconds', () => {
+    // Act & Assert
+    expect(formatDuration(0)).toBe('0s');
+    expect(formatDuration(1200)).toBe('2s');
+  });
+
+  it('Formats a duration in minutes and hours', () => {
+    // Act & Assert
+    expect(formatDuration(123000)).toBe('2m 3s');
+    expect(formatDuration(3723000)).toBe('1h 2m 3s');
+  });
+});
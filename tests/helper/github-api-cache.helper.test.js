@@ -0,0 +1,69 @@
+import { describe, it, beforeEach, afterEach, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GitHubApiCache } from '../../src/helper/github-api-cache.helper.js';
+
+describe('GitHub API cache', () => {
+  const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+  const entry = {
+    url,
+    etag: 'W/"abc"',
+    lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+    status: 200,
+    data: { full_name: 'PoolinGH/poolingh' },
+    link: null,
+  };
+  let directory;
+  let cache;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poolingh-'));
+    cache = new GitHubApiCache(path.join(directory, 'cache'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('Creates the cache directory', () => {
+    // Act & Assert
+    expect(fs.existsSync(cache.getDirectoryPath())).toBe(true);
+  });
+
+  it('Returns null for a URL not cached', () => {
+    // Act & Assert
+    expect(cache.get(url)).toBeNull();
+  });
+
+  it('Stores and returns the entry of a URL', () => {
+    // Act
+    cache.set(url, entry);
+
+    // Assert
+    expect(cache.get(url)).toEqual(entry);
+    expect(new GitHubApiCache(cache.getDirectoryPath()).get(url)).toEqual(
+      entry,
+    );
+    expect(cache.get(`${url}/issues`)).toBeNull();
+  });
+
+  it('Removes the entries', () => {
+    // Arrange
+    cache.set(url, entry);
+    cache.set(`${url}/issues`, { ...entry, url: `${url}/issues` });
+
+    // Act
+    cache.delete(url);
+
+    // Assert
+    expect(cache.get(url)).toBeNull();
+    expect(cache.get(`${url}/issues`)).not.toBeNull();
+
+    // Act
+    cache.clear();
+
+    // Assert
+    expect(cache.get(`${url}/issues`)).toBeNull();
+  });
+});
@@ -0,0 +1,230 @@
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { runCli } from '../../src/helper/github-api-cli.helper.js';
+import { GitHubApiMockTransport } from '../../src/helper/github-api-mock-transport.helper.js';
+import { GitHubApiQueueJournal } from '../../src/helper/github-api-queue-journal.helper.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+/**
+ * Gives the number of results of a query of the mock, from the range of its stars qualifier.
+ * @param {string} query The search query.
+ * @returns {Number} The number of results.
+ */
+function countStars(query) {
+  const [, from, to] = query.match(/stars:(\d+)\.\.(\d+)/) || [];
+  return from === undefined ? 150 : Number(to) - Number(from) + 1;
+}
+
+describe('poolingh command', () => {
+  let directory;
+  let context;
+  let stdout;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poolingh-'));
+    stdout = [];
+    context = {
+      env: { POOLINGH_TOKENS: 'token-1,token-2' },
+      stdout: {
+        write: (text, callback) => {
+          stdout.push(text);
+          callback?.();
+          return true;
+        },
+      },
+      stderr: { isTTY: false, write: vi.fn() },
+      transport: new GitHubApiMockTransport({ totalCount: countStars }),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the command with the options of the test.
+   * @param {Array[string]} args The arguments.
+   * @returns {Promise<Number>} The exit code.
+   */
+  function run(...args) {
+    return runCli(
+      [...args, '--logs', path.join(directory, 'logs'), '--quiet'],
+      context,
+    );
+  }
+
+  /**
+   * Reads the lines of a file of the test.
+   * @param {string} fileName The name of the file.
+   * @returns {Array[string]} The lines.
+   */
+  function readLines(fileName) {
+    return fs
+      .readFileSync(path.join(directory, fileName), 'utf8')
+      .split('\n')
+      .filter((line) => line);
+  }
+
+  it('Writes all the pages of a search as NDJSON', async () => {
+    // Arrange
+    const output = path.join(directory, 'results.ndjson');
+
+    // Act
+    const exitCode = await run('language:js', '-o', output);
+
+    // Assert
+    expect(exitCode).toBe(0);
+    const lines = readLines('results.ndjson');
+    expect(lines).toHaveLength(150);
+    expect(JSON.parse(lines[0])).toEqual({
+      id: 1,
+      name: 'repository-1',
+      full_name: 'owner/repository-1',
+      _query: 'language:js',
+    });
+    expect(fs.existsSync(`${output}.journal.jsonl`)).toBe(true);
+  });
+
+  it('Writes the chosen fields as CSV to the standard output', async () => {
+    // Act
+    const exitCode = await run(
+      '-q',
+      'language:js stars:1..3',
+      '--format',
+      'csv',
+      '--fields',
+      'id,full_name',
+      '--journal',
+      path.join(directory, 'journal.jsonl'),
+    );
+
+    // Assert
+    expect(exitCode).toBe(0);
+    expect(stdout.join('')).toBe(
+      'id,full_name\n1,owner/repository-1\n2,owner/repository-2\n3,owner/repository-3\n',
+    );
+  });
+
+  it('Splits a query over the cap of the search', async () => {
+    // Arrange
+    const output = path.join(directory, 'results.csv');
+
+    // Act
+    const exitCode = await run(
+      'language:js stars:1..2500',
+      '--split',
+      'stars',
+      '--keep-duplicates', // The results of the mock have the same ids in each slice.
+      '-o',
+      output,
+    );
+
+    // Assert
+    expect(exitCode).toBe(0);
+    const lines = readLines('results.csv');
+    expect(lines[0]).toBe('id,name,full_name,_query');
+    expect(lines[1]).toMatch(
+      /^1,repository-1,owner\/repository-1,language:js stars:\d+\.\.\d+$/,
+    );
+    expect(lines).toHaveLength(2501);
+  });
+
+  it('Resumes an interrupted run from its journal', async () => {
+    // Arrange
+    const output = path.join(directory, 'results.ndjson');
+    fs.writeFileSync(output, '{"id":0}\n');
+    const journal = new GitHubApiQueueJournal(`${output}.journal.jsonl`);
+    journal.pending(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=language%3Ajs&per_page=100&page=2',
+        {},
+        () => {},
+        { paginate: true, callbackName: 'results' },
+      ),
+    );
+    journal.pending(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=language%3Ajs+stars%3A1..20&per_page=1',
+      ),
+    ); // A probe of the splitter.
+
+    // Act
+    const exitCode = await run('--resume', '-o', output, '--split', 'stars');
+
+    // Assert
+    expect(exitCode).toBe(0);
+    const lines = readLines('results.ndjson');
+    expect(lines).toHaveLength(1 + 50 + 20);
+    expect(lines[0]).toBe('{"id":0}');
+  });
+
+  it('Refuses to resume the ranges left to split without the split option', async () => {
+    // Arrange
+    const output = path.join(directory, 'results.ndjson');
+    const journal = new GitHubApiQueueJournal(`${output}.journal.jsonl`);
+    journal.pending(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=language%3Ajs+stars%3A1..20&per_page=1',
+      ),
+    ); // A probe of the splitter.
+
+    // Act
+    const exitCode = await run('--resume', '-o', output);
+
+    // Assert
+    expect(exitCode).toBe(2);
+    expect(context.stderr.write).toHaveBeenCalledWith(
+      expect.stringContaining('resume with the same --split option'),
+    );
+    expect(journal.load().pending).toHaveLength(1);
+    expect(journal.load().abandoned).toEqual([]);
+  });
+
+  it('Reports the expected requests and time of a dry run', async () => {
+    // Arrange
+    context.env = { GITHUB_TOKEN: 'token-1' };
+    const output = path.join(directory, 'results.ndjson');
+
+    // Act
+    const exitCode = await run(
+      'language:js stars:1..2500',
+      '--split',
+      'stars',
+      '--per-page',
+      '50',
+      '--dry-run',
+      '-o',
+      output,
+    );
+
+    // Assert
+    expect(exitCode).toBe(0);
+    const report = stdout.join('');
+    expect(report).toContain(
+      '[dry run] language:js stars:1..2500: 2500 results, about 55 request(s)\n',
+    );
+    expect(report).toMatch(
+      /\[dry run\] search: 55 request\(s\), 30 remaining of 30 for 1 token\(s\), waiting at least/,
+    );
+    expect(fs.existsSync(output)).toBe(false);
+    expect(fs.existsSync(`${output}.journal.jsonl`)).toBe(false);
+  });
+
+  it('Fails on a usage error', async () => {
+    // Arrange
+    context.env = {};
+
+    // Act
+    const noToken = await run('language:js');
+    const unknownOption = await run('language:js', '--unknown');
+
+    // Assert
+    expect(noToken).toBe(2);
+    expect(unknownOption).toBe(2);
+    expect(context.stderr.write).toHaveBeenCalledWith(
+      expect.stringContaining('poolingh: no token found'),
+    );
+  });
+});
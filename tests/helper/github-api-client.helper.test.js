@@ -1,6 +1,9 @@
 import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
 import axios from 'axios';
+import { generateKeyPairSync } from 'crypto';
 import { GitHubApiClient } from '../../src/helper/github-api-client.helper.js';
+import { GitHubAppCredentials } from '../../src/helper/github-api-credentials.helper.js';
+import { GitHubApiNotFoundError } from '../../src/model/github-api-error.model.js';
 
 // Mocks
 
@@ -72,7 +75,7 @@ describe('GitHub Search API client', () => {
     // Assert
     expect(client.isBusy()).toBe(false);
     expect(client.isAuthorized()).toBe(true);
-    expect(refreshSpy).toHaveBeenCalledWith(mockResponse.headers);
+    expect(refreshSpy).toHaveBeenCalledWith(mockResponse.headers, 'search');
     expect(client._logger.info).toHaveBeenCalled();
   });
 
@@ -94,7 +97,7 @@ describe('GitHub Search API client', () => {
     );
 
     // Assert
-    expect(refreshSpy).toHaveBeenCalledWith(mockResponse.headers);
+    expect(refreshSpy).toHaveBeenCalledWith(mockResponse.headers, 'search');
     expect(client.isAuthorized()).toBe(false);
     expect(client.isBusy()).toBe(false);
     expect(client._logger.info).toHaveBeenCalled();
@@ -136,7 +139,9 @@ describe('GitHub Search API client', () => {
     axios.request.mockRejectedValueOnce(mockError);
 
     // Act
-    await expect(client.request(null)).rejects.toEqual(mockError);
+    await expect(client.request(null)).rejects.toMatchObject({
+      cause: mockError,
+    });
 
     // Assert
     expect(client.isBusy()).toBe(false);
@@ -166,7 +171,7 @@ describe('GitHub Search API client', () => {
       client.request(
         'https://api.github.com/search/repositories?q=stars:>=1000',
       ),
-    ).rejects.toEqual(mockError);
+    ).rejects.toMatchObject({ cause: mockError });
 
     // Assert
     expect(pauseSpy).toHaveBeenCalled();
@@ -199,7 +204,7 @@ describe('GitHub Search API client', () => {
       client.request(
         'https://api.github.com/search/repositories?q=stars:>=1000',
       ),
-    ).rejects.toEqual(mockError);
+    ).rejects.toMatchObject({ cause: mockError });
 
     // Assert
     expect(pauseSpy).toHaveBeenCalled();
@@ -231,4 +236,830 @@ describe('GitHub Search API client', () => {
     // Cleanup
     vi.useRealTimers();
   });
+  it('tracks the rate limit of each resource separately', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const resetAt = Math.floor(Date.now() / 1000 + 60);
+    axios.request.mockResolvedValueOnce({
+      data: { items: [] },
+      headers: {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': resetAt.toString(),
+        'x-ratelimit-resource': 'search',
+      },
+    });
+
+    // Act
+    await client.request(
+      'https://api.github.com/search/repositories?q=stars:>=1000',
+    );
+
+    // Assert
+    expect(client.isAuthorized('search')).toBe(false);
+    expect(client.isAuthorized('core')).toBe(true);
+    expect(client.isAuthorized()).toBe(false);
+    expect(client.getRemainingRequests('search')).toBe(0);
+    expect(client.getResetAt('search')).toBe(resetAt * 1000);
+    expect(client.getRemainingRequests('core')).toBeNull();
+
+    // Act
+    vi.advanceTimersByTime(65000);
+
+    // Assert
+    expect(client.isAuthorized('search')).toBe(true);
+    expect(client.isAuthorized()).toBe(true);
+
+    // Cleanup
+    vi.useRealTimers();
+  });
+
+  it('pauses only the resource of a request on 403 error', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const mockError = {
+      message: 'Rate limit exceeded',
+      response: {
+        status: 403,
+        headers: {
+          'retry-after': '60',
+          'x-ratelimit-remaining': '4000',
+          'x-ratelimit-reset': (Date.now() / 1000 + 3600).toString(),
+          'x-ratelimit-resource': 'code_search',
+        },
+      },
+    };
+    axios.request.mockRejectedValueOnce(mockError);
+
+    // Act
+    await expect(
+      client.request('https://api.github.com/search/code?q=addClass'),
+    ).rejects.toMatchObject({ cause: mockError });
+
+    // Assert
+    expect(client.isAuthorized('code_search')).toBe(false);
+    expect(client.isAuthorized('search')).toBe(true);
+    expect(client.isAuthorized('core')).toBe(true);
+
+    // Cleanup
+    vi.useRealTimers();
+  });
+
+  it('pauses the whole client when no resource is given', () => {
+    // Arrange
+    vi.useFakeTimers();
+
+    // Act
+    client.pause(Date.now() + 1000);
+
+    // Assert
+    expect(client.isAuthorized('core')).toBe(false);
+    expect(client.isAuthorized('search')).toBe(false);
+
+    // Cleanup
+    vi.useRealTimers();
+  });
+  it('emits the rate limit updates, pauses and resumes', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const resetAt = Math.floor(Date.now() / 1000 + 60);
+    axios.request.mockResolvedValueOnce({
+      data: { items: [] },
+      headers: {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': resetAt.toString(),
+        'x-ratelimit-resource': 'search',
+      },
+    });
+    const update = vi.fn();
+    const paused = vi.fn();
+    const resumed = vi.fn();
+    client.on('ratelimit:update', update);
+    client.on('client:paused', paused);
+    client.on('client:resumed', resumed);
+
+    // Act
+    await client.request(
+      'https://api.github.com/search/repositories?q=stars:>=1000',
+    );
+    vi.advanceTimersByTime(65000);
+
+    // Assert
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        token: '12345',
+        resource: 'search',
+        remainingRequests: 0,
+        resetAt: resetAt * 1000,
+      }),
+    );
+    expect(paused).toHaveBeenCalledWith(
+      expect.objectContaining({
+        token: '12345',
+        resource: 'search',
+        resetAt: resetAt * 1000,
+      }),
+    );
+    expect(resumed).toHaveBeenCalledWith(
+      expect.objectContaining({ token: '12345', resource: 'search' }),
+    );
+
+    // Cleanup
+    vi.useRealTimers();
+  });
+  it('cools down for at least one minute on a secondary rate limit, escalating', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const mockError = {
+      message: 'Request failed with status code 403',
+      response: {
+        status: 403,
+        data: {
+          message:
+            'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.',
+        },
+        headers: {
+          'x-ratelimit-remaining': '4000',
+          'x-ratelimit-reset': (Date.now() / 1000 + 3600).toString(),
+          'x-ratelimit-resource': 'core',
+        },
+      },
+    };
+    axios.request.mockRejectedValue(mockError);
+    const secondary = vi.fn();
+    client.on('ratelimit:secondary', secondary);
+
+    // Act
+    await expect(
+      client.request('https://api.github.com/repos/a/b'),
+    ).rejects.toMatchObject({ cause: mockError });
+
+    // Assert
+    expect(client.isAuthorized('search')).toBe(false);
+    expect(secondary).toHaveBeenLastCalledWith(
+      expect.objectContaining({ token: '12345', count: 1, cooldown: 60000 }),
+    );
+    expect(client._logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('secondary rate limit'),
+    );
+
+    // Act
+    vi.advanceTimersByTime(65000);
+    await expect(
+      client.request('https://api.github.com/repos/a/b'),
+    ).rejects.toMatchObject({ cause: mockError });
+
+    // Assert
+    expect(secondary).toHaveBeenLastCalledWith(
+      expect.objectContaining({ count: 2, cooldown: 120000 }),
+    );
+
+    // Cleanup
+    axios.request.mockReset();
+    vi.useRealTimers();
+  });
+
+  it('tracks the GraphQL point budget from the rateLimit field', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2030-01-01T00:00:00Z'));
+    const resetAt = '2030-01-01T01:00:00Z'; // In an hour.
+    axios.request.mockResolvedValue({
+      data: {
+        data: {
+          viewer: { login: 'octocat' },
+          rateLimit: { cost: 10, remaining: 14, resetAt },
+        },
+      },
+      headers: {},
+    });
+    const update = vi.fn();
+    client.on('ratelimit:update', update);
+
+    // Act
+    await client.request('https://api.github.com/graphql', {
+      method: 'POST',
+      body: {
+        query: '{ viewer { login } rateLimit { cost remaining resetAt } }',
+      },
+    });
+
+    // Assert
+    expect(axios.request).toHaveBeenCalledWith(
+      expect.objectContaining({ method: 'POST' }),
+    );
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({ resource: 'graphql', remainingRequests: 14 }),
+    );
+    expect(client.getResetAt('graphql')).toBe(Date.parse(resetAt));
+    expect(client.isAuthorized('graphql')).toBe(false); // Not enough points for another query of the same cost.
+    expect(client.isAuthorized('core')).toBe(true);
+    await vi.advanceTimersByTimeAsync(30 * 60 * 1000);
+    expect(client.isAuthorized('graphql')).toBe(false);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('stays paused until a reset time beyond the maximum delay of a timer', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const maxTimerDelay = 2 ** 31 - 1;
+    const resetAt = Date.now() + maxTimerDelay + 60 * 1000;
+
+    // Act
+    client.pause(resetAt, 'search');
+    await vi.advanceTimersByTimeAsync(maxTimerDelay);
+    const authorizedBeforeReset = client.isAuthorized('search');
+    await vi.advanceTimersByTimeAsync(60 * 1000 + 2000); // Includes the resume buffer time.
+
+    // Assert
+    expect(authorizedBeforeReset).toBe(false);
+    expect(client.isAuthorized('search')).toBe(true);
+  });
+
+  it('fails and pauses GraphQL requests when the point budget is exceeded', async () => {
+    // Arrange
+    axios.request.mockResolvedValue({
+      status: 200,
+      data: {
+        errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }],
+      },
+      headers: {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': (Date.now() / 1000 + 3600).toString(),
+        'x-ratelimit-resource': 'graphql',
+      },
+    });
+
+    // Act
+    await expect(
+      client.request('https://api.github.com/graphql', { method: 'POST' }),
+    ).rejects.toThrow('GraphQL rate limit exceeded');
+
+    // Assert
+    expect(client.isAuthorized('graphql')).toBe(false);
+    expect(client.isAuthorized('core')).toBe(true);
+    expect(client.isBusy()).toBe(false);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('authenticates requests with the token of a credential provider', async () => {
+    // Arrange
+    const credentials = {
+      getToken: vi.fn(() => Promise.resolve('ghs_installation')),
+      getLabel: () => 'app-1-2',
+      invalidate: vi.fn(),
+    };
+    client = new GitHubApiClient(credentials);
+    axios.request.mockResolvedValue({ data: {}, headers: {} });
+
+    // Act
+    await client.request('https://api.github.com/repos/a/b');
+
+    // Assert
+    expect(client.getToken()).toBe('app-1-2');
+    expect(client.getCredentials()).toBe(credentials);
+    expect(axios.request).toHaveBeenCalledWith(
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          Authorization: 'Bearer ghs_installation',
+        }),
+      }),
+    );
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('invalidates the token of the credential provider when it is rejected', async () => {
+    // Arrange
+    const credentials = {
+      getToken: () => Promise.resolve('ghs_expired'),
+      getLabel: () => 'app-1-2',
+      invalidate: vi.fn(),
+    };
+    client = new GitHubApiClient(credentials);
+    const mockError = {
+      message: 'Bad credentials',
+      response: { status: 401, headers: {} },
+    };
+    axios.request.mockRejectedValue(mockError);
+
+    // Act
+    await expect(
+      client.request('https://api.github.com/repos/a/b'),
+    ).rejects.toMatchObject({ cause: mockError });
+
+    // Assert
+    expect(credentials.invalidate).toHaveBeenCalledTimes(1);
+    expect(client.isBusy()).toBe(false);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('pulls a static token out of rotation when it is rejected', async () => {
+    // Arrange
+    const mockError = {
+      message: 'Bad credentials',
+      response: { status: 401, headers: {} },
+    };
+    axios.request.mockRejectedValue(mockError);
+    const revoked = vi.fn();
+    client.on('client:revoked', revoked);
+
+    // Act
+    await expect(
+      client.request('https://api.github.com/repos/a/b'),
+    ).rejects.toMatchObject({ cause: mockError });
+
+    // Assert
+    expect(client.isRevoked()).toBe(true);
+    expect(client.isAuthorized()).toBe(false);
+    expect(client.isAuthorized('core')).toBe(false);
+    expect(revoked).toHaveBeenCalledWith(
+      expect.objectContaining({ token: '12345' }),
+    );
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('validates its token', async () => {
+    // Arrange
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    axios.request.mockImplementation(({ url }) =>
+      Promise.resolve(
+        url.endsWith('/rate_limit')
+          ? {
+              data: {
+                resources: {
+                  core: { limit: 5000, remaining: 4990, reset },
+                  search: { limit: 30, remaining: 0, reset },
+                },
+              },
+              headers: {},
+            }
+          : {
+              data: { login: 'octocat', id: 1 },
+              headers: {
+                'x-oauth-scopes': 'repo, read:org',
+                'github-authentication-token-expiration':
+                  '2030-01-01 00:00:00 UTC',
+              },
+            },
+      ),
+    );
+
+    // Act
+    const report = await client.validate();
+
+    // Assert
+    expect(report).toEqual({
+      token: '12345',
+      valid: true,
+      login: 'octocat',
+      id: 1,
+      scopes: ['repo', 'read:org'],
+      expiresAt: Date.parse('2030-01-01T00:00:00Z'),
+      rateLimits: {
+        core: { limit: 5000, remaining: 4990, resetAt: reset * 1000 },
+        search: { limit: 30, remaining: 0, resetAt: reset * 1000 },
+      },
+      error: null,
+    });
+    expect(client.getRemainingRequests('core')).toBe(4990);
+    expect(client.isAuthorized('core')).toBe(true);
+    expect(client.isAuthorized('search')).toBe(false);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('is revoked when its token is rejected during the validation', async () => {
+    // Arrange
+    axios.request.mockRejectedValue({
+      message: 'Bad credentials',
+      response: { status: 401, headers: {} },
+    });
+
+    // Act
+    const report = await client.validate();
+
+    // Assert
+    expect(report.valid).toBe(false);
+    expect(report.error).toBe('Bad credentials');
+    expect(client.isRevoked()).toBe(true);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('invalidates the token of the credential provider when it is rejected during the validation', async () => {
+    // Arrange
+    const credentials = {
+      getToken: () => Promise.resolve('ghs_expired'),
+      getLabel: () => 'app-1-2',
+      invalidate: vi.fn(),
+    };
+    client = new GitHubApiClient(credentials);
+    axios.request.mockRejectedValue({
+      message: 'Bad credentials',
+      response: { status: 401, headers: {} },
+    });
+
+    // Act
+    const report = await client.validate();
+
+    // Assert
+    expect(report.valid).toBe(false);
+    expect(credentials.invalidate).toHaveBeenCalledTimes(1);
+    expect(client.isRevoked()).toBe(false);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('reports the synchronous errors of its credential provider during the validation', async () => {
+    // Arrange
+    const credentials = {
+      getToken: () => {
+        throw new Error('invalid private key');
+      },
+      getLabel: () => 'app-1-2',
+    };
+    client = new GitHubApiClient(credentials);
+
+    // Act
+    const report = await client.validate();
+
+    // Assert
+    expect(report.valid).toBe(true); // The token is not rejected by the GitHub API.
+    expect(report.error).toBe('invalid private key');
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  it('caches the responses and sends conditional requests', async () => {
+    // Arrange
+    const entries = new Map();
+    const cache = {
+      get: vi.fn((url) => entries.get(url) || null),
+      set: vi.fn((url, entry) => entries.set(url, entry)),
+    };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', { cache });
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    axios.request.mockResolvedValueOnce({
+      status: 200,
+      data: { full_name: 'PoolinGH/poolingh' },
+      headers: { etag: 'W/"abc"', 'last-modified': 'Mon, 01 Jan 2024' },
+    });
+
+    // Act
+    await client.request(url);
+
+    // Assert
+    expect(cache.set).toHaveBeenCalledWith(
+      url,
+      expect.objectContaining({
+        etag: 'W/"abc"',
+        lastModified: 'Mon, 01 Jan 2024',
+        data: { full_name: 'PoolinGH/poolingh' },
+      }),
+    );
+
+    // Arrange
+    axios.request.mockRejectedValueOnce({
+      message: 'Request failed with status code 304',
+      response: {
+        status: 304,
+        headers: {
+          'x-ratelimit-remaining': '4999',
+          'x-ratelimit-reset': (Date.now() / 1000 + 3600).toString(),
+        },
+      },
+    });
+
+    // Act
+    const response = await client.request(url);
+
+    // Assert
+    expect(axios.request).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          'If-None-Match': 'W/"abc"',
+          'If-Modified-Since': 'Mon, 01 Jan 2024',
+        }),
+      }),
+    );
+    expect(response).toEqual(
+      expect.objectContaining({
+        status: 200,
+        data: { full_name: 'PoolinGH/poolingh' },
+        fromCache: true,
+      }),
+    );
+    expect(client.isBusy()).toBe(false);
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('does not cache the responses of other methods than GET', async () => {
+    // Arrange
+    const cache = { get: vi.fn(() => null), set: vi.fn() };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', { cache });
+    axios.request.mockResolvedValue({
+      status: 200,
+      data: {},
+      headers: { etag: 'W/"abc"' },
+    });
+
+    // Act
+    await client.request('https://api.github.com/graphql', { method: 'POST' });
+
+    // Assert
+    expect(cache.get).not.toHaveBeenCalled();
+    expect(cache.set).not.toHaveBeenCalled();
+
+    // Cleanup
+    axios.request.mockReset();
+  });
+
+  it('sends the requests to its base URL with its timeout', async () => {
+    // Arrange
+    const transport = {
+      request: vi.fn(() =>
+        Promise.resolve({ status: 200, data: {}, headers: {} }),
+      ),
+    };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', {
+      transport,
+      network: { baseUrl: 'https://github.example.com/api/v3/', timeout: 5000 },
+    });
+
+    // Act
+    await client.request('https://api.github.com/search/repositories?q=a');
+    await client.request('/user');
+
+    // Assert
+    expect(client.getBaseUrl()).toBe('https://github.example.com/api/v3');
+    expect(transport.request).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        url: 'https://github.example.com/api/v3/search/repositories?q=a',
+        timeout: 5000,
+      }),
+    );
+    expect(transport.request).toHaveBeenNthCalledWith(
+      2,
+      expect.objectContaining({
+        url: 'https://github.example.com/api/v3/user',
+      }),
+    );
+  });
+
+  it('sends the requests to an Enterprise Server instance', async () => {
+    // Arrange
+    const transport = {
+      request: vi.fn(() =>
+        Promise.resolve({ status: 200, data: {}, headers: {} }),
+      ),
+    };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', {
+      transport,
+      enterprise: 'https://github.example.com/',
+    });
+
+    // Act
+    await client.request('https://api.github.com/search/repositories?q=a');
+    await client.request('https://api.github.com/graphql', { method: 'POST' });
+    await client.request('/repos/PoolinGH/poolingh');
+
+    // Assert
+    expect(client.getEnterpriseUrl()).toBe('https://github.example.com');
+    expect(transport.request.mock.calls.map(([config]) => config.url)).toEqual([
+      'https://github.example.com/api/v3/search/repositories?q=a',
+      'https://github.example.com/api/graphql',
+      'https://github.example.com/api/v3/repos/PoolinGH/poolingh',
+    ]);
+  });
+
+  it('exchanges the tokens of its credential provider through its transport and Enterprise Server instance', async () => {
+    // Arrange
+    const { privateKey } = generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    const transport = {
+      request: vi.fn((config) =>
+        Promise.resolve({
+          status: 200,
+          data: config.url.endsWith('/access_tokens')
+            ? {
+                token: 'ghs_1',
+                expires_at: new Date(Date.now() + 3600000).toISOString(),
+              }
+            : {},
+          headers: {},
+        }),
+      ),
+    };
+    client = new GitHubApiClient(
+      new GitHubAppCredentials(123, privateKey, 456),
+      5,
+      2000,
+      './logs',
+      { transport, enterprise: 'https://github.example.com' },
+    );
+
+    // Act
+    await client.request('/repos/PoolinGH/poolingh');
+
+    // Assert
+    expect(axios).not.toHaveBeenCalled();
+    expect(transport.request.mock.calls.map(([config]) => config.url)).toEqual([
+      'https://github.example.com/api/v3/app/installations/456/access_tokens',
+      'https://github.example.com/api/v3/repos/PoolinGH/poolingh',
+    ]);
+    expect(transport.request.mock.calls[1][0].headers.Authorization).toBe(
+      'Bearer ghs_1',
+    );
+  });
+
+  it('detects an Enterprise Server instance with rate limiting disabled', async () => {
+    // Arrange
+    const transport = {
+      request: vi.fn((config) =>
+        config.url.endsWith('/rate_limit')
+          ? Promise.reject(
+              Object.assign(new Error('Not Found'), {
+                response: {
+                  status: 404,
+                  data: { message: 'Rate limiting is not enabled.' },
+                  headers: {},
+                },
+              }),
+            )
+          : Promise.resolve({
+              status: 200,
+              data: { login: 'octocat', id: 1 },
+              headers: {},
+            }),
+      ),
+    };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', {
+      transport,
+      enterprise: 'https://github.example.com',
+    });
+
+    // Act
+    const report = await client.validate();
+    await client.request('/search/repositories?q=a');
+
+    // Assert
+    expect(report.valid).toBe(true);
+    expect(report.error).toBeNull();
+    expect(report.login).toBe('octocat');
+    expect(client.isRateLimitingEnabled()).toBe(false);
+    expect(client._logger.warn).not.toHaveBeenCalled();
+    expect(client.isAuthorized('search')).toBe(true);
+  });
+
+  it('fails a hung request once it times out', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const transport = { request: vi.fn(() => new Promise(() => {})) };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', {
+      transport,
+      network: { timeout: 5000 },
+    });
+
+    // Act
+    const requestPromise = client
+      .request('https://api.github.com/search/repositories?q=a')
+      .catch((error) => error);
+    await vi.advanceTimersByTimeAsync(5000);
+    const error = await requestPromise;
+
+    // Assert
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(error.message).toBe('timeout of 5000ms exceeded');
+    expect(transport.request).toHaveBeenCalledWith(
+      expect.objectContaining({ signal: expect.any(AbortSignal) }),
+    );
+    expect(client.isBusy()).toBe(false);
+  });
+
+  it('fails a request whose transport throws synchronously', async () => {
+    // Arrange
+    const error = new Error('invalid header value');
+    const transport = {
+      request: vi.fn(() => {
+        throw error;
+      }),
+    };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', { transport });
+
+    // Act
+    const requestPromise = client.request(
+      'https://api.github.com/search/repositories?q=a',
+    );
+
+    // Assert
+    await expect(requestPromise).rejects.toMatchObject({ cause: error });
+    expect(client.isBusy()).toBe(false);
+  });
+
+  it('fails a request once its signal is aborted', async () => {
+    // Arrange
+    const transport = { request: vi.fn(() => new Promise(() => {})) };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', { transport });
+    const controller = new AbortController();
+
+    // Act
+    const requestPromise = client
+      .request(
+        'https://api.github.com/search/repositories?q=a',
+        {},
+        { signal: controller.signal },
+      )
+      .catch((error) => error);
+    controller.abort();
+    const error = await requestPromise;
+
+    // Assert
+    expect(error.name).toBe('AbortError');
+    expect(transport.request.mock.calls[0][0].signal.aborted).toBe(true);
+    expect(client.isBusy()).toBe(false);
+  });
+
+  it('rejects with an error typed after the response', async () => {
+    // Arrange
+    axios.request.mockRejectedValueOnce(
+      Object.assign(new Error('Request failed with status code 404'), {
+        response: {
+          status: 404,
+          data: {
+            message: 'Not Found',
+            documentation_url: 'https://docs.github.com/rest',
+          },
+          headers: {},
+        },
+      }),
+    );
+
+    // Act
+    const error = await client
+      .request('https://api.github.com/repos/PoolinGH/missing')
+      .catch((error) => error);
+
+    // Assert
+    expect(error).toBeInstanceOf(GitHubApiNotFoundError);
+    expect(error).toEqual(
+      expect.objectContaining({
+        status: 404,
+        githubMessage: 'Not Found',
+        documentationUrl: 'https://docs.github.com/rest',
+        token: '12345',
+        url: 'https://api.github.com/repos/PoolinGH/missing',
+      }),
+    );
+  });
+
+  it('logs the structured fields of a request with an injected logger', async () => {
+    // Arrange
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    client = new GitHubApiClient(mockToken, 5, 2000, './logs', { logger });
+    axios.request.mockResolvedValueOnce({
+      status: 200,
+      data: { items: [] },
+      headers: {
+        'x-ratelimit-remaining': '29',
+        'x-ratelimit-reset': `${Math.floor(Date.now() / 1000) + 60}`,
+        'x-ratelimit-resource': 'search',
+      },
+    });
+
+    // Act
+    await client.request('https://api.github.com/search/repositories?q=a');
+
+    // Assert
+    expect(client.getLogger()).toBe(logger);
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining('query: https://api.github.com/search/'),
+      {
+        client: '12345',
+        url: 'https://api.github.com/search/repositories?q=a',
+        status: 200,
+        remaining: 29,
+      },
+    );
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining('rate limit remaining (search): 29'),
+      expect.objectContaining({ resource: 'search', remaining: 29 }),
+    );
+  });
 });
@@ -0,0 +1,167 @@
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import { generateKeyPairSync, createVerify } from 'crypto';
+import axios from 'axios';
+import {
+  GitHubTokenCredentials,
+  GitHubAppCredentials,
+} from '../../src/helper/github-api-credentials.helper.js';
+
+// Mocks
+
+vi.mock('axios', () => ({ default: vi.fn() }));
+
+describe('GitHub API credentials', () => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  const installationToken = (token, expiresIn) => ({
+    data: {
+      token,
+      expires_at: new Date(Date.now() + expiresIn).toISOString(),
+    },
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('Provides a static token', () => {
+    // Arrange
+    const credentials = new GitHubTokenCredentials('github-token-12345');
+
+    // Act & Assert
+    expect(credentials.getToken()).toBe('github-token-12345');
+    expect(credentials.getLabel()).toBe('12345');
+  });
+
+  it('Signs a JWT with the private key of the app', () => {
+    // Arrange
+    const credentials = new GitHubAppCredentials(123, privateKey, 456);
+
+    // Act
+    const [header, payload, signature] = credentials.createJwt().split('.');
+
+    // Assert
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    expect(claims.iss).toBe('123');
+    expect(claims.exp - claims.iat).toBeLessThanOrEqual(600);
+    expect(
+      createVerify('RSA-SHA256')
+        .update(`${header}.${payload}`)
+        .verify(publicKey, signature, 'base64url'),
+    ).toBe(true);
+  });
+
+  it('Exchanges the JWT for an installation token', async () => {
+    // Arrange
+    axios.mockResolvedValue(installationToken('ghs_1', 3600000));
+    const credentials = new GitHubAppCredentials(123, privateKey, 456);
+
+    // Act
+    const token = await credentials.getToken();
+
+    // Assert
+    expect(token).toBe('ghs_1');
+    expect(credentials.getLabel()).toBe('app-123-456');
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'https://api.github.com/app/installations/456/access_tokens',
+        method: 'POST',
+        headers: expect.objectContaining({
+          Authorization: expect.stringMatching(/^Bearer .+\..+\..+$/),
+        }),
+      }),
+    );
+  });
+
+  it('Reuses the installation token until it expires soon', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    axios
+      .mockResolvedValueOnce(installationToken('ghs_1', 3600000))
+      .mockResolvedValueOnce(installationToken('ghs_2', 3600000));
+    const credentials = new GitHubAppCredentials(123, privateKey, 456);
+
+    // Act & Assert
+    expect(await credentials.getToken()).toBe('ghs_1');
+    vi.advanceTimersByTime(50 * 60 * 1000);
+    expect(await credentials.getToken()).toBe('ghs_1');
+    vi.advanceTimersByTime(6 * 60 * 1000); // Within the refresh margin.
+    expect(await credentials.getToken()).toBe('ghs_2');
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  it('Shares a refresh between concurrent requests', async () => {
+    // Arrange
+    axios.mockResolvedValue(installationToken('ghs_1', 3600000));
+    const credentials = new GitHubAppCredentials(123, privateKey, 456);
+
+    // Act
+    const tokens = await Promise.all([
+      credentials.getToken(),
+      credentials.getToken(),
+    ]);
+
+    // Assert
+    expect(tokens).toEqual(['ghs_1', 'ghs_1']);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  it('Exchanges the JWT through the transport of its client unless given', async () => {
+    // Arrange
+    const transport = {
+      request: vi.fn(() =>
+        Promise.resolve(installationToken('ghs_1', 3600000)),
+      ),
+    };
+    const credentials = new GitHubAppCredentials(123, privateKey, 456);
+    const customCredentials = new GitHubAppCredentials(123, privateKey, 456, {
+      baseUrl: 'https://relay.example.com',
+    });
+
+    // Act
+    credentials.setTransport(transport, 'https://github.example.com/api/v3/');
+    customCredentials.setTransport(
+      transport,
+      'https://github.example.com/api/v3',
+    );
+    await credentials.getToken();
+    await customCredentials.getToken();
+
+    // Assert
+    expect(axios).not.toHaveBeenCalled();
+    expect(transport.request.mock.calls.map(([config]) => config.url)).toEqual([
+      'https://github.example.com/api/v3/app/installations/456/access_tokens',
+      'https://relay.example.com/app/installations/456/access_tokens',
+    ]);
+  });
+
+  it('Gets a new installation token after an invalidation', async () => {
+    // Arrange
+    axios
+      .mockResolvedValueOnce(installationToken('ghs_1', 3600000))
+      .mockResolvedValueOnce(installationToken('ghs_2', 3600000));
+    const credentials = new GitHubAppCredentials(123, privateKey, 456, {
+      baseUrl: 'https://github.example.com/api/v3/',
+    });
+
+    // Act
+    await credentials.getToken();
+    credentials.invalidate();
+    const token = await credentials.getToken();
+
+    // Assert
+    expect(token).toBe('ghs_2');
+    expect(axios).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        url: 'https://github.example.com/api/v3/app/installations/456/access_tokens',
+      }),
+    );
+  });
+});
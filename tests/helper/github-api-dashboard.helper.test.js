@@ -0,0 +1,124 @@
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import { stripVTControlCharacters } from 'util';
+import { GitHubApiDashboard } from '../../src/helper/github-api-dashboard.helper.js';
+
+describe('GitHub API dashboard', () => {
+  let clients;
+  let queue;
+  let stream;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T00:00:00.000Z'));
+    clients = [
+      { getToken: () => 'abcde', isBusy: () => true, isRevoked: () => false },
+      { getToken: () => 'fghij', isBusy: () => false, isRevoked: () => false },
+      { getToken: () => 'klmno', isBusy: () => false, isRevoked: () => true },
+    ];
+    queue = Object.assign(new EventEmitter(), {
+      getClients: () => clients,
+      getQueueLength: () => 18,
+      getInFlightCount: () => 2,
+      getMetrics: () => ({
+        remaining: { abcde: { search: 27, core: 4990 }, fghij: { search: 0 } },
+      }),
+    });
+    stream = { isTTY: true, write: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('Shows the state and the remaining budget of each client', () => {
+    // Arrange
+    const dashboard = new GitHubApiDashboard(queue, { stream });
+    dashboard.start();
+
+    // Act
+    queue.emit('client:paused', {
+      token: 'fghij',
+      resource: 'search',
+      resetAt: Date.parse('2024-01-01T00:01:00.000Z'),
+    });
+    const lines = dashboard.render().map(stripVTControlCharacters);
+
+    // Assert
+    expect(lines[2]).toMatch(/^abcde\s+busy\s+search 27, core 4990$/);
+    expect(lines[3]).toMatch(
+      /^fghij\s+paused until 2024-01-01T00:01:00.000Z\s+search 0$/,
+    );
+    expect(lines[4]).toMatch(/^klmno\s+revoked\s+-$/);
+
+    // Cleanup
+    dashboard.stop();
+  });
+
+  it('Computes the throughput and the ETA from the combined rate of the pool', async () => {
+    // Arrange
+    const dashboard = new GitHubApiDashboard(queue, { stream });
+    dashboard.start();
+
+    // Act
+    for (let i = 0; i < 20; i++) {
+      queue.emit('request:success', { startedAt: Date.now() });
+      await vi.advanceTimersByTimeAsync(500);
+    }
+    queue.emit('request:retry', { startedAt: Date.now() });
+    queue.emit('request:abort', { startedAt: Date.now() });
+    queue.emit('request:abort', { startedAt: null });
+    const state = dashboard.getState();
+
+    // Assert
+    expect(state.done).toBe(20);
+    expect(state.throughput).toBe(2);
+    expect(state.eta).toBe(10000);
+    expect(state.errors).toBe(2);
+    expect(state.aborts).toBe(2);
+    expect(stripVTControlCharacters(dashboard.render().at(-1))).toBe(
+      'queue: 18 waiting, 2 in flight | done: 20 | throughput: 2.0 req/s | errors: 2 | aborts: 2 | ETA: 10s',
+    );
+
+    // Cleanup
+    dashboard.stop();
+  });
+
+  it('Redraws in place on a TTY', async () => {
+    // Arrange
+    const dashboard = new GitHubApiDashboard(queue, { stream, interval: 500 });
+
+    // Act
+    dashboard.start();
+    await vi.advanceTimersByTimeAsync(500);
+    dashboard.stop();
+
+    // Assert
+    expect(stream.write).toHaveBeenCalledTimes(3);
+    expect(stream.write.mock.calls[0][0]).not.toContain('\u001b[6A');
+    expect(stream.write.mock.calls[1][0].startsWith('\u001b[6A\u001b[0J')).toBe(
+      true,
+    );
+    expect(queue.listenerCount('request:success')).toBe(0);
+  });
+
+  it('Writes periodic summary lines without TTY', async () => {
+    // Arrange
+    stream.isTTY = false;
+    const dashboard = new GitHubApiDashboard(queue, {
+      stream,
+      summaryInterval: 10000,
+    });
+
+    // Act
+    dashboard.start();
+    await vi.advanceTimersByTimeAsync(25000);
+    dashboard.stop();
+
+    // Assert
+    expect(stream.write).toHaveBeenCalledTimes(4);
+    expect(stream.write).toHaveBeenLastCalledWith(
+      '[dashboard] queue: 18 waiting, 2 in flight | done: 0 | throughput: 0.0 req/s | errors: 0 | aborts: 0 | ETA: unknown\n',
+    );
+  });
+});
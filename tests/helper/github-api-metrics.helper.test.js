@@ -0,0 +1,260 @@
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import { GitHubApiMetrics } from '../../src/helper/github-api-metrics.helper.js';
+import { GitHubApiMockTransport } from '../../src/helper/github-api-mock-transport.helper.js';
+import { GitHubApiClient } from '../../src/helper/github-api-client.helper.js';
+import { GitHubApiQueue } from '../../src/helper/github-api-queue.helper.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+// Mocks
+
+vi.mock('../../src/helper/logger.helper.js', () => ({
+  Logger: vi.fn().mockImplementation(() => ({
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+  })),
+}));
+
+describe('GitHub API metrics', () => {
+  let queue;
+  let metrics;
+
+  beforeEach(() => {
+    queue = Object.assign(new EventEmitter(), {
+      getQueueLength: () => 3,
+      getInFlightCount: () => 1,
+      getRequestFailCount: () => 0,
+    });
+    metrics = new GitHubApiMetrics({ buckets: [0.5, 1] });
+    metrics.attach(queue);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('Counts the requests by status and resource', () => {
+    // Arrange
+    const search = new GitHubApiRequest('https://api.github.com/search/code');
+    const repo = new GitHubApiRequest('https://api.github.com/repos/a/b');
+    const scim = new GitHubApiRequest(
+      'https://api.github.com/scim/v2/organizations/a/Users',
+      {},
+      () => {},
+      { resource: 'scim' },
+    );
+
+    // Act
+    queue.emit('request:success', {
+      request: search,
+      response: { status: 200 },
+      startedAt: 0,
+      duration: 300,
+    });
+    queue.emit('request:success', {
+      request: repo,
+      response: { status: 200, fromCache: true },
+      startedAt: 0,
+      duration: 700,
+    });
+    queue.emit('request:success', {
+      request: scim,
+      response: { status: 200 },
+      startedAt: 0,
+      duration: 100,
+    });
+    queue.emit('request:success', {
+      request: scim,
+      response: { status: 200 },
+      startedAt: null,
+      duration: null,
+    }); // Memoized, not sent.
+    queue.emit('request:retry', {
+      request: search,
+      error: { status: 502 },
+      category: 'transient',
+      startedAt: 0,
+      duration: 2000,
+    });
+    queue.emit('request:abort', {
+      request: repo,
+      error: new Error('canceled'),
+      category: 'canceled',
+      startedAt: null,
+      duration: null,
+    });
+    const snapshot = metrics.getSnapshot();
+
+    // Assert
+    expect(snapshot.requests).toEqual([
+      { status: 200, resource: 'code_search', count: 1 },
+      { status: 304, resource: 'core', count: 1 },
+      { status: 200, resource: 'scim', count: 1 },
+      { status: 502, resource: 'code_search', count: 1 },
+    ]);
+    expect(snapshot.retries).toEqual({ transient: 1 });
+    expect(snapshot.aborts).toEqual({ canceled: 1 });
+    expect(snapshot.latencies.code_search).toEqual({
+      count: 2,
+      sum: 2.3,
+      buckets: [
+        { le: 0.5, count: 1 },
+        { le: 1, count: 1 },
+      ],
+    });
+    expect(snapshot.queueDepth).toBe(3);
+    expect(snapshot.inFlight).toBe(1);
+    expect(snapshot.quotaEfficiency).toBeCloseTo(2 / 3);
+  });
+
+  it('Tracks the remaining requests and the time spent paused per client', () => {
+    // Arrange
+    vi.useFakeTimers();
+    vi.setSystemTime(10000);
+
+    // Act
+    queue.emit('ratelimit:update', {
+      token: 'abcde',
+      resource: 'search',
+      remainingRequests: 0,
+      resetAt: 70000,
+      time: 10000,
+    });
+    queue.emit('client:paused', {
+      token: 'abcde',
+      resource: 'search',
+      time: 10000,
+    });
+    queue.emit('client:paused', {
+      token: 'abcde',
+      resource: null,
+      time: 20000,
+    });
+    queue.emit('client:resumed', {
+      token: 'abcde',
+      resource: 'search',
+      time: 30000,
+    });
+    queue.emit('client:resumed', {
+      token: 'abcde',
+      resource: null,
+      time: 40000,
+    });
+    queue.emit('client:paused', {
+      token: 'abcde',
+      resource: 'core',
+      time: 50000,
+    });
+    vi.setSystemTime(55000);
+    const snapshot = metrics.getSnapshot();
+
+    // Assert
+    expect(snapshot.remaining).toEqual({ abcde: { search: 0 } });
+    expect(snapshot.paused).toEqual({ abcde: 35000 });
+  });
+
+  it('Formats the metrics in the Prometheus text format', () => {
+    // Arrange
+    queue.emit('request:success', {
+      request: new GitHubApiRequest('https://api.github.com/search/issues'),
+      response: { status: 200 },
+      startedAt: 0,
+      duration: 800,
+    });
+    queue.emit('ratelimit:update', {
+      token: 'abcde',
+      resource: 'search',
+      remainingRequests: 29,
+    });
+
+    // Act
+    const text = metrics.toPrometheus();
+
+    // Assert
+    expect(text).toContain('# TYPE poolingh_requests_total counter\n');
+    expect(text).toContain(
+      'poolingh_requests_total{status="200",resource="search"} 1\n',
+    );
+    expect(text).toContain(
+      '# TYPE poolingh_request_duration_seconds histogram\n',
+    );
+    expect(text).toContain(
+      [
+        'poolingh_request_duration_seconds_bucket{resource="search",le="0.5"} 0',
+        'poolingh_request_duration_seconds_bucket{resource="search",le="1"} 1',
+        'poolingh_request_duration_seconds_bucket{resource="search",le="+Inf"} 1',
+        'poolingh_request_duration_seconds_sum{resource="search"} 0.8',
+        'poolingh_request_duration_seconds_count{resource="search"} 1',
+      ].join('\n'),
+    );
+    expect(text).toContain('poolingh_queue_depth 3\n');
+    expect(text).toContain(
+      'poolingh_rate_limit_remaining{client="abcde",resource="search"} 29\n',
+    );
+    expect(text).toContain('poolingh_quota_efficiency 1\n');
+  });
+
+  it('Serves the metrics on a local /metrics endpoint', async () => {
+    // Arrange
+    const server = await metrics.serve(0);
+    const { port } = server.address();
+
+    // Act
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    const body = await response.text();
+    const notFound = await fetch(`http://127.0.0.1:${port}/`);
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('version=0.0.4');
+    expect(body).toContain('poolingh_queue_depth 3');
+    expect(notFound.status).toBe(404);
+
+    // Cleanup
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('Collects the metrics of a whole pool', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T00:00:00.500Z'));
+    const transport = new GitHubApiMockTransport({ totalCount: 150 });
+    const clients = ['token-1', 'token-2'].map(
+      (token) => new GitHubApiClient(token, 1, 0, './logs', { transport }),
+    );
+    const pool = new GitHubApiQueue(clients, 5, 5000, './logs');
+    pool.push(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=language:js&per_page=100',
+        {},
+        () => {},
+        { paginate: true },
+      ),
+    );
+    transport.fail(502);
+
+    // Act
+    pool.start();
+    const drained = pool.drain();
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    await drained;
+    const snapshot = pool.getMetrics();
+
+    // Assert
+    expect(snapshot.requests).toEqual([
+      { status: 502, resource: 'search', count: 1 },
+      { status: 200, resource: 'search', count: 2 },
+    ]);
+    expect(snapshot.retries).toEqual({ transient: 1 });
+    expect(snapshot.queueDepth).toBe(0);
+    expect(snapshot.inFlight).toBe(0);
+    expect(Object.values(snapshot.remaining)).toContainEqual({
+      search: expect.any(Number),
+    });
+    expect(snapshot.quotaEfficiency).toBeCloseTo(2 / 3);
+
+    // Cleanup
+    pool.stop();
+  });
+});
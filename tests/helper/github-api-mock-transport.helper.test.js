@@ -0,0 +1,259 @@
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import { GitHubApiMockTransport } from '../../src/helper/github-api-mock-transport.helper.js';
+import { GitHubApiClient } from '../../src/helper/github-api-client.helper.js';
+import { GitHubApiQueue } from '../../src/helper/github-api-queue.helper.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+// Mocks
+
+vi.mock('../../src/helper/logger.helper.js', () => ({
+  Logger: vi.fn().mockImplementation(() => ({
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+  })),
+}));
+
+describe('GitHub API mock transport', () => {
+  const searchUrl =
+    'https://api.github.com/search/repositories?q=language:js&per_page=100';
+  const send = (transport, url, token = 'token-1', method = 'GET') =>
+    transport.request({
+      url,
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T00:00:00.500Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('Generates paginated search results', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport({ totalCount: 250 });
+
+    // Act
+    const firstPage = send(transport, searchUrl);
+    const lastPage = send(transport, `${searchUrl}&page=3`);
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Assert
+    const { data, headers } = await firstPage;
+    expect(data.total_count).toBe(250);
+    expect(data.items.length).toBe(100);
+    expect(headers.link).toContain('page=2>; rel="next"');
+    expect(headers.link).toContain('page=3>; rel="last"');
+    expect((await lastPage).data.items.length).toBe(50);
+    expect((await lastPage).headers.link).toBeUndefined();
+  });
+
+  it('Caps the search results at 1,000', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport({
+      totalCount: (query) => (query.includes('stars') ? 5000 : 10),
+    });
+
+    // Act
+    const response = send(
+      transport,
+      'https://api.github.com/search/repositories?q=stars:>1&per_page=100&page=10',
+    );
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Assert
+    const { data, headers } = await response;
+    expect(data.total_count).toBe(5000);
+    expect(data.items.length).toBe(100);
+    expect(headers.link).toBeUndefined();
+  });
+
+  it('Tracks the rate limit of each token per resource', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport({
+      rateLimits: { search: { limit: 2 } },
+    });
+
+    // Act
+    const responses = [
+      send(transport, searchUrl),
+      send(transport, searchUrl),
+      send(transport, searchUrl),
+      send(transport, searchUrl, 'token-2'),
+      send(transport, 'https://api.github.com/user'),
+    ].map((promise) => promise.catch((error) => error));
+    await vi.advanceTimersByTimeAsync(0);
+    const [first, second, third, otherToken, user] =
+      await Promise.all(responses);
+
+    // Assert
+    expect(first.headers['x-ratelimit-remaining']).toBe('1');
+    expect(second.headers['x-ratelimit-remaining']).toBe('0');
+    expect(third.response.status).toBe(403);
+    expect(third.response.data.message).toContain('rate limit exceeded');
+    expect(otherToken.headers['x-ratelimit-remaining']).toBe('1');
+    expect(user.headers['x-ratelimit-resource']).toBe('core');
+
+    // Act
+    await vi.advanceTimersByTimeAsync(61000); // The window, rounded up to the second.
+    const afterReset = send(transport, searchUrl);
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Assert
+    expect((await afterReset).headers['x-ratelimit-remaining']).toBe('1');
+  });
+
+  it('Injects failures and secondary rate limits', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport();
+    transport.fail(502).fail(429, { headers: { 'retry-after': '30' } });
+    transport.failSecondaryRateLimit({ retryAfter: 60 });
+
+    // Act
+    const responses = [1, 2, 3, 4].map(() =>
+      send(transport, searchUrl).catch((error) => error),
+    );
+    await vi.advanceTimersByTimeAsync(0);
+    const [badGateway, tooMany, secondary, success] =
+      await Promise.all(responses);
+
+    // Assert
+    expect(badGateway.response.status).toBe(502);
+    expect(tooMany.response.status).toBe(429);
+    expect(tooMany.response.headers['retry-after']).toBe('30');
+    expect(secondary.response.status).toBe(403);
+    expect(secondary.response.data.message).toContain('secondary rate limit');
+    expect(success.status).toBe(200);
+  });
+
+  it('Serves the custom routes', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport();
+    transport.route('GET', /^\/repos\/[^/]+\/[^/]+$/, (request) => ({
+      data: { url: request.url, token: request.token },
+    }));
+
+    // Act
+    const repository = send(transport, 'https://api.github.com/repos/a/b');
+    const missing = send(transport, 'https://api.github.com/orgs/a').catch(
+      (error) => error,
+    );
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Assert
+    expect((await repository).data).toEqual({
+      url: 'https://api.github.com/repos/a/b',
+      token: 'token-1',
+    });
+    expect((await missing).response.status).toBe(404);
+    expect(transport.getRequests().length).toBe(2);
+  });
+
+  it('Runs a whole pool end to end', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport({
+      totalCount: 250,
+      rateLimits: { search: { limit: 8 } },
+    });
+    const clients = ['token-1', 'token-2'].map(
+      (token) => new GitHubApiClient(token, 1, 0, './logs', { transport }),
+    );
+    const queue = new GitHubApiQueue(clients, 5, 5000, './logs', {
+      strategy: 'fifo',
+    });
+    const items = [];
+    for (const language of ['js', 'ts', 'go', 'rust', 'java', 'c']) {
+      queue.push(
+        new GitHubApiRequest(
+          `https://api.github.com/search/repositories?q=language:${language}&per_page=100`,
+          {},
+          (response) => items.push(...response.data.items),
+          { paginate: true },
+        ),
+      );
+    }
+    const validation = queue.validate();
+    await vi.advanceTimersByTimeAsync(0);
+    const reports = await validation;
+    transport.fail(502);
+
+    // Act
+    queue.start();
+    const drained = queue.drain();
+    await vi.advanceTimersByTimeAsync(5 * 60 * 1000);
+    await drained;
+
+    // Assert
+    expect(reports.map((report) => report.valid)).toEqual([true, true]);
+    expect(items.length).toBe(6 * 250);
+    expect(
+      transport
+        .getRequests()
+        .filter((request) => request.url.includes('/search/')).length,
+    ).toBe(6 * 3 + 1); // 3 pages per query, plus the failed request.
+    expect(
+      transport.getRequests().some((request) => request.token === 'token-2'),
+    ).toBe(true);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Runs a whole pool against an Enterprise Server instance without rate limiting', async () => {
+    // Arrange
+    const transport = new GitHubApiMockTransport({
+      totalCount: 150,
+      baseUrl: 'https://github.example.com/api/v3',
+      rateLimiting: false,
+    });
+    const clients = ['token-1', 'token-2'].map(
+      (token) => new GitHubApiClient(token, 1, 0, './logs', { transport }),
+    );
+    const queue = new GitHubApiQueue(clients, 5, 5000, './logs', {
+      enterprise: 'https://github.example.com',
+    });
+    const items = [];
+    for (const language of ['js', 'ts', 'go']) {
+      queue.push(
+        new GitHubApiRequest(
+          `/search/repositories?q=language:${language}&per_page=100`,
+          {},
+          (response) => items.push(...response.data.items),
+          { paginate: true },
+        ),
+      );
+    }
+    const validation = queue.validate();
+    await vi.advanceTimersByTimeAsync(0);
+    const reports = await validation;
+
+    // Act
+    queue.start();
+    const drained = queue.drain();
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    await drained;
+
+    // Assert
+    expect(reports.map((report) => report.valid)).toEqual([true, true]);
+    expect(reports.every((report) => report.login)).toBe(true);
+    expect(items.length).toBe(3 * 150);
+    expect(
+      transport
+        .getRequests()
+        .every((request) =>
+          request.url.startsWith('https://github.example.com/api/v3/'),
+        ),
+    ).toBe(true);
+    expect(clients.map((client) => client.isRateLimitingEnabled())).toEqual([
+      false,
+      false,
+    ]);
+
+    // Cleanup
+    queue.stop();
+  });
+});
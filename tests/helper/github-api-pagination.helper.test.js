@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseLinkHeader,
+  combinePageData,
+} from '../../src/helper/github-api-pagination.helper.js';
+
+describe('GitHub API pagination', () => {
+  it('Parses a Link header', () => {
+    // Arrange
+    const header =
+      '<https://api.github.com/search/code?q=addClass&page=2>; rel="next", <https://api.github.com/search/code?q=addClass&page=34>; rel="last"';
+
+    // Act
+    const links = parseLinkHeader(header);
+
+    // Assert
+    expect(links).toEqual({
+      next: 'https://api.github.com/search/code?q=addClass&page=2',
+      last: 'https://api.github.com/search/code?q=addClass&page=34',
+    });
+  });
+
+  it('Parses a missing Link header', () => {
+    // Act & Assert
+    expect(parseLinkHeader(undefined)).toEqual({});
+  });
+
+  it('Combines pages of arrays', () => {
+    // Act & Assert
+    expect(combinePageData([{ data: [1, 2] }, { data: [3] }])).toEqual([
+      1, 2, 3,
+    ]);
+  });
+
+  it('Combines pages of search results', () => {
+    // Arrange
+    const responses = [
+      { data: { total_count: 3, incomplete_results: false, items: [1, 2] } },
+      { data: { total_count: 3, incomplete_results: true, items: [3] } },
+    ];
+
+    // Act & Assert
+    expect(combinePageData(responses)).toEqual({
+      total_count: 3,
+      incomplete_results: true,
+      items: [1, 2, 3],
+    });
+  });
+
+  it('Lists pages of other data', () => {
+    // Act & Assert
+    expect(combinePageData([{ data: { a: 1 } }, { data: { b: 2 } }])).toEqual([
+      { a: 1 },
+      { b: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GitHubApiQueueJournal } from '../../src/helper/github-api-queue-journal.helper.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+describe('GitHub Search API queue journal', () => {
+  let directory;
+  let journal;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poolingh-'));
+    journal = new GitHubApiQueueJournal(
+      path.join(directory, 'journal', 'queue.jsonl'),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('Loads an empty state when the journal does not exist', () => {
+    // Act & Assert
+    expect(journal.load()).toEqual({
+      pending: [],
+      completed: [],
+      abandoned: [],
+      errorUrls: {},
+      errorCount: 0,
+      failedRequestCount: 0,
+    });
+  });
+
+  it('Loads the pending, in-flight, completed and abandoned requests', () => {
+    // Arrange
+    const pending = new GitHubApiRequest('https://api.github.com/search/1');
+    const inFlight = new GitHubApiRequest('https://api.github.com/search/2');
+    const completed = new GitHubApiRequest('https://api.github.com/search/3');
+    const abandoned = new GitHubApiRequest('https://api.github.com/search/4');
+    const notFound = new GitHubApiRequest('https://api.github.com/search/5');
+    const canceled = new GitHubApiRequest('https://api.github.com/search/6');
+
+    // Act
+    [pending, inFlight, completed, abandoned, notFound, canceled].forEach(
+      (request) => journal.pending(request),
+    );
+    [inFlight, completed, abandoned, notFound].forEach((request) =>
+      journal.started(request),
+    );
+    journal.completed(completed);
+    journal.failed(abandoned);
+    journal.failed(abandoned);
+    journal.abandoned(abandoned, 'transient');
+    journal.failed(notFound);
+    journal.abandoned(notFound, 'permanent');
+    journal.abandoned(canceled, 'canceled');
+    const state = journal.load();
+
+    // Assert
+    expect(state.pending.map((json) => json.url)).toEqual([
+      'https://api.github.com/search/1',
+      'https://api.github.com/search/2',
+    ]);
+    expect(state.completed).toEqual([completed.getId()]);
+    expect(state.abandoned).toEqual([
+      abandoned.getId(),
+      notFound.getId(),
+      canceled.getId(),
+    ]);
+    expect(state.errorUrls).toEqual({
+      'https://api.github.com/search/4': 2,
+      'https://api.github.com/search/5': 1,
+    });
+    expect(state.errorCount).toBe(3);
+    expect(state.failedRequestCount).toBe(2); // The canceled request is not counted.
+  });
+
+  it('Ignores a truncated line', () => {
+    // Arrange
+    journal.pending(new GitHubApiRequest('https://api.github.com/search/1'));
+    fs.appendFileSync(journal.getFilePath(), '{"type":"pend');
+
+    // Act & Assert
+    expect(journal.load().pending.length).toBe(1);
+  });
+
+  it('Compacts the journal while keeping the state', () => {
+    // Arrange
+    const pending = new GitHubApiRequest('https://api.github.com/search/1');
+    const completed = new GitHubApiRequest('https://api.github.com/search/2');
+    journal.pending(pending);
+    journal.pending(completed);
+    journal.failed(completed);
+    journal.completed(completed);
+    journal.abandoned(
+      new GitHubApiRequest('https://api.github.com/search/3'),
+      'permanent',
+    );
+
+    // Act
+    journal.compact();
+    const state = journal.load();
+
+    // Assert
+    expect(state.pending.map((json) => json.id)).toEqual([pending.getId()]);
+    expect(state.errorUrls).toEqual({ 'https://api.github.com/search/2': 1 });
+    expect(state.completed).toEqual([]);
+    expect(state.failedRequestCount).toBe(1);
+    expect(
+      fs.readFileSync(journal.getFilePath(), 'utf8').trim().split('\n').length,
+    ).toBe(3);
+  });
+
+  it('Compacts the journal every given number of entries', () => {
+    // Arrange
+    journal = new GitHubApiQueueJournal(journal.getFilePath(), {
+      compactEvery: 4,
+    });
+    const pending = new GitHubApiRequest('https://api.github.com/search/1');
+    const completed = new GitHubApiRequest('https://api.github.com/search/2');
+
+    // Act
+    journal.pending(pending);
+    journal.pending(completed);
+    journal.started(completed);
+    journal.completed(completed); // Fourth entry.
+
+    // Assert
+    expect(
+      fs.readFileSync(journal.getFilePath(), 'utf8').trim().split('\n').length,
+    ).toBe(1);
+    expect(journal.load().pending.map((json) => json.id)).toEqual([
+      pending.getId(),
+    ]);
+  });
+});
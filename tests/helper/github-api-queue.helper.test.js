@@ -1,6 +1,14 @@
 import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import { EventEmitter } from 'events';
 import { GitHubApiQueue } from '../../src/helper/github-api-queue.helper.js';
 import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+import { GitHubGraphQLRequest } from '../../src/model/github-graphql-request.model.js';
+import { GitHubApiRetryPolicy } from '../../src/helper/github-api-retry-policy.helper.js';
+import { GitHubApiThrottle } from '../../src/helper/github-api-throttle.helper.js';
+import {
+  GitHubApiNotFoundError,
+  GitHubApiAuthError,
+} from '../../src/model/github-api-error.model.js';
 
 // Mocks
 
@@ -14,6 +22,20 @@ vi.mock('../../src/helper/logger.helper.js', () => ({
 
 describe('GitHub Search API Queue', () => {
   let queue;
+  const createAbortableClient = (duration) => ({
+    isAuthorized: () => true,
+    isBusy: () => false,
+    request: vi.fn(
+      (url, params, { signal }) =>
+        new Promise((resolve, reject) => {
+          const timer = setTimeout(() => resolve({ data: url }), duration);
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          });
+        }),
+    ),
+  });
 
   beforeEach(() => {
     vi.clearAllMocks();
@@ -307,6 +329,10 @@ describe('GitHub Search API Queue', () => {
       expect.stringContaining(
         '[queue] retry: https://api.github.com/search/404',
       ),
+      expect.objectContaining({
+        url: 'https://api.github.com/search/404',
+        attempt: 1,
+      }),
     );
 
     // Cleanup
@@ -344,6 +370,7 @@ describe('GitHub Search API Queue', () => {
       expect.stringContaining(
         '[queue] abort: https://api.github.com/search/404',
       ),
+      expect.objectContaining({ url: 'https://api.github.com/search/404' }),
     );
 
     // Cleanup
@@ -351,32 +378,1534 @@ describe('GitHub Search API Queue', () => {
     vi.useRealTimers();
   });
 
-  it('Returns the length of the queue', () => {
+  it('Follows the next page of a paginated request', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/search/repositories?q=stars:>=1000';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn((requestUrl) =>
+        Promise.resolve({
+          data: { items: [] },
+          headers:
+            requestUrl === url ? { link: `<${url}&page=2>; rel="next"` } : {},
+        }),
+      ),
+    };
+    const callback = vi.fn();
+    queue = new GitHubApiQueue([client]);
+    queue.push(new GitHubApiRequest(url, {}, callback, { paginate: true }));
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(3000);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+    expect(client.request).toHaveBeenLastCalledWith(
+      `${url}&page=2`,
+      {},
+      {
+        signal: expect.any(AbortSignal),
+      },
+    );
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(queue.getQueueLength()).toBe(0);
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Processes REST and paginated GraphQL requests in the same queue', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const restUrl = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn((requestUrl, params) =>
+        Promise.resolve(
+          requestUrl === restUrl
+            ? { data: {}, headers: {} }
+            : {
+                data: {
+                  data: {
+                    viewer: {
+                      starredRepositories: {
+                        pageInfo: {
+                          hasNextPage: !params.body.variables.cursor,
+                          endCursor: 'c1',
+                        },
+                      },
+                    },
+                  },
+                },
+                headers: {},
+              },
+        ),
+      ),
+    };
+    const restCallback = vi.fn();
+    const graphQLCallback = vi.fn();
+    queue = new GitHubApiQueue([client]);
+    queue.push(
+      new GitHubApiRequest(restUrl, {}, restCallback),
+      new GitHubGraphQLRequest(
+        'query($cursor: String) { viewer { starredRepositories(after: $cursor) { pageInfo { hasNextPage endCursor } } } }',
+        {},
+        graphQLCallback,
+        { paginate: true, connectionPath: 'viewer.starredRepositories' },
+      ),
+    );
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(3000);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(3);
+    expect(client.request).toHaveBeenCalledWith(
+      'https://api.github.com/graphql',
+      expect.objectContaining({
+        method: 'POST',
+        body: expect.objectContaining({ variables: { cursor: 'c1' } }),
+      }),
+      { signal: expect.any(AbortSignal) },
+    );
+    expect(restCallback).toHaveBeenCalledTimes(1);
+    expect(graphQLCallback).toHaveBeenCalledTimes(2);
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Sends a request only to a client with budget in its resource', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const searchUrl = 'https://api.github.com/search/repositories?q=stars:1';
+    const coreUrl = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      isAuthorized: (resource) => resource !== 'search',
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client]);
+    queue.push(new GitHubApiRequest(coreUrl), new GitHubApiRequest(searchUrl));
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(2500);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(client.request).toHaveBeenCalledWith(
+      coreUrl,
+      {},
+      {
+        signal: expect.any(AbortSignal),
+      },
+    );
+    expect(queue.getQueueLength()).toBe(1);
+    expect(queue._queries[0].getUrl()).toBe(searchUrl);
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Checkpoints the requests in its journal', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const journal = {
+      pending: vi.fn(),
+      started: vi.fn(),
+      failed: vi.fn(),
+      completed: vi.fn(),
+      abandoned: vi.fn(),
+    };
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { journal });
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:>=1000',
+    );
+
+    // Act
+    queue.push(request);
+    queue.start();
+    await vi.advanceTimersByTimeAsync(1000);
+
+    // Assert
+    expect(journal.pending).toHaveBeenCalledWith(request);
+    expect(journal.started).toHaveBeenCalledWith(request);
+    expect(journal.completed).toHaveBeenCalledWith(request);
+    expect(journal.failed).not.toHaveBeenCalled();
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Restores the pending requests and the error counters from its journal', () => {
+    // Arrange
+    const callback = vi.fn();
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:>=1000',
+      {},
+      callback,
+      { callbackName: 'save' },
+    );
+    const journal = {
+      pending: vi.fn(),
+      compact: vi.fn(),
+      load: () => ({
+        pending: [request.toJSON()],
+        completed: ['a'],
+        abandoned: ['b'],
+        errorUrls: { [request.getUrl()]: 2 },
+        errorCount: 2,
+        failedRequestCount: 1,
+      }),
+    };
+    queue = new GitHubApiQueue([], 5, 5000, './logs', { journal });
+
+    // Act
+    const count = queue.restore({ save: callback });
+
+    // Assert
+    expect(count).toBe(1);
+    expect(queue.getQueueLength()).toBe(1);
+    expect(queue._queries[0].getId()).toBe(request.getId());
+    expect(queue._queries[0].getCallback()).toBe(callback);
+    expect(queue._errorUrls).toEqual({ [request.getUrl()]: 2 });
+    expect(queue._errorCount).toBe(2);
+    expect(queue.getRequestFailCount()).toBe(1);
+    expect(journal.pending).not.toHaveBeenCalled();
+    expect(journal.compact).toHaveBeenCalledTimes(1);
+  });
+
+  it('Restores a request combining its pages from its first page', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/a/b/issues?per_page=1';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn((pageUrl) => {
+        const page = Number(new URL(pageUrl).searchParams.get('page') || 1);
+        return Promise.resolve({
+          data: [page],
+          headers:
+            page < 3 ? { link: `<${url}&page=${page + 1}>; rel="next"` } : {},
+        });
+      }),
+    };
+    const callback = vi.fn();
+    const request = new GitHubApiRequest(url, {}, callback, {
+      paginate: true,
+      combinePages: true,
+      callbackName: 'save',
+    });
+    const nextPageRequest = request.complete(await client.request(url)); // Page 1, collected before the crash.
+    const journal = {
+      pending: vi.fn(),
+      started: vi.fn(),
+      failed: vi.fn(),
+      completed: vi.fn(),
+      abandoned: vi.fn(),
+      load: () => ({
+        pending: [JSON.parse(JSON.stringify(nextPageRequest))],
+        completed: [request.getId()],
+        abandoned: [],
+        errorUrls: {},
+        errorCount: 0,
+        failedRequestCount: 0,
+      }),
+    };
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { journal });
+
+    // Act
+    queue.restore({ save: callback });
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request.mock.calls.map(([pageUrl]) => pageUrl)).toEqual([
+      url,
+      url,
+      `${url}&page=2`,
+      `${url}&page=3`,
+    ]);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].data).toEqual([1, 2, 3]);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Cannot restore without a journal', () => {
     // Arrange
     queue = new GitHubApiQueue([]);
+
+    // Act & Assert
+    expect(() => queue.restore()).toThrow('no journal to restore from');
+  });
+
+  it('Resolves the drain once the queue is empty and no request is in flight', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    let resolveRequest;
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(
+        () =>
+          new Promise((resolve) => {
+            resolveRequest = resolve;
+          }),
+      ),
+    };
+    queue = new GitHubApiQueue([client]);
     queue.push(
       new GitHubApiRequest(
         'https://api.github.com/search/repositories?q=stars:>=1000',
       ),
+    );
+    const drained = vi.fn();
+
+    // Act
+    queue.start();
+    queue.drain().then(drained);
+    await vi.advanceTimersByTimeAsync(2500);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(0);
+    expect(drained).not.toHaveBeenCalled();
+
+    // Act
+    resolveRequest('result');
+    await vi.advanceTimersByTimeAsync(100);
+
+    // Assert
+    expect(drained).toHaveBeenCalled();
+    expect(queue._isIdle).toBe(true);
+    expect(queue._timer).toBeNull();
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Wakes up when a request is queued while idle', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client]);
+    queue.start();
+    await queue.drain();
+
+    // Act
+    queue.push(
       new GitHubApiRequest(
-        'https://api.github.com/search/repositories?q=stars:<1000',
+        'https://api.github.com/search/repositories?q=stars:>=1000',
       ),
     );
+    await vi.advanceTimersByTimeAsync(100);
 
-    // Act & Assert
-    expect(queue.getQueueLength()).toBe(2);
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    await expect(queue.drain()).resolves.toBeUndefined();
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
   });
 
-  it('Returns the total number of failed requests', () => {
+  it('Rejects the drain when the total error count is too big', async () => {
     // Arrange
-    queue = new GitHubApiQueue([], 2);
-    queue._errorUrls = {
-      'https://api.github.com/search/repositories?q=stars:1': 1, // OK
-      'https://api.github.com/search/repositories?q=stars:2': 2, // FAIL
-      'https://api.github.com/search/repositories?q=stars:3': 3, // FAIL
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.reject(new Error('Error'))),
     };
+    queue = new GitHubApiQueue([client], 5, 2);
+    queue.push(new GitHubApiRequest('https://api.github.com/search/404'));
 
-    // Act & Assert
+    // Act
+    queue.start();
+    const drain = queue.drain();
+    const assertion = expect(drain).rejects.toThrow('error count too big');
+    await vi.advanceTimersByTimeAsync(100);
+
+    // Assert
+    await assertion;
+    await expect(queue.drain()).rejects.toThrow('error count too big');
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Resolves the drain when the queue is stopped', async () => {
+    // Arrange
+    queue = new GitHubApiQueue([]);
+    queue.push(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=stars:>=1000',
+      ),
+    );
+    const drain = queue.drain();
+
+    // Act
+    queue.stop();
+
+    // Assert
+    await expect(drain).resolves.toBeUndefined();
+  });
+
+  it('Emits the lifecycle events of a successful request', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      getToken: () => '12345',
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client]);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:>=1000',
+    );
+    const start = vi.fn();
+    const success = vi.fn();
+    const idle = vi.fn();
+    queue.on('request:start', start);
+    queue.on('request:success', success);
+    queue.on('queue:idle', idle);
+    queue.push(request);
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(100);
+
+    // Assert
+    expect(start).toHaveBeenCalledWith(
+      expect.objectContaining({ request, token: '12345' }),
+    );
+    expect(success).toHaveBeenCalledWith(
+      expect.objectContaining({
+        request,
+        token: '12345',
+        response: 'result',
+        startedAt: expect.any(Number),
+        duration: expect.any(Number),
+      }),
+    );
+    expect(idle).toHaveBeenCalledTimes(1);
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Emits the retries and the abort of a failing request', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const error = new Error('Error');
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.reject(error)),
+    };
+    queue = new GitHubApiQueue([client], 2);
+    const request = new GitHubApiRequest('https://api.github.com/search/404');
+    const retry = vi.fn();
+    const abort = vi.fn();
+    queue.on('request:retry', retry);
+    queue.on('request:abort', abort);
+    queue.push(request);
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(100);
+
+    // Assert
+    expect(retry).toHaveBeenCalledTimes(1);
+    expect(retry).toHaveBeenCalledWith(
+      expect.objectContaining({ request, error, attempt: 1, token: null }),
+    );
+    expect(abort).toHaveBeenCalledTimes(1);
+    expect(abort).toHaveBeenCalledWith(
+      expect.objectContaining({ request, error, attempt: 2 }),
+    );
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Forwards the events of the clients', () => {
+    // Arrange
+    const client = new EventEmitter();
+    queue = new GitHubApiQueue([client]);
+    const paused = vi.fn();
+    queue.on('client:paused', paused);
+
+    // Act
+    client.emit('client:paused', { token: '12345' });
+
+    // Assert
+    expect(paused).toHaveBeenCalledWith({ token: '12345' });
+  });
+
+  it('Processes the requests of higher priority first', () => {
+    // Arrange
+    const client = { isAuthorized: () => true };
+    const url = 'https://api.github.com/search/repositories?q=stars:';
+    const low = new GitHubApiRequest(`${url}1`, {}, () => {}, {
+      priority: -1,
+    });
+    const normal1 = new GitHubApiRequest(`${url}2`);
+    const normal2 = new GitHubApiRequest(`${url}3`);
+    const high = new GitHubApiRequest(`${url}4`, {}, () => {}, {
+      priority: 10,
+    });
+    queue = new GitHubApiQueue([client]);
+
+    // Act
+    queue.push(high, normal1, low, normal2);
+
+    // Assert
+    expect(queue._take(client)).toBe(high);
+    expect(queue._take(client)).toBe(normal2);
+    expect(queue._take(client)).toBe(normal1);
+    expect(queue._take(client)).toBe(low);
+    expect(queue._take(client)).toBeNull();
+  });
+
+  it('Processes the requests in FIFO order', () => {
+    // Arrange
+    const client = { isAuthorized: () => true };
+    const url = 'https://api.github.com/search/repositories?q=stars:';
+    const request1 = new GitHubApiRequest(`${url}1`);
+    const request2 = new GitHubApiRequest(`${url}2`);
+    const request3 = new GitHubApiRequest(`${url}3`);
+    const high = new GitHubApiRequest(`${url}4`, {}, () => {}, {
+      priority: 1,
+    });
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      strategy: 'fifo',
+    });
+
+    // Act
+    queue.push(request1, request2, high);
+    queue.unshift(request3);
+
+    // Assert
+    expect(queue.getStrategy()).toBe('fifo');
+    expect(queue._take(client)).toBe(high);
+    expect(queue._take(client)).toBe(request3);
+    expect(queue._take(client)).toBe(request1);
+    expect(queue._take(client)).toBe(request2);
+  });
+
+  it('Processes a failed request first when configured', async () => {
+    // Arrange
+    const url = 'https://api.github.com/search/repositories?q=stars:';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.reject(new Error('Error'))),
+    };
+    const request1 = new GitHubApiRequest(`${url}1`);
+    const request2 = new GitHubApiRequest(`${url}2`);
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      retryPosition: 'first',
+    });
+    queue.push(request1, request2);
+    const retried = queue._take(client);
+
+    // Act
+    await queue._dispatch(client, retried);
+
+    // Assert
+    expect(retried).toBe(request2);
+    expect(queue._take(client)).toBe(request2);
+    expect(queue._take(client)).toBe(request1);
+  });
+
+  it('Processes a failed request last by default', async () => {
+    // Arrange
+    const url = 'https://api.github.com/search/repositories?q=stars:';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.reject(new Error('Error'))),
+    };
+    const request1 = new GitHubApiRequest(`${url}1`);
+    const request2 = new GitHubApiRequest(`${url}2`);
+    queue = new GitHubApiQueue([client]);
+    queue.push(request1, request2);
+
+    // Act
+    await queue._dispatch(client, queue._take(client));
+
+    // Assert
+    expect(queue._take(client)).toBe(request1);
+    expect(queue._take(client)).toBe(request2);
+  });
+
+  it('Aborts a request at once on a permanent error', async () => {
+    // Arrange
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() =>
+        Promise.reject({
+          message: 'Not Found',
+          response: { status: 404, headers: {} },
+        }),
+      ),
+    };
+    queue = new GitHubApiQueue([client], 5);
+    const request = new GitHubApiRequest('https://api.github.com/repos/a/b');
+    const abort = vi.fn();
+    queue.on('request:abort', abort);
+
+    // Act
+    await queue._dispatch(client, request);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(0);
+    expect(queue.getRequestFailCount()).toBe(1);
+    expect(abort).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'permanent', attempt: 1 }),
+    );
+    expect(queue._logger.error).toHaveBeenCalledWith(
+      expect.stringContaining(
+        '[queue] abort: https://api.github.com/repos/a/b (permanent error)',
+      ),
+      expect.objectContaining({ category: 'permanent', attempt: 1 }),
+    );
+  });
+
+  it('Delays the retry of a request on a transient error', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() =>
+        Promise.reject({
+          message: 'Bad Gateway',
+          response: { status: 502, headers: {} },
+        }),
+      ),
+    };
+    const retryPolicy = new GitHubApiRetryPolicy(1000, 60000, 2, 0);
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { retryPolicy });
+    const request = new GitHubApiRequest('https://api.github.com/repos/a/b');
+    const retry = vi.fn();
+    queue.on('request:retry', retry);
+
+    // Act
+    await queue._dispatch(client, request);
+
+    // Assert
+    expect(retry).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'transient', delay: 1000 }),
+    );
+    expect(queue.getQueueLength()).toBe(0);
+
+    // Act
+    vi.advanceTimersByTime(1000);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(1);
+    expect(queue._retryTimers.size).toBe(0);
+
+    // Cleanup
+    vi.useRealTimers();
+  });
+
+  it('Abandons its requests once the tokens of all the clients are rejected', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    let revoked = false;
+    const client = {
+      isAuthorized: () => !revoked,
+      isRevoked: () => revoked,
+      isBusy: () => false,
+      request: vi.fn(() => {
+        revoked = true;
+        return Promise.reject({
+          message: 'Bad credentials',
+          response: { status: 401, headers: {} },
+        });
+      }),
+    };
+    queue = new GitHubApiQueue([client], 5);
+    const abort = vi.fn();
+    const unauthorized = vi.fn();
+    queue.on('request:abort', abort);
+    queue.on('queue:unauthorized', unauthorized);
+    queue.push(
+      new GitHubApiRequest('https://api.github.com/repos/a/1'),
+      new GitHubApiRequest('https://api.github.com/repos/a/2'),
+    );
+
+    // Act
+    queue.start();
+    const drained = queue.drain();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    await expect(drained).resolves.toBeUndefined();
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(unauthorized).toHaveBeenCalledWith(
+      expect.objectContaining({ count: 2 }),
+    );
+    expect(abort).toHaveBeenCalledTimes(2);
+    expect(abort).toHaveBeenCalledWith(
+      expect.objectContaining({
+        category: 'unauthorized',
+        error: expect.any(GitHubApiAuthError),
+      }),
+    );
+    expect(queue.getRequestFailCount()).toBe(2);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Puts the requests waiting for their retry back in the queue on stop', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() =>
+        Promise.reject({
+          message: 'Bad Gateway',
+          response: { status: 502, headers: {} },
+        }),
+      ),
+    };
+    const retryPolicy = new GitHubApiRetryPolicy(1000, 60000, 2, 0);
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { retryPolicy });
+    const request = new GitHubApiRequest('https://api.github.com/repos/a/b');
+    await queue._dispatch(client, request);
+
+    // Act
+    await queue.stop();
+    vi.advanceTimersByTime(1000);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(1);
+    expect(queue._queries).toEqual([request]);
+    expect(queue._retryTimers.size).toBe(0);
+
+    // Cleanup
+    vi.useRealTimers();
+  });
+
+  it('Uses the retry policy of a request', async () => {
+    // Arrange
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.reject(new Error('Error'))),
+    };
+    const retryPolicy = {
+      classify: () => 'custom',
+      shouldRetry: () => false,
+      getDelay: () => 0,
+    };
+    queue = new GitHubApiQueue([client], 5);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/repos/a/b',
+      {},
+      () => {},
+      { retryPolicy },
+    );
+
+    // Act
+    await queue._dispatch(client, request);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(0);
+    expect(queue._errorUrls[request.getUrl()]).toBe(1);
+  });
+
+  it('Slows down the whole pool after a secondary rate limit', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const rateLimitedClient = new EventEmitter();
+    const createClient = () => ({
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    });
+    const client1 = createClient();
+    const client2 = createClient();
+    queue = new GitHubApiQueue(
+      [rateLimitedClient, client1, client2],
+      5,
+      5000,
+      './logs',
+      { secondaryRateLimitInterval: 1000 },
+    );
+    Object.assign(rateLimitedClient, {
+      isAuthorized: () => false,
+      isBusy: () => false,
+    });
+    const slowdown = vi.fn();
+    queue.on('queue:slowdown', slowdown);
+    for (let i = 0; i < 4; i++) {
+      queue.push(
+        new GitHubApiRequest(
+          `https://api.github.com/search/repositories?q=stars:${i}`,
+        ),
+      );
+    }
+
+    // Act
+    rateLimitedClient.emit('ratelimit:secondary', {
+      token: '12345',
+      cooldown: 60000,
+      resetAt: Date.now() + 60000,
+    });
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(slowdown).toHaveBeenCalledWith(
+      expect.objectContaining({ token: '12345' }),
+    );
+    expect(queue.getQueueLength()).toBe(3);
+
+    // Act
+    await vi.advanceTimersByTimeAsync(1000);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(2);
+
+    // Act
+    await vi.advanceTimersByTimeAsync(120000);
+
+    // Assert
+    expect(queue.getQueueLength()).toBe(0);
+
+    // Cleanup
+    queue.stop();
+    vi.useRealTimers();
+  });
+
+  it('Limits the number of concurrent requests of the pool', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const resolvers = [];
+    const createClient = () => ({
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(
+        () => new Promise((resolve) => resolvers.push(() => resolve('result'))),
+      ),
+    });
+    queue = new GitHubApiQueue(
+      [createClient(), createClient(), createClient()],
+      5,
+      5000,
+      './logs',
+      { throttle: new GitHubApiThrottle(2) },
+    );
+    for (let i = 0; i < 4; i++) {
+      queue.push(
+        new GitHubApiRequest(
+          `https://api.github.com/search/repositories?q=stars:${i}`,
+        ),
+      );
+    }
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(resolvers.length).toBe(2);
+    expect(queue.getQueueLength()).toBe(2);
+
+    // Act
+    resolvers[0]();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(resolvers.length).toBe(3);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Limits the number of requests per second of the pool', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      throttle: new GitHubApiThrottle(Infinity, 2),
+    });
+    for (let i = 0; i < 6; i++) {
+      queue.push(
+        new GitHubApiRequest(
+          `https://api.github.com/search/repositories?q=stars:${i}`,
+        ),
+      );
+    }
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+
+    // Act
+    await vi.advanceTimersByTimeAsync(1000);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(4);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Spaces the requests of the same client', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      throttle: new GitHubApiThrottle(Infinity, Infinity, Infinity, 500),
+    });
+    for (let i = 0; i < 3; i++) {
+      queue.push(
+        new GitHubApiRequest(
+          `https://api.github.com/search/repositories?q=stars:${i}`,
+        ),
+      );
+    }
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+
+    // Act
+    await vi.advanceTimersByTimeAsync(500);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Removes the clients with a rejected or duplicate token after a validation', async () => {
+    // Arrange
+    const createClient = (token, report) => ({
+      getToken: () => token,
+      isAuthorized: () => true,
+      isBusy: () => false,
+      validate: vi.fn(() =>
+        Promise.resolve({
+          token,
+          valid: true,
+          login: null,
+          id: null,
+          ...report,
+        }),
+      ),
+    });
+    const client1 = createClient('11111', { login: 'octocat', id: 1 });
+    const client2 = createClient('22222', { valid: false });
+    const client3 = createClient('33333', { login: 'octocat', id: 1 });
+    const client4 = createClient('44444', { login: 'hubot', id: 2 });
+    queue = new GitHubApiQueue([client1, client2, client3, client4]);
+
+    // Act
+    const reports = await queue.validate();
+
+    // Assert
+    expect(reports.map((report) => report.removal)).toEqual([
+      null,
+      'unauthorized',
+      'duplicate',
+      null,
+    ]);
+    expect(queue.getClients()).toEqual([client1, client4]);
+  });
+
+  it('Merges the equivalent requests when deduplicating', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    const callback1 = vi.fn();
+    const callback2 = vi.fn();
+    const callback3 = vi.fn();
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { dedup: true });
+    queue.push(
+      new GitHubApiRequest(url, {}, callback1),
+      new GitHubApiRequest(url, {}, callback2),
+      new GitHubApiRequest(url, { method: 'POST' }, callback3),
+    );
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+    expect(callback1).toHaveBeenCalledWith('result');
+    expect(callback2).toHaveBeenCalledWith('result');
+    expect(callback3).toHaveBeenCalledWith('result');
+
+    // Act
+    queue.push(new GitHubApiRequest(url, {}, callback1));
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(3); // No memoization by default.
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Checkpoints the merged requests in its journal', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const journal = {
+      pending: vi.fn(),
+      started: vi.fn(),
+      failed: vi.fn(),
+      completed: vi.fn(),
+      abandoned: vi.fn(),
+    };
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      dedup: true,
+      journal,
+    });
+    const request1 = new GitHubApiRequest(url);
+    const request2 = new GitHubApiRequest(url);
+
+    // Act
+    queue.push(request1, request2);
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(journal.pending).toHaveBeenCalledWith(request2);
+    expect(journal.started).not.toHaveBeenCalledWith(request2);
+    expect(journal.completed).toHaveBeenCalledWith(request1);
+    expect(journal.completed).toHaveBeenCalledWith(request2);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Reuses the result of a finished request during the memoization TTL', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    const callback = vi.fn();
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      dedup: true,
+      memoTtl: 60000,
+    });
+    queue.push(new GitHubApiRequest(url));
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Act
+    queue.push(new GitHubApiRequest(url, {}, callback));
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith('result');
+    expect(queue.getQueueLength()).toBe(0);
+
+    // Act
+    await vi.advanceTimersByTimeAsync(60000);
+    queue.push(new GitHubApiRequest(url, {}, callback));
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Writes the results of the merged and memoized requests to its sinks', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      getToken: () => 'token',
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    const sink = { consume: vi.fn(() => Promise.resolve()) };
+    const successes = [];
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      dedup: true,
+      memoTtl: 60000,
+      sinks: [sink],
+    });
+    queue.on('request:success', ({ request, token, response, startedAt }) =>
+      successes.push({ request, token, response, startedAt }),
+    );
+    const request1 = new GitHubApiRequest(url);
+    const request2 = new GitHubApiRequest(url);
+    const request3 = new GitHubApiRequest(url);
+
+    // Act
+    queue.push(request1, request2);
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+    queue.push(request3);
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(sink.consume.mock.calls).toEqual([
+      [request1, 'result'],
+      [request2, 'result'],
+      [request3, 'result'],
+    ]);
+    expect(successes).toEqual([
+      {
+        request: request1,
+        token: 'token',
+        response: 'result',
+        startedAt: expect.any(Number),
+      },
+      {
+        request: request2,
+        token: 'token',
+        response: 'result',
+        startedAt: expect.any(Number),
+      },
+      { request: request3, token: null, response: 'result', startedAt: null },
+    ]);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Hands the merged requests over to the next one when the first one is canceled', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = createAbortableClient(1000);
+    const controller = new AbortController();
+    const callbacks = [];
+    const aborts = [];
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { dedup: true });
+    queue.on('request:abort', ({ request }) =>
+      aborts.push(request.getOptions().callbackName),
+    );
+    queue.push(
+      new GitHubApiRequest(url, {}, () => callbacks.push('r1'), {
+        signal: controller.signal,
+        callbackName: 'r1',
+      }),
+      new GitHubApiRequest(url, {}, () => callbacks.push('r2'), {
+        callbackName: 'r2',
+      }),
+    );
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Act
+    controller.abort();
+    const drained = queue.drain();
+    await vi.advanceTimersByTimeAsync(2000);
+    await drained;
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+    expect(callbacks).toEqual(['r2']);
+    expect(aborts).toEqual(['r1']);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Abandons the merged requests when the first one fails for good', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() =>
+        Promise.reject(
+          new GitHubApiNotFoundError('Request failed with status code 404', {
+            status: 404,
+            response: { status: 404, data: {}, headers: {} },
+          }),
+        ),
+      ),
+    };
+    const callback = vi.fn();
+    const aborts = [];
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { dedup: true });
+    queue.on('request:abort', ({ request, category }) =>
+      aborts.push([request.getOptions().callbackName, category]),
+    );
+    queue.push(
+      new GitHubApiRequest(url, {}, callback, { callbackName: 'r1' }),
+      new GitHubApiRequest(url, {}, callback, { callbackName: 'r2' }),
+    );
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(callback).not.toHaveBeenCalled();
+    expect(aborts).toEqual([
+      ['r1', 'permanent'],
+      ['r2', 'permanent'],
+    ]);
+    expect(queue.getRequestFailCount()).toBe(2);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Does not merge the equivalent requests by default', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const url = 'https://api.github.com/repos/PoolinGH/poolingh';
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() => Promise.resolve('result')),
+    };
+    queue = new GitHubApiQueue([client]);
+    queue.push(new GitHubApiRequest(url), new GitHubApiRequest(url));
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(2);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Sets the network options of each client', () => {
+    // Arrange
+    const clients = [
+      { setNetwork: vi.fn() },
+      { setNetwork: vi.fn() },
+      { setNetwork: vi.fn() },
+    ];
+    const proxies = [
+      { proxy: 'http://proxy-1.example.com:3128' },
+      { proxy: 'http://proxy-2.example.com:3128' },
+    ];
+
+    // Act
+    new GitHubApiQueue(clients, 5, 5000, './logs', { network: proxies });
+    new GitHubApiQueue(clients, 5, 5000, './logs', {
+      network: { timeout: 5000 },
+    });
+
+    // Assert
+    expect(clients[0].setNetwork).toHaveBeenNthCalledWith(1, proxies[0]);
+    expect(clients[1].setNetwork).toHaveBeenNthCalledWith(1, proxies[1]);
+    expect(clients[2].setNetwork).toHaveBeenCalledTimes(1);
+    expect(clients[2].setNetwork).toHaveBeenCalledWith({ timeout: 5000 });
+  });
+
+  it('Shares its logger with the clients', () => {
+    // Arrange
+    const clients = [{ setLogger: vi.fn() }, { setLogger: vi.fn() }];
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+    // Act
+    queue = new GitHubApiQueue(clients, 5, 5000, './logs', { logger });
+    queue.start();
+    queue.stop();
+
+    // Assert
+    expect(queue.getLogger()).toBe(logger);
+    expect(clients[0].setLogger).toHaveBeenCalledWith(logger);
+    expect(clients[1].setLogger).toHaveBeenCalledWith(logger);
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining('[queue] started'),
+    );
+  });
+
+  it('Cancels the requests waiting or in flight matching a predicate', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = createAbortableClient(10000);
+    const abort = vi.fn();
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      strategy: 'fifo',
+    });
+    queue.on('request:abort', abort);
+    const callback = vi.fn();
+    queue.push(
+      new GitHubApiRequest('https://api.github.com/repos/a/1', {}, callback),
+      new GitHubApiRequest('https://api.github.com/repos/b/1', {}, callback),
+      new GitHubApiRequest('https://api.github.com/repos/a/2', {}, callback),
+    );
+    queue.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Act
+    const count = queue.cancel((request) =>
+      request.getUrl().includes('/repos/a/'),
+    );
+    await vi.advanceTimersByTimeAsync(20000);
+
+    // Assert
+    expect(count).toBe(2);
+    expect(abort).toHaveBeenCalledTimes(2);
+    expect(abort).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'canceled' }),
+    );
+    expect(client.request).toHaveBeenCalledTimes(2); // The third request is canceled before being sent.
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith({
+      data: 'https://api.github.com/repos/b/1',
+    });
+    expect(queue.getRequestFailCount()).toBe(0);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Cancels the requests of an aborted signal, even queued afterward', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = createAbortableClient(1000);
+    const controller = new AbortController();
+    queue = new GitHubApiQueue([client]);
+    const callback = vi.fn();
+    queue.push(
+      new GitHubApiRequest('https://api.github.com/repos/a/1', {}, callback, {
+        signal: controller.signal,
+      }),
+    );
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(500);
+    controller.abort();
+    queue.push(
+      new GitHubApiRequest('https://api.github.com/repos/a/2', {}, callback, {
+        signal: controller.signal,
+      }),
+    );
+    const drained = queue.drain();
+    await vi.advanceTimersByTimeAsync(2000);
+    await drained;
+
+    // Assert
+    expect(client.request).toHaveBeenCalledTimes(1);
+    expect(callback).not.toHaveBeenCalled();
+    expect(queue.getQueueLength()).toBe(0);
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Stops gracefully once the requests in flight are over', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = createAbortableClient(1000);
+    queue = new GitHubApiQueue([client]);
+    const callback = vi.fn();
+    queue.push(
+      new GitHubApiRequest('https://api.github.com/repos/a/1', {}, callback),
+    );
+    queue.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Act
+    const stopped = vi.fn();
+    queue.stop({ graceful: true }).then(stopped);
+    await vi.advanceTimersByTimeAsync(500);
+    const stoppedEarly = stopped.mock.calls.length > 0;
+    await vi.advanceTimersByTimeAsync(500);
+
+    // Assert
+    expect(stoppedEarly).toBe(false);
+    expect(stopped).toHaveBeenCalled();
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('Stops by aborting the requests in flight and putting them back in the queue', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = createAbortableClient(10000);
+    const journal = {
+      pending: vi.fn(),
+      started: vi.fn(),
+      failed: vi.fn(),
+      completed: vi.fn(),
+      abandoned: vi.fn(),
+    };
+    queue = new GitHubApiQueue([client], 5, 5000, './logs', { journal });
+    const callback = vi.fn();
+    queue.push(
+      new GitHubApiRequest('https://api.github.com/repos/a/1', {}, callback),
+    );
+    queue.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Act
+    const stopped = queue.stop({ graceful: false });
+    await vi.advanceTimersByTimeAsync(0);
+    await stopped;
+
+    // Assert
+    expect(callback).not.toHaveBeenCalled();
+    expect(queue.getQueueLength()).toBe(1);
+    expect(queue.getRequestFailCount()).toBe(0);
+    expect(journal.failed).not.toHaveBeenCalled();
+    expect(journal.abandoned).not.toHaveBeenCalled();
+  });
+
+  it('Attaches the request and the attempt to the errors of the GitHub API', async () => {
+    // Arrange
+    vi.useFakeTimers();
+    const client = {
+      isAuthorized: () => true,
+      isBusy: () => false,
+      request: vi.fn(() =>
+        Promise.reject(
+          new GitHubApiNotFoundError('Request failed with status code 404', {
+            status: 404,
+            token: '12345',
+            response: { status: 404, data: {}, headers: {} },
+          }),
+        ),
+      ),
+    };
+    const abort = vi.fn();
+    queue = new GitHubApiQueue([client]);
+    queue.on('request:abort', abort);
+    const request = new GitHubApiRequest('https://api.github.com/repos/a/1');
+    queue.push(request);
+
+    // Act
+    queue.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Assert
+    const { error } = abort.mock.calls[0][0];
+    expect(error.request).toBe(request);
+    expect(error.attempt).toBe(1);
+    expect(queue._logger.error).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'Request failed with status code 404 (GitHubApiNotFoundError, 404, client-12345, attempt 1)',
+      ),
+      expect.objectContaining({
+        url: request.getUrl(),
+        status: 404,
+        attempt: 1,
+        category: 'permanent',
+      }),
+    );
+
+    // Cleanup
+    queue.stop();
+  });
+
+  it('Rejects an unknown strategy', () => {
+    // Act & Assert
+    expect(
+      () => new GitHubApiQueue([], 5, 5000, './logs', { strategy: 'random' }),
+    ).toThrow('unknown strategy: random');
+  });
+
+  it('Returns the length of the queue', () => {
+    // Arrange
+    queue = new GitHubApiQueue([]);
+    queue.push(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=stars:>=1000',
+      ),
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=stars:<1000',
+      ),
+    );
+
+    // Act & Assert
+    expect(queue.getQueueLength()).toBe(2);
+  });
+
+  it('Returns the total number of failed requests', () => {
+    // Arrange
+    queue = new GitHubApiQueue([], 2);
+    const createRequest = (stars) =>
+      new GitHubApiRequest(
+        `https://api.github.com/search/repositories?q=stars:${stars}`,
+      );
+
+    // Act
+    queue._abandon(createRequest(1), { category: 'transient' });
+    queue._abandon(createRequest(2), { category: 'permanent' });
+    queue._abandon(createRequest(3), { category: 'canceled' });
+
+    // Assert
     expect(queue.getRequestFailCount()).toBe(2);
   });
 });
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isSecondaryRateLimit,
+  isGraphQLRateLimit,
+  getGraphQLRateLimit,
+} from '../../src/helper/github-api-rate-limit.helper.js';
+
+describe('GitHub API rate limit', () => {
+  const message =
+    'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.';
+
+  it('Detects a secondary rate limit', () => {
+    // Act & Assert
+    expect(isSecondaryRateLimit({ status: 403, data: { message } })).toBe(true);
+    expect(isSecondaryRateLimit({ status: 429, data: { message } })).toBe(true);
+  });
+
+  it('Ignores other responses', () => {
+    // Act & Assert
+    expect(
+      isSecondaryRateLimit({
+        status: 403,
+        data: { message: 'API rate limit exceeded' },
+      }),
+    ).toBe(false);
+    expect(isSecondaryRateLimit({ status: 500, data: { message } })).toBe(
+      false,
+    );
+    expect(isSecondaryRateLimit(undefined)).toBe(false);
+  });
+
+  it('Detects an exceeded GraphQL point budget', () => {
+    // Act & Assert
+    expect(
+      isGraphQLRateLimit({
+        status: 200,
+        data: {
+          errors: [
+            { type: 'RATE_LIMITED', message: 'API rate limit exceeded' },
+          ],
+        },
+      }),
+    ).toBe(true);
+    expect(
+      isGraphQLRateLimit({
+        status: 200,
+        data: { errors: [{ type: 'NOT_FOUND' }] },
+      }),
+    ).toBe(false);
+    expect(isGraphQLRateLimit({ status: 200, data: { data: {} } })).toBe(false);
+  });
+
+  it('Reads the GraphQL point budget', () => {
+    // Act & Assert
+    expect(
+      getGraphQLRateLimit({
+        data: {
+          data: {
+            rateLimit: {
+              cost: 3,
+              remaining: 4997,
+              resetAt: '2024-01-01T01:00:00Z',
+            },
+          },
+        },
+      }),
+    ).toEqual({
+      cost: 3,
+      remaining: 4997,
+      resetAt: Date.parse('2024-01-01T01:00:00Z'),
+    });
+    expect(getGraphQLRateLimit({ data: { data: {} } })).toBeNull();
+  });
+});
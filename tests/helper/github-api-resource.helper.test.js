@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { getResource } from '../../src/helper/github-api-resource.helper.js';
+
+describe('GitHub API resource', () => {
+  it('Gives the code search resource', () => {
+    // Act & Assert
+    expect(getResource('https://api.github.com/search/code?q=addClass')).toBe(
+      'code_search',
+    );
+  });
+
+  it('Gives the search resource', () => {
+    // Act & Assert
+    expect(
+      getResource('https://api.github.com/search/repositories?q=stars:1'),
+    ).toBe('search');
+    expect(getResource('https://api.github.com/search/issues?q=bug')).toBe(
+      'search',
+    );
+  });
+
+  it('Gives the GraphQL resource', () => {
+    // Act & Assert
+    expect(getResource('https://api.github.com/graphql')).toBe('graphql');
+  });
+
+  it('Gives the core resource by default', () => {
+    // Act & Assert
+    expect(getResource('https://api.github.com/repos/PoolinGH/poolingh')).toBe(
+      'core',
+    );
+    expect(getResource(null)).toBe('core');
+  });
+});
@@ -0,0 +1,134 @@
+import { vi, describe, it, afterEach, expect } from 'vitest';
+import { GitHubApiRetryPolicy } from '../../src/helper/github-api-retry-policy.helper.js';
+
+describe('GitHub API retry policy', () => {
+  const policy = new GitHubApiRetryPolicy();
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('Classifies a primary rate limit error', () => {
+    // Act & Assert
+    expect(policy.classify({ response: { status: 429, headers: {} } })).toBe(
+      'rate-limit',
+    );
+    expect(
+      policy.classify({
+        response: { status: 403, headers: { 'x-ratelimit-remaining': '0' } },
+      }),
+    ).toBe('rate-limit');
+  });
+
+  it('Classifies a rejected token', () => {
+    // Act & Assert
+    expect(policy.classify({ response: { status: 401, headers: {} } })).toBe(
+      'unauthorized',
+    );
+    expect(policy.shouldRetry('unauthorized', 1)).toBe(true);
+    expect(policy.getDelay('unauthorized', 1)).toBe(0);
+  });
+
+  it('Classifies an exceeded GraphQL point budget as a rate limit error', () => {
+    // Act & Assert
+    expect(
+      policy.classify({
+        response: {
+          status: 200,
+          headers: {},
+          data: { errors: [{ type: 'RATE_LIMITED' }] },
+        },
+      }),
+    ).toBe('rate-limit');
+  });
+
+  it('Classifies a secondary rate limit error', () => {
+    // Act & Assert
+    expect(
+      policy.classify({
+        response: {
+          status: 403,
+          headers: {},
+          data: {
+            message:
+              'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.',
+          },
+        },
+      }),
+    ).toBe('secondary-limit');
+  });
+
+  it('Classifies a transient error', () => {
+    // Act & Assert
+    expect(policy.classify({ response: { status: 502, headers: {} } })).toBe(
+      'transient',
+    );
+    expect(policy.classify({ code: 'ECONNRESET' })).toBe('transient');
+    expect(policy.classify({ code: 'ENOTFOUND' })).toBe('transient');
+  });
+
+  it('Classifies a permanent error', () => {
+    // Act & Assert
+    expect(policy.classify({ response: { status: 404, headers: {} } })).toBe(
+      'permanent',
+    );
+    expect(policy.classify({ response: { status: 422, headers: {} } })).toBe(
+      'permanent',
+    );
+    expect(policy.classify({ response: { status: 403, headers: {} } })).toBe(
+      'permanent',
+    );
+  });
+
+  it('Classifies a canceled request', () => {
+    // Arrange
+    const error = new Error('request canceled');
+    error.name = 'AbortError';
+
+    // Act & Assert
+    expect(policy.classify(error)).toBe('canceled');
+    expect(policy.classify({ code: 'ERR_CANCELED' })).toBe('canceled');
+  });
+
+  it('Classifies an unknown error', () => {
+    // Act & Assert
+    expect(policy.classify(new Error('Error'))).toBe('unknown');
+  });
+
+  it('Retries all but permanent and canceled errors', () => {
+    // Act & Assert
+    expect(policy.shouldRetry('transient', 1)).toBe(true);
+    expect(policy.shouldRetry('rate-limit', 1)).toBe(true);
+    expect(policy.shouldRetry('unknown', 1)).toBe(true);
+    expect(policy.shouldRetry('permanent', 1)).toBe(false);
+    expect(policy.shouldRetry('canceled', 1)).toBe(false);
+  });
+
+  it('Backs off transient errors exponentially', () => {
+    // Arrange
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    // Act & Assert
+    expect(policy.getDelay('transient', 1)).toBe(1000);
+    expect(policy.getDelay('transient', 2)).toBe(2000);
+    expect(policy.getDelay('transient', 3)).toBe(4000);
+    expect(policy.getDelay('transient', 10)).toBe(60000);
+  });
+
+  it('Applies jitter to the delay', () => {
+    // Arrange
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+
+    // Act & Assert
+    expect(policy.getDelay('transient', 2)).toBe(1000);
+    expect(
+      new GitHubApiRetryPolicy(500, 5000, 3, 0).getDelay('transient', 2),
+    ).toBe(1500);
+  });
+
+  it('Retries the other errors at once', () => {
+    // Act & Assert
+    expect(policy.getDelay('rate-limit', 3)).toBe(0);
+    expect(policy.getDelay('unknown', 3)).toBe(0);
+  });
+});
@@ -0,0 +1,157 @@
+import { vi, describe, it, beforeEach, expect } from 'vitest';
+import { GitHubApiSearchSplitter } from '../../src/helper/github-api-search-splitter.helper.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+// Mocks
+
+vi.mock('../../src/helper/logger.helper.js', () => ({
+  Logger: vi.fn().mockImplementation(() => ({
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+  })),
+}));
+
+/**
+ * Processes the requests of a fake queue until it is empty, answering each one with a total count.
+ * @param {Array[GitHubApiRequest]} requests The requests of the fake queue.
+ * @param {Function} totalCount The total count of results given the search query.
+ * @returns {Array[string]} The queries of the requests that are not probes.
+ */
+function drain(requests, totalCount) {
+  const slices = [];
+  while (requests.length > 0) {
+    const request = requests.pop();
+    const url = new URL(request.getUrl());
+    if (url.searchParams.get('per_page') === '1') {
+      request.runCallback({
+        data: { total_count: totalCount(url.searchParams.get('q')) },
+      });
+    } else {
+      slices.push(url.searchParams.get('q'));
+    }
+  }
+  return slices.sort();
+}
+
+describe('GitHub Search API splitter', () => {
+  let requests;
+  let queue;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    requests = [];
+    queue = { push: (...request) => requests.push(...request) };
+  });
+
+  it('Queues the query as it is when it is under the cap', () => {
+    // Arrange
+    const splitter = new GitHubApiSearchSplitter(queue);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=language:js stars:10..500',
+    );
+
+    // Act
+    splitter.split(request, 'stars');
+    const slices = drain(requests, () => 999);
+
+    // Assert
+    expect(slices).toEqual(['language:js stars:10..500']);
+  });
+
+  it('Bisects a numeric range until each slice is under the cap', () => {
+    // Arrange
+    const splitter = new GitHubApiSearchSplitter(queue, 10);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:1..4',
+    );
+    const counts = {
+      '1..4': 40,
+      '1..2': 20,
+      '3..4': 5,
+      '1..1': 10,
+      '2..2': 10,
+    };
+
+    // Act
+    splitter.split(request, 'stars');
+    const slices = drain(requests, (query) => counts[query.split(':')[1]]);
+
+    // Assert
+    expect(slices).toEqual(['stars:1..1', 'stars:2..2', 'stars:3..4']);
+  });
+
+  it('Bisects a date range by day', () => {
+    // Arrange
+    const splitter = new GitHubApiSearchSplitter(queue, 10);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=created:2020-01-01..2020-01-04',
+    );
+
+    // Act
+    splitter.split(request, 'created');
+    const slices = drain(requests, (query) =>
+      query.endsWith('2020-01-04') && query.includes('01-01') ? 20 : 5,
+    );
+
+    // Assert
+    expect(slices).toEqual([
+      'created:2020-01-01..2020-01-02',
+      'created:2020-01-03..2020-01-04',
+    ]);
+  });
+
+  it('Queues a slice that cannot be split anymore', () => {
+    // Arrange
+    const splitter = new GitHubApiSearchSplitter(queue, 10);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:5..5',
+    );
+
+    // Act
+    splitter.split(request, 'stars');
+    const slices = drain(requests, () => 50);
+
+    // Assert
+    expect(slices).toEqual(['stars:5..5']);
+    expect(splitter._logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('cannot be split anymore'),
+    );
+  });
+
+  it('Keeps the parameters, the callback, and the options in the slices', () => {
+    // Arrange
+    const splitter = new GitHubApiSearchSplitter(queue);
+    const callback = () => {};
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:1..2&per_page=100',
+      { headers: { 'X-Test': 'true' } },
+      callback,
+      { paginate: true },
+    );
+
+    // Act
+    splitter.split(request, 'stars');
+    requests.pop().runCallback({ data: { total_count: 1 } });
+
+    // Assert
+    const slice = requests.pop();
+    expect(new URL(slice.getUrl()).searchParams.get('per_page')).toBe('100');
+    expect(slice.getParams()).toBe(request.getParams());
+    expect(slice.getCallback()).toBe(callback);
+    expect(slice.isPaginated()).toBe(true);
+  });
+
+  it('Throws when the qualifier has no range', () => {
+    // Arrange
+    const splitter = new GitHubApiSearchSplitter(queue);
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=stars:>=10',
+    );
+
+    // Act & Assert
+    expect(() => splitter.split(request, 'stars')).toThrow(
+      'no date or numeric range found',
+    );
+  });
+});
@@ -0,0 +1,345 @@
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Writable } from 'stream';
+import {
+  GitHubApiNdjsonSink,
+  GitHubApiCsvSink,
+  GitHubApiSqliteSink,
+} from '../../src/helper/github-api-sink.helper.js';
+import { GitHubApiMockTransport } from '../../src/helper/github-api-mock-transport.helper.js';
+import { GitHubApiClient } from '../../src/helper/github-api-client.helper.js';
+import { GitHubApiQueue } from '../../src/helper/github-api-queue.helper.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+// Mocks
+
+vi.mock('../../src/helper/logger.helper.js', () => ({
+  Logger: vi.fn().mockImplementation(() => ({
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+  })),
+}));
+
+/**
+ * Creates an in-memory database with the subset of the node:sqlite and better-sqlite3 API used by the SQLite sink.
+ * @param {Array[Object]} rows The rows of the table ({ id, query, data }).
+ * @returns {Object} The database, with its executed statements.
+ */
+function createDatabase(rows = []) {
+  return {
+    rows,
+    statements: [],
+    exec(sql) {
+      this.statements.push(sql);
+    },
+    prepare(sql) {
+      return {
+        run: (id, query, data) => {
+          if (data === 'null') throw new Error('NOT NULL constraint failed');
+          if (id === null || !rows.some((row) => row.id === id)) {
+            rows.push({ id, query, data });
+          }
+        },
+        all: () => rows.filter((row) => row.id !== null),
+        sql,
+      };
+    },
+    close: vi.fn(),
+  };
+}
+
+describe('GitHub API sinks', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poolingh-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('Writes the results once per id with their query as NDJSON', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results', 'results.ndjson');
+    const sink = new GitHubApiNdjsonSink(filePath, { batchSize: 2 });
+
+    // Act
+    await sink.write([{ id: 1 }, { id: 2 }], 'stars:1..10');
+    await sink.write([{ id: 2 }, { id: 3 }], 'stars:11..20');
+    await sink.close();
+
+    // Assert
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(
+      [
+        '{"id":1,"_query":"stars:1..10"}',
+        '{"id":2,"_query":"stars:1..10"}',
+        '{"id":3,"_query":"stars:11..20"}',
+        '',
+      ].join('\n'),
+    );
+    expect(sink.getCount()).toBe(3);
+    expect(sink.getDuplicateCount()).toBe(1);
+    await expect(sink.write([{ id: 4 }])).rejects.toThrow('sink closed');
+  });
+
+  it('Appends to an NDJSON file after dropping its truncated last line', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results.ndjson');
+    fs.writeFileSync(filePath, '{"id":1}\n{"id":2}\n{"id":3,"na');
+    const sink = new GitHubApiNdjsonSink(filePath, {
+      append: true,
+      queryField: null,
+    });
+
+    // Act
+    sink.callback()({ data: { items: [{ id: 2 }, { id: 3 }] } });
+    await sink.close();
+
+    // Assert
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(
+      '{"id":1}\n{"id":2}\n{"id":3}\n',
+    );
+    expect(sink.getDuplicateCount()).toBe(1);
+  });
+
+  it('Writes the flattened fields of the results as CSV', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results.csv');
+    const sink = new GitHubApiCsvSink(filePath);
+
+    // Act
+    await sink.write(
+      [
+        { id: 1, name: 'a,b', owner: { login: 'octocat' }, topics: ['x'] },
+        { id: 2, name: 'say "hi"', owner: null, topics: [] },
+      ],
+      'language:js',
+    );
+    await sink.close();
+
+    // Assert
+    expect(sink.getColumns()).toEqual([
+      'id',
+      'name',
+      'owner.login',
+      'topics',
+      '_query',
+    ]);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(
+      [
+        'id,name,owner.login,topics,_query',
+        '1,"a,b",octocat,"[""x""]",language:js',
+        '2,"say ""hi""",,[],language:js',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('Appends to a CSV file with its columns after dropping its truncated last row', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results.csv');
+    fs.writeFileSync(filePath, 'name,id\n"multi\nline",1\n"trunc\nated",2');
+    const sink = new GitHubApiCsvSink(filePath, {
+      append: true,
+      columns: ['id'],
+    });
+
+    // Act
+    await sink.write([
+      { id: 1, name: 'a' },
+      { id: 2, name: 'b' },
+    ]);
+    await sink.close();
+
+    // Assert
+    expect(sink.getColumns()).toEqual(['name', 'id']);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(
+      'name,id\n"multi\nline",1\nb,2\n',
+    );
+  });
+
+  it('Waits for a slow stream before accepting more results', async () => {
+    // Arrange
+    const written = [];
+    let release;
+    const stream = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        written.push(`${chunk}`);
+        release = callback;
+      },
+    });
+    const sink = new GitHubApiNdjsonSink(stream, { batchSize: 1 });
+    let accepted = false;
+
+    // Act
+    const write = sink.write([{ id: 1 }]).then(() => {
+      accepted = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    const acceptedBeforeWrite = accepted;
+    release();
+    await write;
+
+    // Assert
+    expect(acceptedBeforeWrite).toBe(false);
+    expect(accepted).toBe(true);
+    expect(written).toEqual(['{"id":1,"_query":null}\n']);
+  });
+
+  it('Tells once the buffered results are written', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results.ndjson');
+    const sink = new GitHubApiNdjsonSink(filePath, { batchSize: 10 });
+    let persisted = false;
+
+    // Act
+    await sink.write([{ id: 1 }]);
+    const persisting = sink.persisted().then(() => {
+      persisted = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    const persistedBeforeFlush = persisted;
+    await sink.flush();
+    await persisting;
+
+    // Assert
+    expect(persistedBeforeFlush).toBe(false);
+    expect(persisted).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"id":1,"_query":null}\n');
+    await expect(sink.persisted()).resolves.toBeUndefined();
+  });
+
+  it('Writes the results to a SQLite table in transactions', async () => {
+    // Arrange
+    const database = createDatabase([{ id: '1', query: 'old', data: '{}' }]);
+    const sink = new GitHubApiSqliteSink(path.join(directory, 'results.db'), {
+      table: 'repositories',
+      append: true,
+      database,
+    });
+
+    // Act
+    await sink.write([{ id: 1 }, { id: 2, name: 'b' }, { name: 'no id' }], 'q');
+    await sink.close();
+
+    // Assert
+    expect(database.rows).toEqual([
+      { id: '1', query: 'old', data: '{}' },
+      { id: '2', query: 'q', data: '{"id":2,"name":"b"}' },
+      { id: null, query: 'q', data: '{"name":"no id"}' },
+    ]);
+    expect(database.statements).toEqual([
+      'CREATE TABLE IF NOT EXISTS repositories (id TEXT UNIQUE, query TEXT, data TEXT NOT NULL)',
+      'BEGIN',
+      'COMMIT',
+    ]);
+    expect(sink.getDuplicateCount()).toBe(1);
+    expect(database.close).not.toHaveBeenCalled();
+  });
+
+  it('Rolls back a failed batch and reports the error on the next flushes', async () => {
+    // Arrange
+    const database = createDatabase();
+    const sink = new GitHubApiSqliteSink('results.db', { database });
+
+    // Act
+    const write = sink.write([{ id: 1 }, null]);
+    await sink.flush().catch(() => {});
+    const close = sink.close();
+
+    // Assert
+    await expect(write).resolves.toBeUndefined();
+    await expect(close).rejects.toThrow('NOT NULL constraint failed');
+    expect(database.statements.slice(-2)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(
+      () => new GitHubApiSqliteSink('results.db', { table: 'a;b' }),
+    ).toThrow('invalid table name: a;b');
+  });
+
+  it('Records the requests of a queue as completed once their results are written', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results.ndjson');
+    const sink = new GitHubApiNdjsonSink(filePath, { batchSize: 1000 });
+    const journal = {
+      pending: vi.fn(),
+      started: vi.fn(),
+      failed: vi.fn(),
+      completed: vi.fn(),
+      abandoned: vi.fn(),
+    };
+    const transport = new GitHubApiMockTransport({ totalCount: 10 });
+    const client = new GitHubApiClient('token-1', 1, 0, './logs', {
+      transport,
+    });
+    const queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      sinks: [sink],
+      journal,
+    });
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=language:js',
+    );
+    queue.push(request);
+
+    // Act
+    queue.start();
+    await queue.drain();
+    const completedBeforeStop = journal.completed.mock.calls.length;
+    await queue.stop();
+
+    // Assert
+    expect(completedBeforeStop).toBe(0); // The results are still buffered.
+    expect(journal.completed).toHaveBeenCalledWith(request);
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(
+      10,
+    );
+  });
+
+  it('Writes the results of the requests of a queue and flushes them on stop', async () => {
+    // Arrange
+    const filePath = path.join(directory, 'results.ndjson');
+    const sink = new GitHubApiNdjsonSink(filePath, {
+      batchSize: 1000,
+      filter: (request) => request.getOptions().callbackName === 'results',
+    });
+    const transport = new GitHubApiMockTransport({ totalCount: 150 });
+    const client = new GitHubApiClient('token-1', 1, 0, './logs', {
+      transport,
+    });
+    const queue = new GitHubApiQueue([client], 5, 5000, './logs', {
+      sinks: [sink],
+    });
+    queue.push(
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=language:js&per_page=100',
+        {},
+        () => {},
+        { paginate: true, callbackName: 'results' },
+      ),
+      new GitHubApiRequest(
+        'https://api.github.com/search/repositories?q=language:go&per_page=1',
+      ),
+    );
+
+    // Act
+    queue.start();
+    await queue.drain();
+    const countBeforeStop = sink.getCount();
+    await queue.stop();
+
+    // Assert
+    expect(countBeforeStop).toBe(0);
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(150);
+    expect(JSON.parse(lines[149])).toEqual({
+      id: 150,
+      name: 'repository-150',
+      full_name: 'owner/repository-150',
+      _query: 'language:js',
+    });
+  });
+});
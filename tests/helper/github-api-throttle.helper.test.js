@@ -0,0 +1,109 @@
+import { vi, describe, it, afterEach, expect } from 'vitest';
+import { GitHubApiThrottle } from '../../src/helper/github-api-throttle.helper.js';
+
+describe('GitHub API throttle', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('Does not limit the requests by default', () => {
+    // Arrange
+    const throttle = new GitHubApiThrottle();
+    const client = {};
+
+    // Act
+    for (let i = 0; i < 100; i++) throttle.record(client);
+
+    // Assert
+    expect(throttle.getDelay(100)).toBe(0);
+    expect(throttle.getClientDelay(client)).toBe(0);
+  });
+
+  it('Limits the number of concurrent requests', () => {
+    // Arrange
+    const throttle = new GitHubApiThrottle(2);
+
+    // Act & Assert
+    expect(throttle.getDelay(1)).toBe(0);
+    expect(throttle.getDelay(2)).toBe(Infinity);
+  });
+
+  it('Limits the number of requests per second', () => {
+    // Arrange
+    vi.useFakeTimers();
+    const throttle = new GitHubApiThrottle(Infinity, 2);
+
+    // Act
+    throttle.record({});
+    throttle.record({});
+
+    // Assert
+    expect(throttle.getDelay(0)).toBe(500);
+
+    // Act
+    vi.advanceTimersByTime(500);
+
+    // Assert
+    expect(throttle.getDelay(0)).toBe(0);
+  });
+
+  it('Limits the number of requests per minute', () => {
+    // Arrange
+    vi.useFakeTimers();
+    const throttle = new GitHubApiThrottle(Infinity, Infinity, 60);
+
+    // Act
+    for (let i = 0; i < 60; i++) throttle.record({});
+
+    // Assert
+    expect(throttle.getDelay(0)).toBe(1000);
+  });
+
+  it('Spaces the requests of the same client', () => {
+    // Arrange
+    vi.useFakeTimers();
+    const throttle = new GitHubApiThrottle(Infinity, Infinity, Infinity, 300);
+    const client1 = {};
+    const client2 = {};
+
+    // Act
+    throttle.record(client1);
+    vi.advanceTimersByTime(100);
+
+    // Assert
+    expect(throttle.getClientDelay(client1)).toBe(200);
+    expect(throttle.getClientDelay(client2)).toBe(0);
+  });
+
+  it('Sends one request at a time, spaced by an interval, while slowed down', () => {
+    // Arrange
+    vi.useFakeTimers();
+    const throttle = new GitHubApiThrottle();
+
+    // Act
+    const isExtended = throttle.slowDown(Date.now() + 60000, 1000);
+    throttle.record({});
+
+    // Assert
+    expect(isExtended).toBe(true);
+    expect(throttle.isSlowedDown()).toBe(true);
+    expect(throttle.getDelay(1)).toBe(Infinity);
+    expect(throttle.getDelay(0)).toBe(1000);
+
+    // Act
+    vi.advanceTimersByTime(60000);
+
+    // Assert
+    expect(throttle.isSlowedDown()).toBe(false);
+    expect(throttle.getDelay(1)).toBe(0);
+  });
+
+  it('Does not shorten a slowdown in progress', () => {
+    // Arrange
+    const throttle = new GitHubApiThrottle();
+    throttle.slowDown(Date.now() + 60000, 1000);
+
+    // Act & Assert
+    expect(throttle.slowDown(Date.now() + 1000, 1000)).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+import { vi, describe, it, expect } from 'vitest';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import { GitHubApiAxiosTransport } from '../../src/helper/github-api-transport.helper.js';
+
+describe('GitHub API axios transport', () => {
+  it('Sends the requests with the given axios instance', async () => {
+    // Arrange
+    const instance = vi.fn(() => Promise.resolve({ status: 200, data: {} }));
+    const transport = new GitHubApiAxiosTransport(instance);
+    const config = { url: 'https://api.github.com/user', method: 'GET' };
+
+    // Act
+    const response = await transport.request(config);
+
+    // Assert
+    expect(instance).toHaveBeenCalledWith(config);
+    expect(response.status).toBe(200);
+  });
+
+  it('Creates an axios instance with keep-alive agents and a timeout', () => {
+    // Act
+    const transport = GitHubApiAxiosTransport.create({
+      keepAlive: true,
+      maxSockets: 8,
+      timeout: 5000,
+    });
+
+    // Assert
+    const defaults = transport._instance.defaults;
+    expect(defaults.timeout).toBe(5000);
+    expect(defaults.proxy).toBe(false);
+    expect(defaults.httpsAgent.keepAlive).toBe(true);
+    expect(defaults.httpsAgent.maxSockets).toBe(8);
+  });
+
+  it('Routes the requests through an HTTP proxy', () => {
+    // Act
+    const transport = GitHubApiAxiosTransport.create({
+      proxy: 'http://proxy.example.com:3128',
+    });
+
+    // Assert
+    expect(transport._instance.defaults.httpAgent).toBeInstanceOf(
+      HttpProxyAgent,
+    );
+    expect(transport._instance.defaults.httpsAgent).toBeInstanceOf(
+      HttpsProxyAgent,
+    );
+  });
+
+  it('Routes the requests through a SOCKS proxy', () => {
+    // Act
+    const transport = GitHubApiAxiosTransport.create({
+      proxy: 'socks5://proxy.example.com:1080',
+    });
+
+    // Assert
+    expect(transport._instance.defaults.httpsAgent).toBeInstanceOf(
+      SocksProxyAgent,
+    );
+  });
+
+  it('Rejects an unsupported proxy protocol', () => {
+    // Act & Assert
+    expect(() =>
+      GitHubApiAxiosTransport.create({ proxy: 'ftp://proxy.example.com' }),
+    ).toThrow('unsupported proxy protocol: ftp');
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Logger } from '../../src/helper/logger.helper.js';
+
+describe('Logger', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poolingh-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Reads the lines of a log file.
+   * @param {string} fileName The name of the log file.
+   * @returns {Array[string]} The lines.
+   */
+  function readLines(fileName) {
+    return fs
+      .readFileSync(path.join(directory, fileName), 'utf8')
+      .split('\n')
+      .filter((line) => line);
+  }
+
+  it('Writes the messages to the files of their level', async () => {
+    // Arrange
+    const logger = new Logger(directory, { console: false });
+
+    // Act
+    logger.info('[queue] started');
+    logger.warn('[queue] slow down');
+    logger.error('[queue] error');
+    await logger.close();
+
+    // Assert
+    expect(readLines('combined.log')).toHaveLength(3);
+    expect(readLines('info.log')).toHaveLength(3);
+    expect(readLines('warn.log')).toHaveLength(2);
+    expect(readLines('error.log')).toEqual([
+      expect.stringMatching(/^\S+ \[ERROR\] \[queue\] error$/),
+    ]);
+  });
+
+  it('Writes one JSON object per message with its structured fields', async () => {
+    // Arrange
+    const logger = new Logger(directory, { console: false, format: 'json' });
+
+    // Act
+    logger.info('[client-abcde] query: https://api.github.com/search/1', {
+      client: 'abcde',
+      url: 'https://api.github.com/search/1',
+      status: 200,
+      remaining: 29,
+    });
+    await logger.close();
+
+    // Assert
+    const [line] = readLines('combined.log');
+    expect(JSON.parse(line)).toEqual({
+      timestamp: expect.any(String),
+      level: 'info',
+      message: '[client-abcde] query: https://api.github.com/search/1',
+      client: 'abcde',
+      url: 'https://api.github.com/search/1',
+      status: 200,
+      remaining: 29,
+    });
+  });
+
+  it('Strips the color codes from the files', async () => {
+    // Arrange
+    const logger = new Logger(directory, { console: false, colors: true });
+
+    // Act
+    logger.info('\u001b[36m[queue] started\u001b[39m');
+    await logger.close();
+
+    // Assert
+    const [line] = readLines('info.log');
+    expect(line).toMatch(/\[INFO\] \[queue\] started$/);
+    expect(line).not.toContain('\u001b');
+  });
+
+  it('Skips the messages under the minimum level', async () => {
+    // Arrange
+    const logger = new Logger(directory, { console: false, level: 'warn' });
+
+    // Act
+    logger.debug('[queue] debug');
+    logger.info('[queue] info');
+    logger.warn('[queue] warn');
+    await logger.close();
+
+    // Assert
+    expect(readLines('combined.log')).toEqual([
+      expect.stringContaining('[queue] warn'),
+    ]);
+  });
+
+  it('Shares the files between the loggers of the same configuration', async () => {
+    // Arrange
+    const clientLogger = new Logger(directory, { console: false });
+    const queueLogger = new Logger(directory, { console: false });
+
+    // Act
+    clientLogger.info('[client-abcde] query');
+    queueLogger.info('[queue] idle');
+    await queueLogger.close();
+
+    // Assert
+    expect(readLines('combined.log')).toEqual([
+      expect.stringContaining('[client-abcde] query'),
+      expect.stringContaining('[queue] idle'),
+    ]);
+  });
+
+  it('Logs nothing in silent mode', async () => {
+    // Arrange
+    const logDirectory = path.join(directory, 'logs');
+    const logger = new Logger(logDirectory, { silent: true });
+
+    // Act
+    logger.error('[queue] error');
+    await logger.close();
+
+    // Assert
+    expect(fs.existsSync(logDirectory)).toBe(false);
+  });
+
+  it('Throws an error for an unknown level or format', () => {
+    // Act & Assert
+    expect(() => new Logger(directory, { level: 'verbose' })).toThrow(
+      'unknown log level: verbose',
+    );
+    expect(() => new Logger(directory, { format: 'xml' })).toThrow(
+      'unknown log format: xml',
+    );
+  });
+});
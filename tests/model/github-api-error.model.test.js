@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GitHubApiError,
+  GitHubApiRateLimitError,
+  GitHubApiSecondaryRateLimitError,
+  GitHubApiAuthError,
+  GitHubApiNotFoundError,
+  GitHubApiValidationError,
+  GitHubApiServerError,
+  GitHubApiNetworkError,
+} from '../../src/model/github-api-error.model.js';
+import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
+
+describe('GitHubApiError', () => {
+  const axiosError = (status, data = {}, headers = {}) =>
+    Object.assign(new Error(`Request failed with status code ${status}`), {
+      response: { status, data, headers },
+    });
+
+  it('should be typed after the status of the response', () => {
+    expect(GitHubApiError.from(axiosError(401))).toBeInstanceOf(
+      GitHubApiAuthError,
+    );
+    expect(GitHubApiError.from(axiosError(404))).toBeInstanceOf(
+      GitHubApiNotFoundError,
+    );
+    expect(GitHubApiError.from(axiosError(422))).toBeInstanceOf(
+      GitHubApiValidationError,
+    );
+    expect(GitHubApiError.from(axiosError(502))).toBeInstanceOf(
+      GitHubApiServerError,
+    );
+    expect(GitHubApiError.from(axiosError(400))).toBeInstanceOf(GitHubApiError);
+    expect(GitHubApiError.from(axiosError(400)).name).toBe('GitHubApiError');
+  });
+
+  it('should tell the primary and secondary rate limits apart', () => {
+    const rateLimit = GitHubApiError.from(
+      axiosError(
+        403,
+        { message: 'API rate limit exceeded' },
+        {
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': '1704067200',
+          'x-ratelimit-resource': 'search',
+        },
+      ),
+    );
+    const secondaryRateLimit = GitHubApiError.from(
+      axiosError(
+        403,
+        {
+          message:
+            'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.',
+        },
+        { 'retry-after': '60' },
+      ),
+    );
+    const forbidden = GitHubApiError.from(
+      axiosError(403, { message: 'Resource not accessible by integration' }),
+    );
+
+    expect(rateLimit).toBeInstanceOf(GitHubApiRateLimitError);
+    expect(rateLimit.resource).toBe('search');
+    expect(rateLimit.resetAt).toBe(1704067200000);
+    expect(secondaryRateLimit).toBeInstanceOf(GitHubApiSecondaryRateLimitError);
+    expect(secondaryRateLimit.retryAfter).toBe(60000);
+    expect(forbidden).not.toBeInstanceOf(GitHubApiRateLimitError);
+    expect(forbidden.status).toBe(403);
+  });
+
+  it('should carry the details of the GitHub API and of the request', () => {
+    const request = new GitHubApiRequest(
+      'https://api.github.com/search/repositories?q=',
+    );
+    const error = GitHubApiError.from(
+      axiosError(422, {
+        message: 'Validation Failed',
+        errors: [{ resource: 'Search', field: 'q', code: 'missing' }],
+        documentation_url: 'https://docs.github.com/v3/search',
+      }),
+      { token: '12345', attempt: 1, request },
+    );
+
+    expect(error.message).toBe(
+      'Request failed with status code 422 (Validation Failed)',
+    );
+    expect(error.status).toBe(422);
+    expect(error.githubMessage).toBe('Validation Failed');
+    expect(error.documentationUrl).toBe('https://docs.github.com/v3/search');
+    expect(error.errors).toEqual([
+      { resource: 'Search', field: 'q', code: 'missing' },
+    ]);
+    expect(error.token).toBe('12345');
+    expect(error.attempt).toBe(1);
+    expect(error.request).toBe(request);
+    expect(error.url).toBe(request.getUrl());
+    expect(error.toJSON()).toEqual(
+      expect.objectContaining({
+        name: 'GitHubApiValidationError',
+        requestId: request.getId(),
+      }),
+    );
+  });
+
+  it('should type the network errors without response', () => {
+    const error = GitHubApiError.from(
+      Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+    );
+
+    expect(error).toBeInstanceOf(GitHubApiNetworkError);
+    expect(error.code).toBe('ECONNRESET');
+    expect(error.status).toBeNull();
+    expect(error.cause.message).toBe('socket hang up');
+  });
+
+  it('should keep the cancellations and complete the errors already typed', () => {
+    const abortError = Object.assign(new Error('canceled'), {
+      name: 'AbortError',
+    });
+    const error = GitHubApiError.from(axiosError(404), { token: '12345' });
+
+    expect(GitHubApiError.from(abortError)).toBe(abortError);
+    expect(GitHubApiError.from(error, { token: 'other', attempt: 2 })).toBe(
+      error,
+    );
+    expect(error.token).toBe('12345');
+    expect(error.attempt).toBe(2);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
 import { GitHubApiRequest } from '../../src/model/github-api-request.model.js';
 
 describe('GitHubApiRequest', () => {
@@ -42,8 +42,232 @@ describe('GitHubApiRequest', () => {
     expect(result).toEqual({ results: payload });
   });
 
+  it('should return its priority', () => {
+    expect(request.getPriority()).toBe(0);
+    expect(
+      new GitHubApiRequest(url, {}, () => {}, { priority: 5 }).getPriority(),
+    ).toBe(5);
+  });
+
+  it('should return its rate limit resource', () => {
+    expect(request.getResource()).toBe('search');
+    expect(
+      new GitHubApiRequest(
+        'https://api.github.com/search/code?q=a',
+      ).getResource(),
+    ).toBe('code_search');
+    expect(
+      new GitHubApiRequest('https://api.github.com/repos/a/b').getResource(),
+    ).toBe('core');
+    expect(
+      new GitHubApiRequest('https://api.github.com/repos/a/b', {}, () => {}, {
+        resource: 'graphql',
+      }).getResource(),
+    ).toBe('graphql');
+  });
+
+  it('should return the same key for equivalent requests', () => {
+    expect(new GitHubApiRequest(url).getKey()).toBe(request.getKey());
+    expect(new GitHubApiRequest(url, { method: 'POST' }).getKey()).not.toBe(
+      request.getKey(),
+    );
+    expect(
+      new GitHubApiRequest(url, { method: 'POST', body: { a: 1 } }).getKey(),
+    ).not.toBe(
+      new GitHubApiRequest(url, { method: 'POST', body: { a: 2 } }).getKey(),
+    );
+  });
+
   it('should return undefined when default callback invoked', () => {
     const defaultRequest = new GitHubApiRequest(url);
     expect(defaultRequest.runCallback({})).toBeUndefined();
   });
 });
+
+describe('GitHubApiRequest pagination', () => {
+  const url = 'https://api.github.com/search/repositories?q=stars:>=1000';
+  const linkHeader = (page) =>
+    `<${url}&page=${page}>; rel="next", <${url}&page=3>; rel="last"`;
+
+  it('should not be paginated by default', () => {
+    const request = new GitHubApiRequest(url);
+    expect(request.isPaginated()).toBe(false);
+    expect(request.getPageNumber()).toBe(1);
+    expect(
+      request.getNextPageRequest({ headers: { link: linkHeader(2) } }),
+    ).toBeNull();
+  });
+
+  it('should give the request of the next page', () => {
+    const callback = () => {};
+    const request = new GitHubApiRequest(url, {}, callback, {
+      paginate: true,
+    });
+
+    const nextPageRequest = request.getNextPageRequest({
+      headers: { link: linkHeader(2) },
+    });
+
+    expect(nextPageRequest.getUrl()).toBe(`${url}&page=2`);
+    expect(nextPageRequest.getPageNumber()).toBe(2);
+    expect(nextPageRequest.getCallback()).toBe(callback);
+    expect(nextPageRequest.isPaginated()).toBe(true);
+  });
+
+  it('should stop when there is no next page', () => {
+    const request = new GitHubApiRequest(url, {}, () => {}, {
+      paginate: true,
+    });
+    expect(request.getNextPageRequest({ headers: {} })).toBeNull();
+  });
+
+  it('should stop when the page cap is reached', () => {
+    const request = new GitHubApiRequest(url, {}, () => {}, {
+      paginate: true,
+      maxPageCount: 2,
+    });
+
+    const nextPageRequest = request.getNextPageRequest({
+      headers: { link: linkHeader(2) },
+    });
+
+    expect(nextPageRequest).not.toBeNull();
+    expect(
+      nextPageRequest.getNextPageRequest({ headers: { link: linkHeader(3) } }),
+    ).toBeNull();
+  });
+
+  it('should run the callback once per page', () => {
+    const callback = vi.fn();
+    const request = new GitHubApiRequest(url, {}, callback, {
+      paginate: true,
+    });
+    const response = { data: { items: [1] }, headers: { link: linkHeader(2) } };
+
+    const nextPageRequest = request.complete(response);
+
+    expect(callback).toHaveBeenCalledWith(response);
+    expect(nextPageRequest.getPageNumber()).toBe(2);
+  });
+
+  it('should run the callback once with the combined pages', () => {
+    const callback = vi.fn();
+    const request = new GitHubApiRequest(url, {}, callback, {
+      paginate: true,
+      combinePages: true,
+    });
+    const firstResponse = {
+      data: { total_count: 2, items: [1] },
+      headers: { link: linkHeader(2) },
+    };
+    const lastResponse = {
+      data: { total_count: 2, items: [2] },
+      headers: {},
+    };
+
+    const nextPageRequest = request.complete(firstResponse);
+    expect(callback).not.toHaveBeenCalled();
+    expect(nextPageRequest.complete(lastResponse)).toBeNull();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith({
+      data: { total_count: 2, items: [1, 2] },
+      pages: [firstResponse, lastResponse],
+    });
+  });
+});
+
+describe('GitHubApiRequest serialization', () => {
+  const url = 'https://api.github.com/search/repositories?q=stars:>=1000';
+
+  it('should have a unique identifier', () => {
+    expect(new GitHubApiRequest(url).getId()).not.toBe(
+      new GitHubApiRequest(url).getId(),
+    );
+  });
+
+  it('should be restored from its serialized form', () => {
+    const callback = vi.fn();
+    const request = new GitHubApiRequest(url, { method: 'GET' }, callback, {
+      paginate: true,
+      callbackName: 'save',
+    });
+
+    const restored = GitHubApiRequest.fromJSON(
+      JSON.parse(JSON.stringify(request)),
+      { save: callback },
+    );
+
+    expect(restored.getId()).toBe(request.getId());
+    expect(restored.getUrl()).toBe(url);
+    expect(restored.getParams()).toEqual({ method: 'GET' });
+    expect(restored.getCallback()).toBe(callback);
+    expect(restored.isPaginated()).toBe(true);
+    expect(restored.getOptions().maxPageCount).toBe(Infinity);
+  });
+
+  it('should keep the page number of a next page', () => {
+    const request = new GitHubApiRequest(url, {}, () => {}, {
+      paginate: true,
+    });
+    const nextPageRequest = request.getNextPageRequest({
+      headers: { link: `<${url}&page=2>; rel="next"` },
+    });
+
+    const restored = GitHubApiRequest.fromJSON(
+      JSON.parse(JSON.stringify(nextPageRequest)),
+    );
+
+    expect(restored.getPageNumber()).toBe(2);
+  });
+
+  it('should restore a next page of combined pages as its first page', () => {
+    const request = new GitHubApiRequest(url, { method: 'GET' }, () => {}, {
+      paginate: true,
+      combinePages: true,
+    });
+    const nextPageRequest = request.getNextPageRequest({
+      headers: { link: `<${url}&page=2>; rel="next"` },
+    });
+    const json = JSON.parse(JSON.stringify(nextPageRequest));
+
+    const restored = GitHubApiRequest.fromJSON(json);
+
+    expect(restored.getId()).toBe(nextPageRequest.getId());
+    expect(restored.getUrl()).toBe(url);
+    expect(restored.getParams()).toEqual({ method: 'GET' });
+    expect(restored.getPageNumber()).toBe(1);
+    expect(() =>
+      GitHubApiRequest.fromJSON({ ...json, firstPage: undefined }),
+    ).toThrow('first page not found for combined pages');
+  });
+
+  it('should fail when the callback is not in the registry', () => {
+    const request = new GitHubApiRequest(url, {}, () => {}, {
+      callbackName: 'save',
+    });
+
+    expect(() => GitHubApiRequest.fromJSON(request.toJSON(), {})).toThrow(
+      'callback not found in registry: save',
+    );
+  });
+
+  it('should be canceled once its signal is aborted', () => {
+    const controller = new AbortController();
+    const request = new GitHubApiRequest(url, {}, () => {}, {
+      signal: controller.signal,
+      paginate: true,
+    });
+    const nextPageRequest = request.getNextPageRequest({
+      headers: { link: `<${url}&page=2>; rel="next"` },
+    });
+
+    controller.abort();
+
+    expect(request.getSignal()).toBe(controller.signal);
+    expect(request.isCanceled()).toBe(true);
+    expect(nextPageRequest.isCanceled()).toBe(true);
+    expect(new GitHubApiRequest(url).isCanceled()).toBe(false);
+    expect(request.toJSON().options.signal).toBeUndefined();
+  });
+});
@@ -0,0 +1,143 @@
+import { vi, describe, it, expect } from 'vitest';
+import { GitHubGraphQLRequest } from '../../src/model/github-graphql-request.model.js';
+
+describe('GitHubGraphQLRequest', () => {
+  const query =
+    'query($owner: String!, $name: String!, $cursor: String) { repository(owner: $owner, name: $name) { stargazers(first: 100, after: $cursor) { pageInfo { hasNextPage endCursor } nodes { login } } } }';
+  const variables = { owner: 'PoolinGH', name: 'poolingh' };
+  const page = (logins, hasNextPage, endCursor = null) => ({
+    data: {
+      data: {
+        repository: {
+          stargazers: {
+            pageInfo: { hasNextPage, endCursor },
+            nodes: logins.map((login) => ({ login })),
+          },
+        },
+      },
+    },
+  });
+
+  it('should post the query and its variables to the GraphQL endpoint', () => {
+    const request = new GitHubGraphQLRequest(query, variables);
+    expect(request.getUrl()).toBe('https://api.github.com/graphql');
+    expect(request.getParams()).toEqual({
+      method: 'POST',
+      body: { query, variables },
+    });
+    expect(request.getQuery()).toBe(query);
+    expect(request.getVariables()).toEqual(variables);
+    expect(request.getResource()).toBe('graphql');
+  });
+
+  it('should target a custom endpoint', () => {
+    const request = new GitHubGraphQLRequest(query, variables, () => {}, {
+      url: 'https://github.example.com/api/graphql',
+    });
+    expect(request.getUrl()).toBe('https://github.example.com/api/graphql');
+  });
+
+  it('should follow the cursor of the connection', () => {
+    const request = new GitHubGraphQLRequest(query, variables, () => {}, {
+      paginate: true,
+      connectionPath: 'repository.stargazers',
+    });
+
+    const nextPageRequest = request.getNextPageRequest(
+      page(['a'], true, 'Y3Vyc29yOjE='),
+    );
+
+    expect(nextPageRequest).toBeInstanceOf(GitHubGraphQLRequest);
+    expect(nextPageRequest.getVariables()).toEqual({
+      ...variables,
+      cursor: 'Y3Vyc29yOjE=',
+    });
+    expect(nextPageRequest.getPageNumber()).toBe(2);
+    expect(request.getNextPageRequest(page(['b'], false))).toBeNull();
+  });
+
+  it('should use a custom cursor variable', () => {
+    const request = new GitHubGraphQLRequest(query, variables, () => {}, {
+      paginate: true,
+      connectionPath: 'repository.stargazers',
+      cursorVariable: 'after',
+    });
+
+    const nextPageRequest = request.getNextPageRequest(page(['a'], true, 'c1'));
+
+    expect(nextPageRequest.getVariables().after).toBe('c1');
+  });
+
+  it('should not follow the cursor when not paginated or without a connection path', () => {
+    expect(
+      new GitHubGraphQLRequest(query, variables).getNextPageRequest(
+        page(['a'], true, 'c1'),
+      ),
+    ).toBeNull();
+    expect(
+      new GitHubGraphQLRequest(query, variables, () => {}, {
+        paginate: true,
+      }).getNextPageRequest(page(['a'], true, 'c1')),
+    ).toBeNull();
+  });
+
+  it('should combine the nodes of all the pages', () => {
+    const callback = vi.fn();
+    const request = new GitHubGraphQLRequest(query, variables, callback, {
+      paginate: true,
+      combinePages: true,
+      connectionPath: 'repository.stargazers',
+    });
+
+    const nextPageRequest = request.complete(page(['a', 'b'], true, 'c1'));
+    nextPageRequest.complete(page(['c'], false));
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    const { data, pages } = callback.mock.calls[0][0];
+    expect(data.repository.stargazers.nodes).toEqual([
+      { login: 'a' },
+      { login: 'b' },
+      { login: 'c' },
+    ]);
+    expect(pages.length).toBe(2);
+  });
+
+  it('should be serialized and restored', () => {
+    const callback = vi.fn();
+    const request = new GitHubGraphQLRequest(query, variables, callback, {
+      paginate: true,
+      connectionPath: 'repository.stargazers',
+      callbackName: 'stargazers',
+    });
+
+    const json = JSON.parse(JSON.stringify(request));
+    const restored = GitHubGraphQLRequest.fromJSON(json, {
+      stargazers: callback,
+    });
+
+    expect(json.type).toBe('graphql');
+    expect(restored).toBeInstanceOf(GitHubGraphQLRequest);
+    expect(restored.getId()).toBe(request.getId());
+    expect(restored.getQuery()).toBe(query);
+    expect(restored.getVariables()).toEqual(variables);
+    expect(restored.getCallback()).toBe(callback);
+    expect(restored.getOptions().connectionPath).toBe('repository.stargazers');
+  });
+
+  it('should restore a next page of combined pages as its first page', () => {
+    const request = new GitHubGraphQLRequest(query, variables, () => {}, {
+      paginate: true,
+      combinePages: true,
+      connectionPath: 'repository.stargazers',
+    });
+    const nextPageRequest = request.getNextPageRequest(page(['a'], true, 'c1'));
+
+    const restored = GitHubGraphQLRequest.fromJSON(
+      JSON.parse(JSON.stringify(nextPageRequest)),
+    );
+
+    expect(nextPageRequest.getVariables().cursor).toBe('c1');
+    expect(restored.getVariables()).toEqual(variables);
+    expect(restored.getPageNumber()).toBe(1);
+  });
+});